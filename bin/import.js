@@ -0,0 +1,60 @@
+/**
+ * Command-line version of the admin CSV import (/admin/import).
+ *
+ * Usage:
+ *   pnpm run import <courses|faculty|sections> <file.csv> [--commit]
+ *
+ * Without --commit this is a dry run: every row is checked and the would-be
+ * result is printed, but nothing is saved. With --commit the rows are saved in a
+ * single transaction, and only if none are rejected. Exits with status 1 if any
+ * row is rejected or the file can't be read.
+ */
+import fs from 'fs/promises';
+import db from '../src/models/db.js';
+import { IMPORT_TYPES, runImport } from '../src/models/import/import.js';
+import { parseCsv } from '../src/utils/csv.js';
+
+const ACTION_LABELS = { insert: 'add', update: 'update', reject: 'REJECT' };
+
+const usage = () => {
+    console.error(`Usage: pnpm run import <${Object.keys(IMPORT_TYPES).join('|')}> <file.csv> [--commit]`);
+    process.exit(2);
+};
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    const commit = args.includes('--commit');
+    const [type, file] = args.filter(arg => arg !== '--commit');
+
+    if (!IMPORT_TYPES[type] || !file) usage();
+
+    const report = await runImport(type, parseCsv(await fs.readFile(file, 'utf8')), { commit });
+
+    report.rows.forEach(row => {
+        console.log(`line ${row.line}\t${ACTION_LABELS[row.action]}\t${row.label}`);
+        row.problems.forEach(problem => console.log(`\t\t- ${problem}`));
+    });
+
+    const { insert, update, reject } = report.counts;
+    console.log(`\n${insert} to add, ${update} to update, ${reject} rejected`);
+
+    if (report.committed) {
+        console.log(`Imported ${insert + update} ${IMPORT_TYPES[type].label.toLowerCase()} rows.`);
+        if (report.promoted > 0) console.log(`${report.promoted} waitlisted students were moved into new seats.`);
+    } else if (commit) {
+        console.log('Nothing was imported because some rows were rejected.');
+    } else {
+        console.log('Dry run: nothing was saved. Run again with --commit to import.');
+    }
+
+    return reject === 0;
+};
+
+try {
+    process.exitCode = await main() ? 0 : 1;
+} catch (error) {
+    console.error(error.status === 400 ? error.message : error);
+    process.exitCode = 1;
+} finally {
+    await (db.close ? db.close() : db.end());
+}
@@ -0,0 +1,41 @@
+/**
+ * Give a user a role from the command line. This is how the first admin is made;
+ * after that, admins can change roles from the users list (/register/list).
+ *
+ * Usage:
+ *   pnpm run set-role <email> <student|faculty|admin>
+ *
+ * The user must already have registered. Exits with status 1 if they haven't.
+ */
+import db from '../src/models/db.js';
+import { findUserByEmail } from '../src/models/forms/login.js';
+import { USER_ROLES, setUserRole } from '../src/models/forms/registration.js';
+
+const usage = () => {
+    console.error(`Usage: pnpm run set-role <email> <${USER_ROLES.join('|')}>`);
+    process.exit(2);
+};
+
+const main = async () => {
+    const [email, role] = process.argv.slice(2);
+    if (!email || !USER_ROLES.includes(role)) usage();
+
+    const user = await findUserByEmail(email);
+    if (!user) {
+        console.error(`No user account uses the email ${email}; register it first.`);
+        return false;
+    }
+
+    await setUserRole(user.id, role);
+    console.log(`${user.name} <${user.email}> is now ${role === 'admin' ? 'an' : 'a'} ${role} (was ${user.role}).`);
+    return true;
+};
+
+try {
+    process.exitCode = await main() ? 0 : 1;
+} catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+} finally {
+    await (db.close ? db.close() : db.end());
+}
@@ -0,0 +1,18 @@
+/**
+ * CSV import page: reads the chosen file in the browser and puts its text in the
+ * form's textarea, so it can be checked or edited before previewing. The server
+ * uses the textarea when it has text and only falls back to the uploaded file.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const fileInput = document.getElementById('csv-file');
+    const textarea = document.getElementById('csv');
+
+    if (!fileInput || !textarea) return;
+
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        if (!file) return;
+
+        textarea.value = await file.text();
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Autocomplete for the header search box.
+ * Fetches suggestions from /search/suggest as the user types and lists them
+ * under the input. Submitting the form still goes to the full /search page.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('header-search-q');
+    const list = document.getElementById('header-search-suggestions');
+
+    if (!input || !list) return;
+
+    let debounceTimer = null;
+    let latestRequest = 0;
+
+    const clearSuggestions = () => {
+        list.replaceChildren();
+    };
+
+    const showSuggestions = (suggestions) => {
+        clearSuggestions();
+
+        suggestions.forEach(suggestion => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            const type = document.createElement('span');
+
+            link.href = suggestion.url;
+            link.textContent = suggestion.label;
+            type.className = 'suggestion-type';
+            type.textContent = suggestion.type;
+
+            link.appendChild(type);
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+    };
+
+    const fetchSuggestions = async (query) => {
+        // Ignore responses that arrive after a newer request was sent
+        const requestId = ++latestRequest;
+
+        try {
+            const response = await fetch(`/search/suggest?q=${encodeURIComponent(query)}`);
+            if (!response.ok) return;
+
+            const data = await response.json();
+            if (requestId === latestRequest) {
+                showSuggestions(data.suggestions);
+            }
+        } catch (error) {
+            console.error('Search suggestions failed:', error);
+        }
+    };
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        const query = input.value.trim();
+
+        if (query.length < 2) {
+            latestRequest++;
+            clearSuggestions();
+            return;
+        }
+
+        debounceTimer = setTimeout(() => fetchSuggestions(query), 200);
+    });
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') clearSuggestions();
+    });
+
+    // Close the list when focus leaves the search form
+    document.addEventListener('click', (event) => {
+        if (!event.target.closest('.header-search')) clearSuggestions();
+    });
+});
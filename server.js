@@ -12,6 +12,8 @@ import connectPgSimple from 'connect-pg-simple';
 import { caCert } from './src/models/db.js';
 import { startSessionCleanup } from './src/utils/session-cleanup.js';
 import flash from './src/middleware/flash.js'
+import audit from './src/middleware/audit.js';
+import contactInbox from './src/middleware/contact-inbox.js';
 
 
 
@@ -79,6 +81,12 @@ app.use(addLocalVariables);
 // Flash middleware
 app.use(flash);
 
+// Record the logged-in user on database changes for the audit log
+app.use(audit);
+
+// Unread contact messages, shown in the header for admins
+app.use(contactInbox);
+
 app.use('/', routes);
 
 // 404 handler
@@ -116,4 +124,7 @@ app.listen(PORT, async () => {
     await setupDatabase();
     await testConnection();
     console.log(`Server is running on http://127.0.0.1:${PORT}`);
+    if (!process.env.APP_URL) {
+        console.warn('APP_URL is not set, so password reset and email verification links cannot be sent');
+    }
 });
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { Router } from 'express';
+import { AUDITED_TABLES, getAuditEntries, countAuditEntries, getAuditEntry, revertAuditEntry } from '../../models/audit/audit.js';
+import { getPagination, buildPageInfo } from '../../utils/pagination.js';
+import { withQuery } from '../../utils/url.js';
+import { requireRole } from '../../middleware/auth.js';
+
+const router = Router();
+
+// The change history shows who edited what and when; keep it to admins
+router.use(requireRole('admin'));
+
+const TABLE_NAMES = Object.keys(AUDITED_TABLES);
+
+const historyUrl = (tableName, recordId) => `/admin/audit/${tableName}/${recordId}`;
+
+/**
+ * List recent changes to every audited table, or one table (?table=), newest first.
+ */
+const showAuditLog = async (req, res) => {
+    const tableName = TABLE_NAMES.includes(req.query.table) ? req.query.table : null;
+    const pagination = getPagination(req.query);
+    const filters = { tableName };
+
+    const [entries, totalEntries] = await Promise.all([
+        getAuditEntries(filters, pagination),
+        countAuditEntries(filters)
+    ]);
+
+    res.render('admin/audit/list', {
+        title: 'Audit Log',
+        entries,
+        tables: AUDITED_TABLES,
+        currentTable: tableName,
+        tableUrls: Object.fromEntries([null, ...TABLE_NAMES].map(table => [table ?? 'all', withQuery('/admin/audit', { table })])),
+        historyUrl,
+        pageInfo: buildPageInfo(pagination, totalEntries, '/admin/audit', req.query)
+    });
+};
+
+/**
+ * Show every change to one record, with the before and after value of each
+ * column and a button to revert it.
+ */
+const showRecordHistory = async (req, res, next) => {
+    const { tableName, recordId } = req.params;
+    const pagination = getPagination(req.query);
+    const filters = { tableName, recordId };
+
+    const [entries, totalEntries] = TABLE_NAMES.includes(tableName) && /^\d+$/.test(recordId)
+        ? await Promise.all([getAuditEntries(filters, pagination), countAuditEntries(filters)])
+        : [[], 0];
+
+    if (totalEntries === 0) {
+        const err = new Error(`No history found for ${tableName} ${recordId}`);
+        err.status = 404;
+        return next(err);
+    }
+
+    // The newest entry names the record the way it looks now (or looked when deleted)
+    const recordName = entries[0]?.record ?? `#${recordId}`;
+
+    res.render('admin/audit/history', {
+        title: `History of ${recordName}`,
+        entries,
+        recordName,
+        editUrl: AUDITED_TABLES[tableName].editUrl(recordId),
+        pageInfo: buildPageInfo(pagination, totalEntries, historyUrl(tableName, recordId), req.query)
+    });
+};
+
+/**
+ * Undo a single change, then go back to the record's history. A change that
+ * can't be undone cleanly is explained in a flash message instead.
+ */
+const processRevert = async (req, res, next) => {
+    const entryId = Number.parseInt(req.params.entryId, 10);
+    const entry = Number.isInteger(entryId) ? await getAuditEntry(entryId) : {};
+
+    if (Object.keys(entry).length === 0) {
+        const err = new Error(`Audit entry ${req.params.entryId} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    try {
+        await revertAuditEntry(entry);
+        req.flash('success', `Reverted the ${entry.action} of ${entry.record}`);
+    } catch (error) {
+        if (error.status !== 409) throw error;
+        req.flash('error', error.message);
+    }
+
+    res.redirect(historyUrl(entry.tableName, entry.recordId));
+};
+
+// Routes (mounted at /admin/audit)
+router.get('/', showAuditLog);
+router.get('/:tableName/:recordId', showRecordHistory);
+router.post('/:entryId/revert', processRevert);
+
+export default router;
@@ -0,0 +1,311 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import {
+    getAllCourses, countCourses, getCourseById, courseCodeExists,
+    createCourse, updateCourse, setCourseRetired, COURSE_SORT_OPTIONS
+} from '../../models/catalog/courses.js';
+import { getAllDepartments } from '../../models/catalog/departments.js';
+import { REQUISITE_TYPES, getRequisitesByCourse, addRequisite, removeRequisite } from '../../models/catalog/prerequisites.js';
+import { getPagination, buildPageInfo } from '../../utils/pagination.js';
+import { withQuery } from '../../utils/url.js';
+import { requireRole } from '../../middleware/auth.js';
+
+const router = Router();
+
+// Only admins can change the catalog; the check lives with the routes so they can't be mounted without it
+router.use(requireRole('admin'));
+
+/**
+ * Validation rules shared by the create and edit forms
+ */
+const courseValidation = [
+    body('courseCode')
+        .trim()
+        // 'cse  340' and 'CSE 340' are the same code
+        .customSanitizer(value => value.replace(/\s+/g, ' ').toUpperCase())
+        .isLength({ min: 3, max: 20 })
+        .withMessage('Course code must be between 3 and 20 characters')
+        .bail()
+        .matches(/^[A-Z]{2,10} [0-9]{2,4}[A-Z]?$/)
+        .withMessage('Course code must be a department prefix and number, e.g. CSE 340'),
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Name must be between 2 and 200 characters'),
+    body('description')
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Description must be 2000 characters or fewer'),
+    body('creditHours')
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Credit hours must be a whole number from 1 to 12')
+        .toInt(),
+    body('departmentId')
+        .isInt({ min: 0 })
+        .withMessage('Please choose a department')
+        .bail()
+        .toInt()
+        .custom(async (departmentId) => {
+            const departments = await getAllDepartments();
+            if (!departments.some(department => department.id === departmentId)) {
+                throw new Error('Please choose a department');
+            }
+            return true;
+        })
+];
+
+/**
+ * Look up the course named by :courseId, sending a 404 to the error handler if it doesn't exist.
+ *
+ * @returns {Promise<Object|null>} Course object, or null if next() was already called
+ */
+const findCourse = async (req, next) => {
+    const courseId = Number.parseInt(req.params.courseId, 10);
+    const course = Number.isInteger(courseId) ? await getCourseById(courseId) : {};
+
+    if (Object.keys(course).length === 0) {
+        const err = new Error(`Course ${req.params.courseId} not found`);
+        err.status = 404;
+        next(err);
+        return null;
+    }
+
+    return course;
+};
+
+/**
+ * Render the course form. Used for both new and edit so a failed submission can
+ * be shown again with what the admin typed. Existing courses also get their
+ * prerequisites and corequisites, with the other courses to choose from.
+ */
+const renderCourseForm = async (res, { title, action, course }) => {
+    const [departments, requisites, courses] = await Promise.all([
+        getAllDepartments(),
+        course.id ? getRequisitesByCourse(course.id) : null,
+        course.id ? getAllCourses('course_code') : []
+    ]);
+
+    // Adding to a new group by default makes the course an extra requirement, not an alternative
+    const groupNumbers = requisites
+        ? [...requisites.prerequisites, ...requisites.corequisites].map(group => group[0].groupNumber)
+        : [];
+
+    res.render('admin/courses/form', {
+        title,
+        action,
+        course,
+        departments,
+        requisites,
+        requisiteCourses: courses.filter(other => other.id !== course.id),
+        nextGroupNumber: Math.max(0, ...groupNumbers) + 1
+    });
+};
+
+/**
+ * Validate a submitted course and check its code isn't used by another course.
+ * Problems are flashed and the form is shown again.
+ *
+ * @returns {Promise<boolean>} True if the submission can be saved
+ */
+const checkCourseSubmission = async (req, res, { title, action, course = {} }) => {
+    const errors = validationResult(req);
+
+    // Store each validation error as a separate flash message
+    errors.array().forEach(error => {
+        req.flash('error', error.msg);
+    });
+
+    if (errors.isEmpty() && await courseCodeExists(req.body.courseCode, course.id ?? null)) {
+        req.flash('error', `Another course already uses the code ${req.body.courseCode}`);
+    } else if (errors.isEmpty()) {
+        return true;
+    }
+
+    await renderCourseForm(res.status(400), { title, action, course: { ...course, ...req.body } });
+    return false;
+};
+
+// The fields the model needs, taken from a validated request body
+const courseFields = (body) => ({
+    courseCode: body.courseCode,
+    name: body.name,
+    description: body.description,
+    creditHours: body.creditHours,
+    departmentId: body.departmentId
+});
+
+/**
+ * List every course, including retired ones, with links to manage them.
+ */
+const showCourseList = async (req, res) => {
+    const sortBy = COURSE_SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'department';
+    const pagination = getPagination(req.query);
+    const filters = { includeRetired: true };
+
+    const [courses, totalCourses] = await Promise.all([
+        getAllCourses(sortBy, filters, pagination),
+        countCourses(filters)
+    ]);
+
+    res.render('admin/courses/list', {
+        title: 'Manage Courses',
+        courses,
+        currentSort: sortBy,
+        sortUrls: Object.fromEntries(COURSE_SORT_OPTIONS.map(sort => [sort, withQuery('/admin/courses', req.query, { sort, page: null })])),
+        pageInfo: buildPageInfo(pagination, totalCourses, '/admin/courses', req.query)
+    });
+};
+
+/**
+ * Display an empty form for a new course.
+ */
+const showNewCourseForm = async (req, res) => {
+    await renderCourseForm(res, { title: 'New Course', action: '/admin/courses', course: {} });
+};
+
+/**
+ * Create a course from the submitted form.
+ */
+const processNewCourse = async (req, res) => {
+    const valid = await checkCourseSubmission(req, res, { title: 'New Course', action: '/admin/courses' });
+    if (!valid) return;
+
+    const course = await createCourse(courseFields(req.body));
+
+    req.flash('success', `Created ${course.courseCode} - ${course.name}`);
+    res.redirect('/admin/courses');
+};
+
+/**
+ * Display the edit form for an existing course.
+ */
+const showEditCourseForm = async (req, res, next) => {
+    const course = await findCourse(req, next);
+    if (!course) return;
+
+    await renderCourseForm(res, {
+        title: `Edit ${course.courseCode}`,
+        action: `/admin/courses/${course.id}/edit`,
+        course
+    });
+};
+
+/**
+ * Save changes to an existing course.
+ */
+const processEditCourse = async (req, res, next) => {
+    const course = await findCourse(req, next);
+    if (!course) return;
+
+    const valid = await checkCourseSubmission(req, res, {
+        title: `Edit ${course.courseCode}`,
+        action: `/admin/courses/${course.id}/edit`,
+        course
+    });
+    if (!valid) return;
+
+    const updated = await updateCourse(course.id, courseFields(req.body));
+
+    req.flash('success', `Saved changes to ${updated.courseCode} - ${updated.name}`);
+    res.redirect('/admin/courses');
+};
+
+/**
+ * Retire a course or bring it back, depending on the route.
+ */
+const processRetirement = (retired) => async (req, res, next) => {
+    const course = await findCourse(req, next);
+    if (!course) return;
+
+    await setCourseRetired(course.id, retired);
+
+    req.flash('success', retired
+        ? `${course.courseCode} is retired and no longer listed in the catalog`
+        : `${course.courseCode} is back in the catalog`);
+    res.redirect('/admin/courses');
+};
+
+/**
+ * Validation rules for adding a prerequisite or corequisite
+ */
+const requisiteValidation = [
+    body('requiredCourseId')
+        .isInt({ min: 1 })
+        .withMessage('Please choose a course')
+        .bail()
+        .toInt()
+        .custom(async (courseId) => {
+            const course = await getCourseById(courseId);
+            if (Object.keys(course).length === 0) {
+                throw new Error('Please choose a course');
+            }
+            return true;
+        }),
+    body('type')
+        .isIn(REQUISITE_TYPES)
+        .withMessage('Please choose prerequisite or corequisite'),
+    body('groupNumber')
+        .isInt({ min: 1, max: 99 })
+        .withMessage('Group must be a whole number from 1 to 99')
+        .toInt()
+];
+
+/**
+ * Add a prerequisite or corequisite to a course. addRequisite rejects duplicates
+ * and prerequisites that would make a cycle; those come back as flash messages.
+ */
+const processAddRequisite = async (req, res, next) => {
+    const course = await findCourse(req, next);
+    if (!course) return;
+
+    const editUrl = `/admin/courses/${course.id}/edit`;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        errors.array().forEach(error => req.flash('error', error.msg));
+        return res.redirect(editUrl);
+    }
+
+    try {
+        await addRequisite(course.id, req.body.requiredCourseId, { type: req.body.type, groupNumber: req.body.groupNumber });
+    } catch (error) {
+        if (error.status !== 400 && error.status !== 409) throw error;
+        req.flash('error', error.message);
+        return res.redirect(editUrl);
+    }
+
+    req.flash('success', `Updated the ${req.body.type === 'prereq' ? 'prerequisites' : 'corequisites'} of ${course.courseCode}`);
+    res.redirect(editUrl);
+};
+
+/**
+ * Remove one prerequisite or corequisite from a course.
+ */
+const processRemoveRequisite = async (req, res, next) => {
+    const course = await findCourse(req, next);
+    if (!course) return;
+
+    const requisiteId = Number.parseInt(req.params.requisiteId, 10);
+    const removed = Number.isInteger(requisiteId) && await removeRequisite(course.id, requisiteId);
+    if (!removed) {
+        const err = new Error(`Requisite ${req.params.requisiteId} not found on ${course.courseCode}`);
+        err.status = 404;
+        return next(err);
+    }
+
+    req.flash('success', `Removed a requisite from ${course.courseCode}`);
+    res.redirect(`/admin/courses/${course.id}/edit`);
+};
+
+// Routes (mounted at /admin/courses)
+router.get('/', showCourseList);
+router.get('/new', showNewCourseForm);
+router.post('/', courseValidation, processNewCourse);
+router.get('/:courseId/edit', showEditCourseForm);
+router.post('/:courseId/edit', courseValidation, processEditCourse);
+router.post('/:courseId/retire', processRetirement(true));
+router.post('/:courseId/restore', processRetirement(false));
+router.post('/:courseId/requisites', requisiteValidation, processAddRequisite);
+router.post('/:courseId/requisites/:requisiteId/delete', processRemoveRequisite);
+
+export default router;
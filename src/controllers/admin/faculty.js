@@ -0,0 +1,312 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import multer from 'multer';
+import {
+    getSortedFaculty, countFaculty, getFacultyById, getFacultyAccountEmail,
+    createFaculty, updateFaculty, setFacultyActive, FACULTY_SORT_OPTIONS
+} from '../../models/faculty/faculty.js';
+import { PHOTO_TYPES, MAX_PHOTO_BYTES, checkPhoto, savePhoto, removePhoto } from '../../models/faculty/photos.js';
+import { getAllDepartments } from '../../models/catalog/departments.js';
+import { findUserByEmail } from '../../models/forms/login.js';
+import { setUserRole } from '../../models/forms/registration.js';
+import { getPagination, buildPageInfo } from '../../utils/pagination.js';
+import { withQuery } from '../../utils/url.js';
+import { requireRole } from '../../middleware/auth.js';
+
+const router = Router();
+
+// Admins only - this router edits profiles and links them to accounts
+router.use(requireRole('admin'));
+
+// The faculty form is multipart so it can carry a photo; the upload is kept in memory for sharp
+const photoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_PHOTO_BYTES, files: 1 }
+}).single('photo');
+
+/**
+ * Parse the multipart faculty form. An upload that breaks multer's limits is noted
+ * on the request so validation can report it next to the other form errors.
+ */
+const parseFacultyForm = (req, res, next) => {
+    photoUpload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            req.photoError = error.code === 'LIMIT_FILE_SIZE'
+                ? `Photo must be ${MAX_PHOTO_BYTES / (1024 * 1024)} MB or smaller`
+                : 'Please upload a single photo';
+            return next();
+        }
+        next(error);
+    });
+};
+
+/**
+ * Validation rules shared by the add and edit forms
+ */
+const facultyValidation = [
+    body('firstName')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('First name must be between 1 and 100 characters')
+        .bail()
+        .matches(/^[\p{L}\s'.-]+$/u)
+        .withMessage('First name can only contain letters, spaces, periods, hyphens, and apostrophes'),
+    body('lastName')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Last name must be between 1 and 100 characters')
+        .bail()
+        .matches(/^[\p{L}\s'.-]+$/u)
+        .withMessage('Last name can only contain letters, spaces, periods, hyphens, and apostrophes'),
+    body('title')
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Title must be 100 characters or fewer'),
+    body('office')
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Office must be 50 characters or fewer'),
+    body('phone')
+        .trim()
+        .optional({ values: 'falsy' })
+        .matches(/^[0-9()+.\s-]{7,20}$/)
+        .withMessage('Phone must be 7 to 20 digits, spaces, dashes, or parentheses'),
+    body('email')
+        .trim()
+        .toLowerCase()
+        .isEmail()
+        .withMessage('Must be a valid email address')
+        .isLength({ max: 150 })
+        .withMessage('Email is too long'),
+    body('departmentId')
+        .isInt({ min: 0 })
+        .withMessage('Please choose a department')
+        .bail()
+        .toInt()
+        .custom(async (departmentId) => {
+            const departments = await getAllDepartments();
+            if (!departments.some(department => department.id === departmentId)) {
+                throw new Error('Please choose a department');
+            }
+            return true;
+        }),
+    body('accountEmail')
+        .trim()
+        .toLowerCase()
+        .optional({ values: 'falsy' })
+        .isEmail()
+        .withMessage('Login account must be a valid email address')
+        .bail()
+        .custom(async (email) => {
+            if (!await findUserByEmail(email)) {
+                throw new Error(`No user account uses the email ${email}`);
+            }
+            return true;
+        }),
+    body('bio')
+        .trim()
+        .isLength({ max: 5000 })
+        .withMessage('Biography must be 5,000 characters or fewer'),
+    body('photo')
+        .custom(async (value, { req }) => {
+            if (req.photoError) throw new Error(req.photoError);
+            if (!req.file) return true;
+            if (!PHOTO_TYPES.includes(req.file.mimetype)) {
+                throw new Error('Photo must be a JPEG, PNG, WebP or GIF image');
+            }
+            // The browser's type can be wrong or faked, so look at the file itself too
+            await checkPhoto(req.file.buffer);
+            return true;
+        })
+];
+
+/**
+ * Look up the faculty member named by :facultyId, sending a 404 to the error handler if they don't exist.
+ *
+ * @returns {Promise<Object|null>} Faculty object, or null if next() was already called
+ */
+const findFaculty = async (req, next) => {
+    const facultyId = Number.parseInt(req.params.facultyId, 10);
+    const faculty = Number.isInteger(facultyId) ? await getFacultyById(facultyId) : {};
+
+    if (Object.keys(faculty).length === 0) {
+        const err = new Error(`Faculty member ${req.params.facultyId} not found`);
+        err.status = 404;
+        next(err);
+        return null;
+    }
+
+    return faculty;
+};
+
+/**
+ * Render the faculty form. Used for both add and edit so a failed submission can
+ * be shown again with what the admin typed.
+ */
+const renderFacultyForm = async (res, { title, action, faculty }) => {
+    res.render('admin/faculty/form', {
+        title,
+        action,
+        faculty,
+        departments: await getAllDepartments()
+    });
+};
+
+// The fields the model needs, taken from a validated request body
+const facultyFields = (body) => ({
+    firstName: body.firstName,
+    lastName: body.lastName,
+    title: body.title,
+    office: body.office,
+    phone: body.phone,
+    email: body.email,
+    departmentId: body.departmentId,
+    bio: body.bio
+});
+
+/**
+ * Validate and save a submitted faculty form. Validation errors and a duplicate
+ * email (reported by the database's UNIQUE constraint) are flashed and the form is
+ * shown again; anything else goes to the error handler. An uploaded photo is
+ * resized and saved once the faculty member themselves has been saved.
+ *
+ * @param {Function} save - async (fields) => faculty object
+ * @returns {Promise<Object|null>} The saved faculty member, or null if the form was shown again
+ */
+const saveFacultySubmission = async (req, res, { title, action, faculty = {} }, save) => {
+    const errors = validationResult(req);
+    const showFormAgain = () => renderFacultyForm(res.status(400), { title, action, faculty: { ...faculty, ...req.body } });
+
+    if (!errors.isEmpty()) {
+        // Store each validation error as a separate flash message
+        errors.array().forEach(error => {
+            req.flash('error', error.msg);
+        });
+        await showFormAgain();
+        return null;
+    }
+
+    // The login account is optional; when given, validation has checked it exists
+    const account = req.body.accountEmail ? await findUserByEmail(req.body.accountEmail) : null;
+
+    let saved;
+    try {
+        saved = await save({ ...facultyFields(req.body), userId: account?.id ?? null });
+    } catch (error) {
+        if (error.status !== 409) throw error;
+        req.flash('error', error.message);
+        await showFormAgain();
+        return null;
+    }
+
+    // A linked student account becomes a faculty account so it can manage office hours
+    if (account?.role === 'student') {
+        await setUserRole(account.id, 'faculty');
+    }
+
+    if (req.file) {
+        await savePhoto(saved.id, req.file.buffer);
+    } else if (req.body.removePhoto === '1') {
+        await removePhoto(saved.id);
+    }
+
+    return saved;
+};
+
+/**
+ * List every faculty member, including inactive ones, with links to manage them.
+ */
+const showFacultyList = async (req, res) => {
+    const sortBy = FACULTY_SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'department';
+    const pagination = getPagination(req.query);
+    const options = { includeInactive: true };
+
+    const [faculty, totalFaculty] = await Promise.all([
+        getSortedFaculty(sortBy, pagination, options),
+        countFaculty(options)
+    ]);
+
+    res.render('admin/faculty/list', {
+        title: 'Manage Faculty',
+        faculty,
+        currentSort: sortBy,
+        sortUrls: Object.fromEntries(FACULTY_SORT_OPTIONS.map(sort => [sort, withQuery('/admin/faculty', req.query, { sort, page: null })])),
+        pageInfo: buildPageInfo(pagination, totalFaculty, '/admin/faculty', req.query)
+    });
+};
+
+/**
+ * Display an empty form for a new faculty member.
+ */
+const showNewFacultyForm = async (req, res) => {
+    await renderFacultyForm(res, { title: 'Add Faculty Member', action: '/admin/faculty', faculty: {} });
+};
+
+/**
+ * Add a faculty member from the submitted form.
+ */
+const processNewFaculty = async (req, res) => {
+    const faculty = await saveFacultySubmission(req, res, { title: 'Add Faculty Member', action: '/admin/faculty' }, createFaculty);
+    if (!faculty) return;
+
+    req.flash('success', `Added ${faculty.name} to the faculty directory`);
+    res.redirect('/admin/faculty');
+};
+
+/**
+ * Display the edit form for an existing faculty member.
+ */
+const showEditFacultyForm = async (req, res, next) => {
+    const faculty = await findFaculty(req, next);
+    if (!faculty) return;
+
+    await renderFacultyForm(res, {
+        title: `Edit ${faculty.name}`,
+        action: `/admin/faculty/${faculty.id}/edit`,
+        faculty: { ...faculty, accountEmail: await getFacultyAccountEmail(faculty.id) }
+    });
+};
+
+/**
+ * Save changes to an existing faculty member.
+ */
+const processEditFaculty = async (req, res, next) => {
+    const faculty = await findFaculty(req, next);
+    if (!faculty) return;
+
+    const updated = await saveFacultySubmission(req, res, {
+        title: `Edit ${faculty.name}`,
+        action: `/admin/faculty/${faculty.id}/edit`,
+        faculty
+    }, fields => updateFaculty(faculty.id, fields));
+    if (!updated) return;
+
+    req.flash('success', `Saved changes to ${updated.name}`);
+    res.redirect('/admin/faculty');
+};
+
+/**
+ * Deactivate or reactivate a faculty member, depending on the route.
+ */
+const processActivation = (active) => async (req, res, next) => {
+    const faculty = await findFaculty(req, next);
+    if (!faculty) return;
+
+    await setFacultyActive(faculty.id, active);
+
+    req.flash('success', active
+        ? `${faculty.name} is back in the faculty directory`
+        : `${faculty.name} is deactivated and no longer listed in the faculty directory`);
+    res.redirect('/admin/faculty');
+};
+
+// Routes (mounted at /admin/faculty)
+router.get('/', showFacultyList);
+router.get('/new', showNewFacultyForm);
+router.post('/', parseFacultyForm, facultyValidation, processNewFaculty);
+router.get('/:facultyId/edit', showEditFacultyForm);
+router.post('/:facultyId/edit', parseFacultyForm, facultyValidation, processEditFaculty);
+router.post('/:facultyId/deactivate', processActivation(false));
+router.post('/:facultyId/reactivate', processActivation(true));
+
+export default router;
@@ -0,0 +1,140 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import multer from 'multer';
+import { IMPORT_TYPES, runImport } from '../../models/import/import.js';
+import { parseCsv } from '../../utils/csv.js';
+import { requireRole } from '../../middleware/auth.js';
+
+const router = Router();
+
+// Imports rewrite the catalog in bulk, so only admins may use them
+router.use(requireRole('admin'));
+
+// Largest CSV accepted, whether uploaded or pasted
+const MAX_CSV_BYTES = 5 * 1024 * 1024;
+
+// The import form is multipart, so a large file doesn't need the site-wide form body limit raised
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CSV_BYTES, fieldSize: MAX_CSV_BYTES, files: 1 }
+}).single('csvFile');
+
+/**
+ * Parse the multipart import form. Pasted text wins over an uploaded file, since
+ * the page copies a chosen file into the text box where it may then be edited;
+ * the file is only read when the box is empty (e.g. with JavaScript turned off).
+ * A file that breaks multer's limits is noted on the request for validation.
+ */
+const parseImportForm = (req, res, next) => {
+    csvUpload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            req.body ??= {};
+            req.csvError = error.code === 'LIMIT_FILE_SIZE' || error.code === 'LIMIT_FIELD_VALUE'
+                ? `The CSV must be ${MAX_CSV_BYTES / (1024 * 1024)} MB or smaller`
+                : 'Please choose a single CSV file';
+            return next();
+        }
+        if (error) return next(error);
+
+        if (!req.body.csv && req.file) {
+            req.body.csv = req.file.buffer.toString('utf8');
+        }
+        next();
+    });
+};
+
+/**
+ * Validation rules for the import form
+ */
+const importValidation = [
+    body('type')
+        .isIn(Object.keys(IMPORT_TYPES))
+        .withMessage('Please choose what the file contains'),
+    body('csv')
+        .custom((value, { req }) => {
+            if (req.csvError) throw new Error(req.csvError);
+            return true;
+        })
+        .bail()
+        .notEmpty()
+        .withMessage('Please choose a CSV file or paste its contents')
+];
+
+/**
+ * Render the import page. After a preview the CSV is kept in the form so the
+ * admin can import exactly what they previewed.
+ *
+ * @param {Object} values - Form values: { type, csv }
+ * @param {Object|null} report - Result of runImport, shown as a table of rows
+ */
+const renderImportForm = (res, { values, report = null }) => {
+    res.render('admin/import/form', {
+        title: 'Import from CSV',
+        importTypes: IMPORT_TYPES,
+        values,
+        report
+    });
+};
+
+// "3 sections" / "1 section", using the type's label
+const countLabel = (count, type) => {
+    const noun = type === 'faculty' ? 'faculty members' : type;
+    return `${count} ${count === 1 ? noun.replace(/s$/, '') : noun}`;
+};
+
+/**
+ * Display the empty import form.
+ */
+const showImportForm = (req, res) => {
+    renderImportForm(res, { values: { type: 'sections', csv: '' } });
+};
+
+/**
+ * Preview an import (the default) or, when the Import button was used, commit it.
+ * Nothing is saved unless every row is accepted.
+ */
+const processImport = async (req, res) => {
+    const values = { type: req.body.type, csv: req.body.csv ?? '' };
+    const commit = req.body.commit === '1';
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        // Store each validation error as a separate flash message
+        errors.array().forEach(error => {
+            req.flash('error', error.msg);
+        });
+        return renderImportForm(res.status(400), { values });
+    }
+
+    let report;
+    try {
+        report = await runImport(values.type, parseCsv(values.csv), { commit });
+    } catch (error) {
+        // Unreadable CSV or missing columns
+        if (error.status !== 400) throw error;
+        req.flash('error', error.message);
+        return renderImportForm(res.status(400), { values });
+    }
+
+    if (report.committed) {
+        const { insert, update } = report.counts;
+        req.flash('success', `Imported ${countLabel(insert + update, values.type)}: ${insert} added, ${update} updated`);
+        if (report.promoted > 0) {
+            req.flash('info', `${report.promoted} waitlisted ${report.promoted === 1 ? 'student was' : 'students were'} moved into new seats`);
+        }
+        return res.redirect('/admin/import');
+    }
+
+    if (commit) {
+        req.flash('error', `Nothing was imported because ${countLabel(report.counts.reject, 'rows')} ${report.counts.reject === 1 ? 'was' : 'were'} rejected. Fix them and preview again.`);
+        return renderImportForm(res.status(400), { values, report });
+    }
+
+    renderImportForm(res, { values, report });
+};
+
+// Routes (mounted at /admin/import)
+router.get('/', showImportForm);
+router.post('/', parseImportForm, importValidation, processImport);
+
+export default router;
@@ -0,0 +1,144 @@
+import { Router } from 'express';
+import { withQuery } from '../../utils/url.js';
+import { getBuildingUtilization, getRoomDoubleBookings, SCHEDULING_MINUTES_PER_WEEK } from '../../models/catalog/rooms.js';
+import { getAllTerms, resolveTerm } from '../../models/catalog/terms.js';
+import { MAX_CREDIT_HOURS, getFacultyTeachingLoads, getDepartmentTeachingLoads, getInstructorConflicts } from '../../models/faculty/teaching-load.js';
+import { requireRole } from '../../middleware/auth.js';
+
+const router = Router();
+
+// Reports are for admins only, checked here so the router is safe wherever it is mounted
+router.use(requireRole('admin'));
+
+/**
+ * Resolve ?term= for a report, sending a 404 to the error handler for unknown terms.
+ *
+ * @returns {Promise<Object|null>} Term object, or null if next() was already called
+ */
+const getReportTerm = async (req, next) => {
+    const term = await resolveTerm(req.query.term);
+
+    if (Object.keys(term).length === 0) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        next(err);
+        return null;
+    }
+
+    return term;
+};
+
+/**
+ * Room report: double-booked rooms and utilization per building.
+ */
+const roomReportPage = async (req, res, next) => {
+    const term = await getReportTerm(req, next);
+    if (!term) return;
+
+    const [doubleBookings, buildings, terms] = await Promise.all([
+        getRoomDoubleBookings(term.id),
+        getBuildingUtilization(term.id),
+        getAllTerms()
+    ]);
+
+    res.render('admin/reports/rooms', {
+        title: 'Room Report',
+        doubleBookings,
+        buildings,
+        term,
+        terms,
+        weeklyHours: SCHEDULING_MINUTES_PER_WEEK / 60
+    });
+};
+
+// Just the fields of a section that the teaching-load report needs
+const summarizeSection = (section) => ({
+    id: section.id,
+    courseCode: section.courseCode,
+    courseSlug: section.courseSlug,
+    time: section.time,
+    room: section.room
+});
+
+/**
+ * Build the teaching-load report for a term: each faculty member's load with their
+ * overlapping sections, plus per-department totals. ?department=CS narrows both lists.
+ *
+ * @param {Object} term - Term object
+ * @param {string|undefined} departmentCode - Optional department code filter
+ * @returns {Promise<Object>} { term, maxCreditHours, department, departments, faculty }
+ */
+const buildTeachingLoadReport = async (term, departmentCode) => {
+    const [facultyLoads, departmentLoads, conflicts] = await Promise.all([
+        getFacultyTeachingLoads(term.id),
+        getDepartmentTeachingLoads(term.id),
+        getInstructorConflicts(term.id)
+    ]);
+
+    const code = typeof departmentCode === 'string' ? departmentCode.toUpperCase() : '';
+    const inDepartment = (entry) => !code || entry.departmentCode === code;
+
+    const faculty = facultyLoads.filter(inDepartment).map(load => ({
+        ...load,
+        conflicts: conflicts
+            .filter(conflict => conflict.facultySlug === load.slug)
+            .map(conflict => ({ first: summarizeSection(conflict.first), second: summarizeSection(conflict.second) }))
+    }));
+
+    const departments = departmentLoads.filter(inDepartment).map(department => {
+        const members = faculty.filter(load => load.departmentCode === department.departmentCode);
+
+        return {
+            ...department,
+            overloadedCount: members.filter(load => load.overloaded).length,
+            conflictCount: members.reduce((total, load) => total + load.conflicts.length, 0)
+        };
+    });
+
+    return {
+        term: { code: term.code, name: term.name },
+        maxCreditHours: MAX_CREDIT_HOURS,
+        department: code || null,
+        departments,
+        faculty
+    };
+};
+
+/**
+ * Teaching-load report: sections and credit hours per faculty member and department,
+ * flagging overloaded instructors and instructors scheduled in two places at once.
+ */
+const teachingLoadReportPage = async (req, res, next) => {
+    const term = await getReportTerm(req, next);
+    if (!term) return;
+
+    const [report, terms] = await Promise.all([
+        buildTeachingLoadReport(term, req.query.department),
+        getAllTerms()
+    ]);
+
+    res.render('admin/reports/teaching-load', {
+        title: 'Teaching Load Report',
+        report,
+        term,
+        terms,
+        jsonUrl: withQuery('/admin/reports/teaching-load.json', { term: term.code, department: report.department })
+    });
+};
+
+/**
+ * Same report as teachingLoadReportPage, as JSON.
+ */
+const teachingLoadReportJson = async (req, res, next) => {
+    const term = await getReportTerm(req, next);
+    if (!term) return;
+
+    res.json(await buildTeachingLoadReport(term, req.query.department));
+};
+
+// Routes (mounted at /admin/reports)
+router.get('/rooms', roomReportPage);
+router.get('/teaching-load', teachingLoadReportPage);
+router.get('/teaching-load.json', teachingLoadReportJson);
+
+export default router;
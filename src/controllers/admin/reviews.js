@@ -0,0 +1,58 @@
+import { Router } from 'express';
+import { getReviewsByStatus, countReviewsByStatus, setReviewStatus, REVIEW_STATUSES } from '../../models/catalog/reviews.js';
+import { getPagination, buildPageInfo } from '../../utils/pagination.js';
+import { withQuery } from '../../utils/url.js';
+import { requireRole } from '../../middleware/auth.js';
+
+const router = Router();
+
+// Moderating reviews decides what every visitor reads, so only admins get in
+router.use(requireRole('admin'));
+
+/**
+ * List reviews in one moderation status (?status=, default: pending) with
+ * buttons to approve or reject them.
+ */
+const showReviewQueue = async (req, res) => {
+    const status = REVIEW_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+    const pagination = getPagination(req.query);
+
+    const [reviews, counts] = await Promise.all([
+        getReviewsByStatus(status, pagination),
+        countReviewsByStatus()
+    ]);
+
+    res.render('admin/reviews/list', {
+        title: 'Review Queue',
+        reviews,
+        counts,
+        currentStatus: status,
+        statusUrls: Object.fromEntries(REVIEW_STATUSES.map(option => [option, withQuery('/admin/reviews', { status: option })])),
+        pageInfo: buildPageInfo(pagination, counts[status], '/admin/reviews', req.query)
+    });
+};
+
+/**
+ * Approve or reject a review, depending on the route, then go back to the
+ * list it was moderated from.
+ */
+const processModeration = (status) => async (req, res, next) => {
+    const reviewId = Number.parseInt(req.params.reviewId, 10);
+    const review = Number.isInteger(reviewId) ? await setReviewStatus(reviewId, status) : {};
+
+    if (Object.keys(review).length === 0) {
+        const err = new Error(`Review ${req.params.reviewId} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    req.flash('success', `${status === 'approved' ? 'Approved' : 'Rejected'} ${review.authorName}'s review of ${review.courseCode}`);
+    res.redirect(withQuery('/admin/reviews', { status: REVIEW_STATUSES.includes(req.body.returnStatus) ? req.body.returnStatus : null }));
+};
+
+// Routes (mounted at /admin/reviews)
+router.get('/', showReviewQueue);
+router.post('/:reviewId/approve', processModeration('approved'));
+router.post('/:reviewId/reject', processModeration('rejected'));
+
+export default router;
@@ -0,0 +1,266 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import { getSectionById, getSectionsByTerm, createSection, updateSection } from '../../models/catalog/catalog.js';
+import { getAllCourses, getCourseBySlug } from '../../models/catalog/courses.js';
+import { getSortedFaculty, getFacultyBySlug } from '../../models/faculty/faculty.js';
+import { getAllTerms, getTermByCode, resolveTerm } from '../../models/catalog/terms.js';
+import { promoteWaitlist } from '../../models/catalog/enrollments.js';
+import { parseMeetingTime } from '../../utils/meeting-time.js';
+import { withQuery } from '../../utils/url.js';
+import { requireRole } from '../../middleware/auth.js';
+
+const router = Router();
+
+// Admins only
+router.use(requireRole('admin'));
+
+/**
+ * Validation rules shared by the add and edit forms
+ */
+const sectionValidation = [
+    body('termCode')
+        .trim()
+        .custom(async (code) => {
+            const term = await getTermByCode(code);
+            if (Object.keys(term).length === 0) throw new Error('Please choose a term');
+            return true;
+        }),
+    body('courseSlug')
+        .trim()
+        .custom(async (slug) => {
+            const course = await getCourseBySlug(slug);
+            if (Object.keys(course).length === 0) throw new Error('Please choose a course');
+            return true;
+        }),
+    body('facultySlug')
+        .trim()
+        .custom(async (slug) => {
+            const faculty = await getFacultyBySlug(slug);
+            if (Object.keys(faculty).length === 0) throw new Error('Please choose an instructor');
+            return true;
+        }),
+    body('time')
+        .trim()
+        .custom(value => parseMeetingTime(value) !== null)
+        .withMessage('Meeting time must be days and a time range, e.g. "Mon Wed Fri 9:00 AM - 9:50 AM" or "TTh 1:00-2:15 PM"'),
+    body('room')
+        .trim()
+        // 'stc  101' and 'STC 101' are the same room
+        .customSanitizer(value => value.replace(/\s+/g, ' ').toUpperCase())
+        .matches(/^[A-Z]{2,10} [0-9]{1,4}[A-Z]?$/)
+        .withMessage('Room must be a building code and room number, e.g. STC 101'),
+    body('capacity')
+        .isInt({ min: 0, max: 500 })
+        .withMessage('Capacity must be a whole number from 0 to 500')
+        .toInt()
+];
+
+/**
+ * Look up the section named by :sectionId, sending a 404 to the error handler if it doesn't exist.
+ *
+ * @returns {Promise<Object|null>} Section object, or null if next() was already called
+ */
+const findSection = async (req, next) => {
+    const sectionId = Number.parseInt(req.params.sectionId, 10);
+    const section = Number.isInteger(sectionId) ? await getSectionById(sectionId) : {};
+
+    if (Object.keys(section).length === 0) {
+        const err = new Error(`Section ${req.params.sectionId} not found`);
+        err.status = 404;
+        next(err);
+        return null;
+    }
+
+    return section;
+};
+
+/**
+ * Render the section form. The course and instructor dropdowns list active courses
+ * and faculty, plus whatever the section already uses so editing an older section
+ * doesn't silently change it.
+ *
+ * @param {Object} values - Form values: { id, termCode, courseSlug, facultySlug, time, room, capacity }
+ * @param {Array} conflicts - Existing sections that clash with the submitted one
+ */
+const renderSectionForm = async (res, { title, action, values, conflicts = [] }) => {
+    const [terms, courses, faculty] = await Promise.all([
+        getAllTerms(),
+        getAllCourses('course_code', { includeRetired: true }),
+        getSortedFaculty('name', undefined, { includeInactive: true })
+    ]);
+
+    res.render('admin/sections/form', {
+        title,
+        action,
+        values,
+        conflicts,
+        terms,
+        courses: courses.filter(course => !course.isRetired || course.slug === values.courseSlug),
+        faculty: faculty.filter(member => member.isActive || member.slug === values.facultySlug)
+    });
+};
+
+/**
+ * Validate a submitted section. Problems are flashed and the form is shown again.
+ *
+ * @returns {Promise<Object|null>} Fields for createSection/updateSection, or null if the form was shown again
+ */
+const checkSectionSubmission = async (req, res, { title, action, sectionId = null }) => {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        // Store each validation error as a separate flash message
+        errors.array().forEach(error => {
+            req.flash('error', error.msg);
+        });
+        await renderSectionForm(res.status(400), { title, action, values: { id: sectionId, ...req.body } });
+        return null;
+    }
+
+    const term = await getTermByCode(req.body.termCode);
+    const { courseSlug, facultySlug, room, capacity } = req.body;
+
+    return { courseSlug, facultySlug, termId: term.id, meeting: parseMeetingTime(req.body.time), room, capacity };
+};
+
+/**
+ * Save a section with createSection/updateSection. Those refuse a section whose
+ * instructor or room is already booked at an overlapping time in the same term; the
+ * form is then shown again, listing the conflicting sections.
+ *
+ * @param {Function} save - async () => saved section
+ * @returns {Promise<Object|null>} The saved section, or null if the form was shown again
+ */
+const saveSection = async (req, res, { title, action, sectionId = null }, fields, save) => {
+    try {
+        return await save();
+    } catch (error) {
+        if (error.status !== 409 || !error.conflicts) throw error;
+
+        error.conflicts.forEach(conflict => {
+            const clashes = [
+                conflict.professorSlug === fields.facultySlug ? 'instructor' : null,
+                conflict.room === fields.room ? 'room' : null
+            ].filter(Boolean).join(' and ');
+
+            req.flash('error', `Same ${clashes} as ${conflict.courseCode} (${conflict.time}, ${conflict.professor}, ${conflict.room})`);
+        });
+        await renderSectionForm(res.status(409), { title, action, values: { id: sectionId, ...req.body }, conflicts: error.conflicts });
+        return null;
+    }
+};
+
+/**
+ * List the sections in a term with links to add and edit them.
+ */
+const showSectionList = async (req, res, next) => {
+    const term = await resolveTerm(req.query.term);
+
+    if (Object.keys(term).length === 0) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const [sections, terms] = await Promise.all([
+        getSectionsByTerm(term.id),
+        getAllTerms()
+    ]);
+
+    res.render('admin/sections/list', {
+        title: 'Manage Sections',
+        sections,
+        term,
+        terms,
+        newUrl: withQuery('/admin/sections/new', { term: term.code })
+    });
+};
+
+/**
+ * Display an empty form for a new section, preset to ?term= (default: the current term).
+ */
+const showNewSectionForm = async (req, res) => {
+    const term = await resolveTerm(req.query.term);
+
+    await renderSectionForm(res, {
+        title: 'Add Section',
+        action: '/admin/sections',
+        values: { termCode: term.code, capacity: 30 }
+    });
+};
+
+/**
+ * Create a section from the submitted form.
+ */
+const processNewSection = async (req, res) => {
+    const form = { title: 'Add Section', action: '/admin/sections' };
+    const fields = await checkSectionSubmission(req, res, form);
+    if (!fields) return;
+
+    const section = await saveSection(req, res, form, fields, () => createSection(fields));
+    if (!section) return;
+
+    req.flash('success', `Added ${section.courseCode} (${section.time}) in ${section.room}`);
+    res.redirect(withQuery('/admin/sections', { term: section.termCode }));
+};
+
+/**
+ * Display the edit form for an existing section.
+ */
+const showEditSectionForm = async (req, res, next) => {
+    const section = await findSection(req, next);
+    if (!section) return;
+
+    await renderSectionForm(res, {
+        title: `Edit ${section.courseCode} Section`,
+        action: `/admin/sections/${section.id}/edit`,
+        values: {
+            id: section.id,
+            termCode: section.termCode,
+            courseSlug: section.courseSlug,
+            facultySlug: section.professorSlug,
+            time: section.time,
+            room: section.room,
+            capacity: section.capacity
+        }
+    });
+};
+
+/**
+ * Save changes to an existing section. Raising the capacity moves waitlisted
+ * students into the new seats.
+ */
+const processEditSection = async (req, res, next) => {
+    const section = await findSection(req, next);
+    if (!section) return;
+
+    const form = {
+        title: `Edit ${section.courseCode} Section`,
+        action: `/admin/sections/${section.id}/edit`,
+        sectionId: section.id
+    };
+    const fields = await checkSectionSubmission(req, res, form);
+    if (!fields) return;
+
+    const updated = await saveSection(req, res, form, fields, () => updateSection(section.id, fields));
+    if (!updated) return;
+    req.flash('success', `Saved changes to ${updated.courseCode} (${updated.time})`);
+
+    if (updated.capacity > section.capacity && !updated.termIsPast) {
+        const promoted = await promoteWaitlist(updated.id);
+        if (promoted.length > 0) {
+            req.flash('info', `${promoted.length} waitlisted ${promoted.length === 1 ? 'student was' : 'students were'} moved into the new seats`);
+        }
+    }
+
+    res.redirect(withQuery('/admin/sections', { term: updated.termCode }));
+};
+
+// Routes (mounted at /admin/sections)
+router.get('/', showSectionList);
+router.get('/new', showNewSectionForm);
+router.post('/', sectionValidation, processNewSection);
+router.get('/:sectionId/edit', showEditSectionForm);
+router.post('/:sectionId/edit', sectionValidation, processEditSection);
+
+export default router;
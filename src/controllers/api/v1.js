@@ -0,0 +1,141 @@
+import { Router } from 'express';
+import { getAllCourses, countCourses, getCourseBySlug, COURSE_SORT_OPTIONS } from '../../models/catalog/courses.js';
+import { getSectionsByCourseSlug, SECTION_SORT_OPTIONS } from '../../models/catalog/catalog.js';
+import { getAllDepartments } from '../../models/catalog/departments.js';
+import { resolveTerm } from '../../models/catalog/terms.js';
+import { getSortedFaculty, countFaculty, getFacultyBySlug, FACULTY_SORT_OPTIONS } from '../../models/faculty/faculty.js';
+import { getPagination } from '../../utils/pagination.js';
+
+/**
+ * Read-only JSON API, version 1. Mounted at /api/v1.
+ *
+ * Every successful response uses the same envelope:
+ *   { "data": <object or array>, "meta": { ... } }
+ * List endpoints put sorting and pagination details in meta.
+ * Errors are returned by globalErrorHandler as { "error": { "status", "message" } }.
+ */
+const router = Router();
+
+/**
+ * Read ?sort= for an endpoint. Unlike the HTML pages, which quietly fall back to the
+ * default, the API rejects unknown values so client typos don't go unnoticed.
+ *
+ * @param {Object} query - Request query parameters
+ * @param {Array<string>} options - Allowed sort values
+ * @param {string} defaultSort - Value used when ?sort= is missing
+ * @returns {string} The sort to use
+ * @throws {Error} With status 400 for an unknown sort value
+ */
+const getSort = (query, options, defaultSort) => {
+    if (query.sort === undefined) return defaultSort;
+
+    if (!options.includes(query.sort)) {
+        const err = new Error(`Invalid sort "${query.sort}". Use one of: ${options.join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+
+    return query.sort;
+};
+
+// Pagination details for list envelopes
+const pageMeta = (pagination, total) => ({
+    page: pagination.page,
+    limit: pagination.limit,
+    total,
+    totalPages: Math.max(Math.ceil(total / pagination.limit), 1)
+});
+
+// Models return {} when a record is missing; the API turns that into a JSON 404
+const notFound = (message) => {
+    const err = new Error(message);
+    err.status = 404;
+    return err;
+};
+
+/**
+ * GET /api/v1/courses?sort=department|name|course_code&page=&limit=
+ */
+const listCourses = async (req, res) => {
+    const sort = getSort(req.query, COURSE_SORT_OPTIONS, 'department');
+    const pagination = getPagination(req.query);
+
+    const [courses, total] = await Promise.all([
+        getAllCourses(sort, {}, pagination),
+        countCourses()
+    ]);
+
+    res.json({ data: courses, meta: { sort, ...pageMeta(pagination, total) } });
+};
+
+/**
+ * GET /api/v1/courses/:slug
+ */
+const showCourse = async (req, res) => {
+    const course = await getCourseBySlug(req.params.slug);
+    if (Object.keys(course).length === 0) throw notFound(`Course ${req.params.slug} not found`);
+
+    res.json({ data: course, meta: {} });
+};
+
+/**
+ * GET /api/v1/courses/:slug/sections?sort=time|professor|room&term=fall-2026
+ */
+const listCourseSections = async (req, res) => {
+    const sort = getSort(req.query, SECTION_SORT_OPTIONS, 'time');
+
+    const course = await getCourseBySlug(req.params.slug);
+    if (Object.keys(course).length === 0) throw notFound(`Course ${req.params.slug} not found`);
+
+    const term = await resolveTerm(req.query.term);
+    if (Object.keys(term).length === 0) throw notFound(`Term ${req.query.term} not found`);
+
+    const sections = await getSectionsByCourseSlug(course.slug, sort, term.id);
+
+    res.json({
+        data: sections,
+        meta: { sort, course: course.slug, term: term.code, total: sections.length }
+    });
+};
+
+/**
+ * GET /api/v1/faculty?sort=name|department|title&page=&limit=
+ */
+const listFaculty = async (req, res) => {
+    const sort = getSort(req.query, FACULTY_SORT_OPTIONS, 'department');
+    const pagination = getPagination(req.query);
+
+    const [faculty, total] = await Promise.all([
+        getSortedFaculty(sort, pagination),
+        countFaculty()
+    ]);
+
+    res.json({ data: faculty, meta: { sort, ...pageMeta(pagination, total) } });
+};
+
+/**
+ * GET /api/v1/faculty/:slug
+ */
+const showFaculty = async (req, res) => {
+    const facultyMember = await getFacultyBySlug(req.params.slug);
+    if (Object.keys(facultyMember).length === 0) throw notFound(`Faculty member ${req.params.slug} not found`);
+
+    res.json({ data: facultyMember, meta: {} });
+};
+
+/**
+ * GET /api/v1/departments
+ */
+const listDepartments = async (req, res) => {
+    const departments = await getAllDepartments();
+    res.json({ data: departments, meta: { total: departments.length } });
+};
+
+router.get('/courses', listCourses);
+router.get('/courses/:slug', showCourse);
+router.get('/courses/:slug/sections', listCourseSections);
+router.get('/faculty', listFaculty);
+router.get('/faculty/:slug', showFaculty);
+router.get('/departments', listDepartments);
+
+export default router;
@@ -1,18 +1,209 @@
 // Update these imports:
-import { getAllCourses, getCourseBySlug } from '../../models/catalog/courses.js';
-import { getSectionsByCourseSlug, getCoursesByDepartment } from '../../models/catalog/catalog.js';
+import { getAllCourses, streamAllCourses, countCourses, getCourseBySlug, getCreditHourOptions, COURSE_SORT_OPTIONS, TIME_OF_DAY_RANGES } from '../../models/catalog/courses.js';
+import { getSectionsByCourseSlug, streamSectionsByCourseSlug, getCoursesByDepartment, SECTION_SORT_OPTIONS } from '../../models/catalog/catalog.js';
+import { getAllDepartments, getDepartmentByCode, getDepartmentCourseOfferings } from '../../models/catalog/departments.js';
+import { getFacultyByDepartment } from '../../models/faculty/faculty.js';
+import { getRequisitesByCourse, getCoursesLeadingFrom, getPrerequisitePath } from '../../models/catalog/prerequisites.js';
+import { getAllTerms, resolveTerm } from '../../models/catalog/terms.js';
+import { getEnrollmentStatuses } from '../../models/catalog/enrollments.js';
+import { getScheduledSectionIds } from '../../models/catalog/schedule.js';
+import { getApprovedReviews, getUserReview, getRatingSummaries } from '../../models/catalog/reviews.js';
+import { DAY_NAMES } from '../../utils/meeting-time.js';
+import { withQuery } from '../../utils/url.js';
+import { getPagination, buildPageInfo } from '../../utils/pagination.js';
+import { EXPORT_FORMATS, sendExport } from '../../utils/export.js';
 import pool from "../../models/db.js";
 
+/**
+ * Read the catalog filters from the query string, ignoring anything invalid.
+ * Query params: department, credits, day, time (morning/afternoon/evening), instructor
+ */
+const getCatalogFilters = (query) => {
+    const filters = {};
+
+    if (typeof query.department === 'string' && /^[A-Za-z]{1,20}$/.test(query.department)) {
+        filters.department = query.department.toUpperCase();
+    }
+
+    const credits = Number.parseInt(query.credits, 10);
+    if (credits > 0) {
+        filters.credits = credits;
+    }
+
+    if (DAY_NAMES.includes(query.day)) {
+        filters.day = query.day;
+    }
+
+    if (Object.hasOwn(TIME_OF_DAY_RANGES, query.time)) {
+        filters.timeOfDay = query.time;
+    }
+
+    if (typeof query.instructor === 'string' && query.instructor.trim()) {
+        filters.instructor = query.instructor.trim().slice(0, 100);
+    }
+
+    return filters;
+};
+
+/**
+ * Describe each active filter for the view, with a link that removes just that filter.
+ */
+const describeActiveFilters = (filters, query, departments) => {
+    const activeFilters = [];
+    // Changing the filters changes the result set, so always go back to the first page
+    const clearUrl = (param) => withQuery('/catalog', query, { [param]: null, page: null });
+
+    if (filters.department) {
+        const department = departments.find(dept => dept.code === filters.department);
+        activeFilters.push({
+            label: 'Department',
+            value: department ? department.name : filters.department,
+            clearUrl: clearUrl('department')
+        });
+    }
+
+    if (filters.credits) {
+        activeFilters.push({ label: 'Credits', value: filters.credits, clearUrl: clearUrl('credits') });
+    }
+
+    if (filters.day) {
+        activeFilters.push({ label: 'Day', value: filters.day, clearUrl: clearUrl('day') });
+    }
+
+    if (filters.timeOfDay) {
+        activeFilters.push({
+            label: 'Time of day',
+            value: TIME_OF_DAY_RANGES[filters.timeOfDay].label,
+            clearUrl: clearUrl('time')
+        });
+    }
+
+    if (filters.instructor) {
+        activeFilters.push({ label: 'Instructor', value: filters.instructor, clearUrl: clearUrl('instructor') });
+    }
+
+    return activeFilters;
+};
+
 // Route handler for the course catalog list page
 export const catalogPage = async (req, res) => {
     console.log('[catalogPage] Router working');
+
+    const sortBy = COURSE_SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'department';
+    const filters = getCatalogFilters(req.query);
+    const pagination = getPagination(req.query);
+
     // Model functions are async, so we must await them
-    const courses = await getAllCourses();
-    console.log('[catalogPage] Retrieved courses')
+    const [courses, totalCourses, departments, creditOptions] = await Promise.all([
+        getAllCourses(sortBy, filters, pagination),
+        countCourses(filters),
+        getAllDepartments(),
+        getCreditHourOptions()
+    ]);
+    console.log(`[catalogPage] Retrieved ${courses.length} of ${totalCourses} courses`);
+
+    // Average of approved reviews for the courses on this page
+    const ratings = await getRatingSummaries(courses.map(course => course.id));
     
     res.render('catalog/list', {
         title: 'Course Catalog',
-        courses: courses
+        courses: courses,
+        ratings,
+        currentSort: sortBy,
+        filters,
+        activeFilters: describeActiveFilters(filters, req.query, departments),
+        clearAllUrl: withQuery('/catalog', { sort: req.query.sort ? sortBy : null, limit: req.query.limit }),
+        sortUrls: Object.fromEntries(COURSE_SORT_OPTIONS.map(sort => [sort, withQuery('/catalog', req.query, { sort, page: null })])),
+        pageInfo: buildPageInfo(pagination, totalCourses, '/catalog', req.query),
+        // Downloads contain every matching course, so the page number is dropped
+        exportUrls: Object.fromEntries(EXPORT_FORMATS.map(format => [format, withQuery(`/catalog.${format}`, req.query, { page: null, limit: null })])),
+        departments,
+        creditOptions,
+        dayOptions: DAY_NAMES.slice(0, 6),
+        timeOfDayOptions: TIME_OF_DAY_RANGES
+    });
+};
+
+// Columns in the catalog download, in CSV column order
+const COURSE_EXPORT_COLUMNS = [
+    { key: 'courseCode', header: 'Course Code' },
+    { key: 'name', header: 'Name' },
+    { key: 'department', header: 'Department' },
+    { key: 'departmentCode', header: 'Department Code' },
+    { key: 'creditHours', header: 'Credit Hours' },
+    { key: 'description', header: 'Description' },
+    { key: 'slug', header: 'Slug' }
+];
+
+// Columns in a course's section download
+const SECTION_EXPORT_COLUMNS = [
+    { key: 'courseCode', header: 'Course Code' },
+    { key: 'termCode', header: 'Term' },
+    { key: 'days', header: 'Days' },
+    { key: 'startTime', header: 'Start Time' },
+    { key: 'endTime', header: 'End Time' },
+    { key: 'time', header: 'Meeting Time' },
+    { key: 'room', header: 'Room' },
+    { key: 'professor', header: 'Instructor' },
+    { key: 'capacity', header: 'Capacity' },
+    { key: 'enrolledCount', header: 'Enrolled' },
+    { key: 'seatsRemaining', header: 'Seats Remaining' }
+];
+
+// Route handler for /catalog.csv and /catalog.json - same sort and filters as the list page
+export const catalogExport = async (req, res, next) => {
+    const format = req.params.format;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        const err = new Error(`Unknown export format: ${format}`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const sortBy = COURSE_SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'department';
+    const filters = getCatalogFilters(req.query);
+
+    await sendExport(res, {
+        format,
+        filename: 'catalog',
+        columns: COURSE_EXPORT_COLUMNS,
+        stream: (onBatch) => streamAllCourses(sortBy, filters, onBatch)
+    });
+};
+
+// Route handler for /catalog/:slug/sections.csv and .json - same sort and ?term= as the detail page
+export const courseSectionsExport = async (req, res, next) => {
+    const format = req.params.format;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        const err = new Error(`Unknown export format: ${format}`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const course = await getCourseBySlug(req.params.slug);
+
+    if (Object.keys(course).length === 0) {
+        const err = new Error(`Course ${req.params.slug} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const term = await resolveTerm(req.query.term);
+
+    if (Object.keys(term).length === 0) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const sortBy = SECTION_SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'time';
+
+    await sendExport(res, {
+        format,
+        filename: `${course.slug}-sections-${term.code}`,
+        columns: SECTION_EXPORT_COLUMNS,
+        stream: (onBatch) => streamSectionsByCourseSlug(course.slug, sortBy, term.id, onBatch)
     });
 };
 
@@ -20,8 +211,8 @@ export const catalogPage = async (req, res) => {
 export const courseDetailPage = async (req, res, next) => {
     const courseSlug = req.params.slug;
 
-    // Pass the sortBy parameter directly to the model - PostgreSQL handles the sorting
-    const sortBy = req.query.sort || 'time';
+    // Pass the sortBy parameter to the model - PostgreSQL handles the sorting
+    const sortBy = SECTION_SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'time';
     
     console.log(`[courseDetailPage] Route working for courseSlug=${courseSlug}, sort=${sortBy}`);
     // Model functions are async, so we must await them
@@ -38,16 +229,85 @@ export const courseDetailPage = async (req, res, next) => {
         err.status = 404;
         return next(err);
     }
+
+    // ?term=fall-2026 picks a term; without it we show the current term
+    const term = await resolveTerm(req.query.term);
+
+    if (Object.keys(term).length === 0) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        return next(err);
+    }
     
-    // Get sections (course offerings) separately from the catalog
-    const sections = await getSectionsByCourseSlug(courseSlug, sortBy);
+    // Get sections (course offerings) and requisites separately from the catalog
+    const [sections, requisites, leadsTo, terms] = await Promise.all([
+        getSectionsByCourseSlug(courseSlug, sortBy, term.id),
+        getRequisitesByCourse(course.id),
+        getCoursesLeadingFrom(course.id),
+        getAllTerms()
+    ]);
     course.sections = sections;
-    console.log(`[courseDetailPage] Retrieved ${sections.length} sections`);
+    console.log(`[courseDetailPage] Retrieved ${sections.length} sections for ${term.name}`);
+
+    // Logged-in users see whether they are enrolled, waitlisted or planning each section
+    const userId = req.session?.user?.id;
+    const sectionIds = sections.map(section => section.id);
+    const [enrollmentStatuses, scheduledSectionIds, reviews, userReview, ratings] = await Promise.all([
+        getEnrollmentStatuses(userId, sectionIds),
+        getScheduledSectionIds(userId, sectionIds),
+        getApprovedReviews(course.id),
+        getUserReview(userId, course.id),
+        getRatingSummaries([course.id])
+    ]);
 
     res.render('catalog/detail', {
         title: `${course.courseCode} - ${course.name}`,
         course,
-        currentSort: sortBy
+        requisites,
+        leadsTo,
+        term,
+        terms,
+        enrollmentStatuses,
+        scheduledSectionIds,
+        reviews,
+        userReview,
+        rating: ratings[course.id] ?? null,
+        currentUrl: req.originalUrl,
+        currentSort: sortBy,
+        // Sort links keep the selected term
+        sortUrls: Object.fromEntries(SECTION_SORT_OPTIONS.map(sort => [
+            sort, withQuery(`/catalog/${course.slug}`, { term: req.query.term, sort: sort === 'time' ? null : sort })
+        ])),
+        exportUrls: Object.fromEntries(EXPORT_FORMATS.map(format => [
+            format, withQuery(`/catalog/${course.slug}/sections.${format}`, { term: term.code, sort: sortBy === 'time' ? null : sortBy })
+        ]))
+    });
+};
+
+// Route handler for the full prerequisite chain needed to reach a course
+export const coursePathPage = async (req, res, next) => {
+    const courseSlug = req.params.slug;
+    const course = await getCourseBySlug(courseSlug);
+
+    if (Object.keys(course).length === 0) {
+        const err = new Error(`Course ${courseSlug} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const steps = await getPrerequisitePath(course.id);
+
+    // Group the steps by level so the view can show what can be taken together
+    const levels = [];
+    steps.forEach(step => {
+        levels[step.level - 1] = levels[step.level - 1] || [];
+        levels[step.level - 1].push(step);
+    });
+
+    res.render('catalog/path', {
+        title: `Path to ${course.courseCode}`,
+        course,
+        levels: levels.filter(Boolean)
     });
 };
 
@@ -70,7 +330,7 @@ export const departmentsPage = async (req, res, next) => {
     const departments = await getCoursesByDepartment();
     console.log("[departmentsPage] Departments found:", departments.length);
 
-    res.render("departments", { departments });
+    res.render("catalog/departments", { title: 'Departments', departments });
   } catch (err) {
     console.error("[departmentsPage] Error:", err.message);
     next(err);
@@ -79,37 +339,50 @@ export const departmentsPage = async (req, res, next) => {
 
 
 
-//export const catalogPage = (req, res, next) => {
-//    const { sort, credits, professor } = req.query;
-//
-//    let courses = getAllCourses();
-//    let courseList = Object.values(courses);
-//
-//    if (credits) {
-//        courseList = courseList.filter(c => c.credits === Number(credits));
-//    }
-//
-//    if (professor) {
-//        courseList = courseList.filter(c => 
-//            c.sections.some(s => s.professor.toLowerCase().includes(professor.toLowerCase()))
-//        );
-//
-//    }
-//
-//    if (sort === 'credits') {
-//        courseList.sort((a, b) => a.credits - b.credits);
-//    } else if (sort === 'title') {
-//        courseList.sort((a, b) => a.title.localeCompare(b.title));
-//    }
-//
-//    res.render ('catalog', {
-//        title: 'Course Catalog',
-//        courses: courseList,
-//        filters: { credits, professor },
-//        currentSort: sort
-//    });
-//};
-//
+// Route handler for a single department: its courses, faculty, and what it offers in a term
+export const departmentDetailPage = async (req, res, next) => {
+    const department = await getDepartmentByCode(req.params.code);
+
+    if (Object.keys(department).length === 0) {
+        const err = new Error(`Department ${req.params.code} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const term = await resolveTerm(req.query.term);
+
+    if (Object.keys(term).length === 0) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const [courses, faculty, terms] = await Promise.all([
+        getDepartmentCourseOfferings(department.id, term.id),
+        getFacultyByDepartment(department.id, 'name'),
+        getAllTerms()
+    ]);
+
+    const offered = courses.filter(course => course.sectionCount > 0);
+
+    res.render('catalog/department', {
+        title: `${department.name} Department`,
+        department,
+        courses,
+        faculty,
+        term,
+        terms,
+        totals: {
+            courses: courses.length,
+            creditHours: courses.reduce((total, course) => total + course.creditHours, 0),
+            coursesOffered: offered.length,
+            sections: offered.reduce((total, course) => total + course.sectionCount, 0),
+            // Credit hours of every section scheduled this term
+            sectionCreditHours: offered.reduce((total, course) => total + course.creditHours * course.sectionCount, 0)
+        }
+    });
+};
+
 //export const courseDetailPage = (req, res, next) => {
 //    const courseId = req.params.courseId.toUpperCase();
 //
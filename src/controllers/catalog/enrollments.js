@@ -0,0 +1,73 @@
+import { enrollInSection, dropSection } from '../../models/catalog/enrollments.js';
+import { getSectionById } from '../../models/catalog/catalog.js';
+import { withQuery, safeReturnPath } from '../../utils/url.js';
+
+/**
+ * Where to send the user after enrolling or dropping. Forms can pass a local path in
+ * returnTo (e.g. the dashboard); otherwise we go back to the section's course page.
+ */
+const getReturnUrl = (req, section) =>
+    safeReturnPath(req.body.returnTo, withQuery(`/catalog/${section.courseSlug}`, { term: section.termCode }));
+
+/**
+ * Look up the section from the :sectionId route parameter.
+ * Returns an empty object for IDs that aren't a number or don't exist.
+ */
+const findSection = async (req) => {
+    const sectionId = Number.parseInt(req.params.sectionId, 10);
+    if (!Number.isInteger(sectionId)) return {};
+    return getSectionById(sectionId);
+};
+
+// Route handler for enrolling in a section (joins the waitlist when the section is full)
+export const processEnroll = async (req, res, next) => {
+    const section = await findSection(req);
+
+    if (Object.keys(section).length === 0) {
+        const err = new Error('Section not found');
+        err.status = 404;
+        return next(err);
+    }
+
+    try {
+        const result = await enrollInSection(req.session.user.id, section.id);
+
+        if (result.status === 'enrolled') {
+            req.flash('success', `You are enrolled in ${section.courseCode} (${section.time}).`);
+        } else {
+            req.flash('success', `${section.courseCode} (${section.time}) is full. You are #${result.position} on the waitlist.`);
+        }
+    } catch (error) {
+        // Expected problems (already enrolled, past term) become flash messages
+        if (!error.status || error.status >= 500) throw error;
+        req.flash('error', error.message);
+    }
+
+    res.redirect(getReturnUrl(req, section));
+};
+
+// Route handler for dropping a section or leaving its waitlist
+export const processDrop = async (req, res, next) => {
+    const section = await findSection(req);
+
+    if (Object.keys(section).length === 0) {
+        const err = new Error('Section not found');
+        err.status = 404;
+        return next(err);
+    }
+
+    try {
+        const result = await dropSection(req.session.user.id, section.id);
+
+        if (result.status === 'enrolled') {
+            req.flash('success', `You dropped ${section.courseCode} (${section.time}).`);
+        } else {
+            req.flash('success', `You left the waitlist for ${section.courseCode} (${section.time}).`);
+        }
+    } catch (error) {
+        if (!error.status || error.status >= 500) throw error;
+        req.flash('error', error.message);
+    }
+
+    res.redirect(getReturnUrl(req, section));
+};
@@ -0,0 +1,51 @@
+import { body, validationResult } from 'express-validator';
+import { getCourseBySlug } from '../../models/catalog/courses.js';
+import { saveReview } from '../../models/catalog/reviews.js';
+import { looksLikeSpam } from '../../utils/spam.js';
+
+/**
+ * Validation rules for the review form on a course page
+ */
+export const reviewValidation = [
+    body('rating')
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Please choose a rating from 1 to 5 stars')
+        .toInt(),
+    body('body')
+        .trim()
+        .isLength({ min: 10, max: 1000 })
+        .withMessage('Review must be between 10 and 1000 characters')
+        .bail()
+        .custom((value) => {
+            if (looksLikeSpam(value)) {
+                throw new Error('Review appears to be spam');
+            }
+            return true;
+        })
+];
+
+// Route handler for adding or replacing the logged-in user's review of a course
+export const processReview = async (req, res, next) => {
+    const course = await getCourseBySlug(req.params.slug);
+
+    if (Object.keys(course).length === 0) {
+        const err = new Error(`Course ${req.params.slug} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        // Store each validation error as a separate flash message
+        errors.array().forEach(error => {
+            req.flash('error', error.msg);
+        });
+        return res.redirect(`/catalog/${course.slug}#reviews`);
+    }
+
+    await saveReview(req.session.user.id, course.id, { rating: req.body.rating, body: req.body.body });
+
+    req.flash('success', `Thanks for reviewing ${course.courseCode}! Your review will appear once it has been approved.`);
+    res.redirect(`/catalog/${course.slug}#reviews`);
+};
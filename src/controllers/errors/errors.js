@@ -28,6 +28,17 @@ export const globalErrorHandler = (err, req, res, next) => {
         Stack: ${err.stack}
             `);
 
+    // API clients get JSON. Client errors (4xx) keep their message; server errors are
+    // hidden in production just like on the HTML error pages.
+    if (req.originalUrl.startsWith('/api/')) {
+        return res.status(status).json({
+            error: {
+                status,
+                message: status < 500 || NODE_ENV !== 'production' ? err.message : 'An error occurred'
+            }
+        });
+    }
+
     const template = status === 404 ? '404' : '500';
 
     const context = {
@@ -1,15 +1,61 @@
-import { getFacultyBySlug, getSortedFaculty } from "../../models/faculty/faculty.js";
+import { getFacultyBySlug, getFacultyByUserId, getSortedFaculty, streamSortedFaculty, countFaculty, FACULTY_SORT_OPTIONS } from "../../models/faculty/faculty.js";
+import { getPagination, buildPageInfo } from '../../utils/pagination.js';
+import { EXPORT_FORMATS, sendExport } from '../../utils/export.js';
+import { withQuery } from '../../utils/url.js';
+import { renderMarkdown } from '../../utils/markdown.js';
+import { getCoursesByFacultySlug } from '../../models/catalog/catalog.js';
+import { getAllTerms, resolveTerm } from '../../models/catalog/terms.js';
+import { getOfficeHours, getOpenSlots, SLOT_MINUTES } from '../../models/faculty/office-hours.js';
 
 export const facultyListPage = async (req, res) => {
-    const validSortOptions = ['name', 'department', 'title'];
-    const sortBy = validSortOptions.includes(req.query.sort) ? req.query.sort : 'department';
-    const facultyList = await getSortedFaculty(sortBy);
+    const sortBy = FACULTY_SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'department';
+    const pagination = getPagination(req.query);
+
+    const [facultyList, totalFaculty] = await Promise.all([
+        getSortedFaculty(sortBy, pagination),
+        countFaculty()
+    ]);
 
     res.render('faculty/list', {
         title: 'Faculty List',
         faculty: facultyList,
-        currentSort: sortBy
-        
+        currentSort: sortBy,
+        // Changing the sort starts over at page 1
+        sortUrls: Object.fromEntries(FACULTY_SORT_OPTIONS.map(sort => [sort, withQuery('/faculty', req.query, { sort, page: null })])),
+        pageInfo: buildPageInfo(pagination, totalFaculty, '/faculty', req.query),
+        exportUrls: Object.fromEntries(EXPORT_FORMATS.map(format => [format, withQuery(`/faculty.${format}`, { sort: req.query.sort ? sortBy : null })]))
+    });
+};
+
+// Columns in the faculty directory download
+const FACULTY_EXPORT_COLUMNS = [
+    { key: 'name', header: 'Name' },
+    { key: 'title', header: 'Title' },
+    { key: 'department', header: 'Department' },
+    { key: 'departmentCode', header: 'Department Code' },
+    { key: 'office', header: 'Office' },
+    { key: 'phone', header: 'Phone' },
+    { key: 'email', header: 'Email' },
+    { key: 'slug', header: 'Slug' }
+];
+
+// Route handler for /faculty.csv and /faculty.json - same sort as the directory page
+export const facultyExport = async (req, res, next) => {
+    const format = req.params.format;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        const err = new Error(`Unknown export format: ${format}`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const sortBy = FACULTY_SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'department';
+
+    await sendExport(res, {
+        format,
+        filename: 'faculty',
+        columns: FACULTY_EXPORT_COLUMNS,
+        stream: (onBatch) => streamSortedFaculty(sortBy, onBatch)
     });
 };
 
@@ -25,8 +71,38 @@ export const facultyDetailPage = async (req, res, next) => {
         return next(err);
     }
 
+    // Show the sections this person teaches in the selected term (default: current term)
+    const term = await resolveTerm(req.query.term);
+
+    if (Object.keys(term).length === 0) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const user = req.session.user;
+
+    // Former faculty keep their teaching history but no longer take appointments
+    const [sections, terms, officeHours, openSlots, ownProfile] = await Promise.all([
+        getCoursesByFacultySlug(facultySlug, 'time', term.id),
+        getAllTerms(),
+        facultyMember.isActive ? getOfficeHours(facultyMember.id) : [],
+        facultyMember.isActive ? getOpenSlots(facultyMember.id) : [],
+        user ? getFacultyByUserId(user.id) : {}
+    ]);
+
     res.render('faculty/detail', {
         title: `${facultyMember.name} - Faculty Profile`,
-        faculty: facultyMember
+        faculty: facultyMember,
+        bioHtml: renderMarkdown(facultyMember.bio),
+        sections,
+        term,
+        terms,
+        officeHours,
+        openSlots,
+        slotMinutes: SLOT_MINUTES,
+        canBook: Boolean(user),
+        // Faculty looking at their own profile get a link to manage their hours instead
+        isOwnProfile: ownProfile.id === facultyMember.id
     });
 };
\ No newline at end of file
@@ -0,0 +1,210 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import { getFacultyBySlug, getFacultyByUserId } from '../../models/faculty/faculty.js';
+import {
+    getOfficeHours, getOverlappingOfficeHours, addOfficeHours, deleteOfficeHours,
+    bookAppointment, getAppointmentById, cancelAppointment
+} from '../../models/faculty/office-hours.js';
+import { DAY_NAMES, toMinutes } from '../../utils/meeting-time.js';
+import { safeReturnPath } from '../../utils/url.js';
+
+const router = Router();
+
+// Slot values posted by the booking form, e.g. '2026-10-20T14:15'
+const SLOT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+/**
+ * Check a posted slot is shaped like one from the booking form and names a real
+ * date and time. Reading it as UTC and writing it back only gives the same text
+ * for real ones; '2026-02-30T10:00' or '2026-10-20T25:00' roll over to another
+ * day, and PostgreSQL would reject them outright.
+ *
+ * @param {string} value - Posted slot, e.g. '2026-10-20T14:15'
+ * @returns {boolean} True if the slot is a real date and time
+ */
+const isSlotValue = (value) => {
+    if (!SLOT_PATTERN.test(value)) return false;
+    const date = new Date(`${value}:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 16) === value;
+};
+
+/**
+ * Validation rules for adding an office-hour block. Times come from
+ * <input type="time" step="900">, so they're 'HH:MM' on a quarter hour.
+ */
+const officeHoursValidation = [
+    body('day')
+        .isIn(DAY_NAMES)
+        .withMessage('Please choose a day'),
+    body('startTime')
+        .matches(/^([01]\d|2[0-3]):(00|15|30|45)$/)
+        .withMessage('Start time must be on the hour or a quarter past, e.g. 2:15 PM'),
+    body('endTime')
+        .matches(/^([01]\d|2[0-3]):(00|15|30|45)$/)
+        .withMessage('End time must be on the hour or a quarter past, e.g. 3:00 PM')
+        .bail()
+        .custom((value, { req }) => toMinutes(value) > toMinutes(req.body.startTime))
+        .withMessage('End time must be after the start time'),
+    body('location')
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Location must be 100 characters or fewer')
+];
+
+/**
+ * Look up the faculty profile linked to the logged-in user. Only faculty members
+ * whose account an admin has linked can manage office hours.
+ */
+const findOwnFaculty = async (req, next) => {
+    const faculty = await getFacultyByUserId(req.session.user.id);
+
+    if (Object.keys(faculty).length === 0) {
+        const err = new Error('Your account is not linked to a faculty profile');
+        err.status = 403;
+        next(err);
+        return null;
+    }
+
+    return faculty;
+};
+
+/**
+ * Render the office-hours page with the faculty member's current blocks.
+ *
+ * @param {Object} values - Add-block form values to keep after an error
+ */
+const renderOfficeHours = async (res, faculty, values = {}) => {
+    res.render('faculty/office-hours', {
+        title: 'My Office Hours',
+        faculty,
+        officeHours: await getOfficeHours(faculty.id),
+        days: DAY_NAMES,
+        values
+    });
+};
+
+/**
+ * Display the logged-in faculty member's office hours.
+ */
+const showOfficeHours = async (req, res, next) => {
+    const faculty = await findOwnFaculty(req, next);
+    if (!faculty) return;
+
+    await renderOfficeHours(res, faculty);
+};
+
+/**
+ * Add a weekly office-hour block, refusing ones that overlap an existing block.
+ */
+const processAddOfficeHours = async (req, res, next) => {
+    const faculty = await findOwnFaculty(req, next);
+    if (!faculty) return;
+
+    const values = {
+        day: req.body.day,
+        startTime: req.body.startTime,
+        endTime: req.body.endTime,
+        location: req.body.location
+    };
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        errors.array().forEach(error => {
+            req.flash('error', error.msg);
+        });
+        return renderOfficeHours(res.status(400), faculty, values);
+    }
+
+    const overlapping = await getOverlappingOfficeHours(faculty.id, values);
+
+    if (overlapping.length > 0) {
+        req.flash('error', `That overlaps your office hours on ${overlapping[0].time}`);
+        return renderOfficeHours(res.status(409), faculty, values);
+    }
+
+    const block = await addOfficeHours(faculty.id, values);
+    req.flash('success', `Added office hours: ${block.time}`);
+    res.redirect('/dashboard/office-hours');
+};
+
+/**
+ * Remove one of the logged-in faculty member's office-hour blocks.
+ */
+const processDeleteOfficeHours = async (req, res, next) => {
+    const faculty = await findOwnFaculty(req, next);
+    if (!faculty) return;
+
+    const blockId = Number.parseInt(req.params.blockId, 10);
+    const deleted = Number.isInteger(blockId) && await deleteOfficeHours(faculty.id, blockId);
+
+    if (!deleted) {
+        const err = new Error('Office hours not found');
+        err.status = 404;
+        return next(err);
+    }
+
+    req.flash('success', 'Office hours removed. Appointments already booked in them are unchanged.');
+    res.redirect('/dashboard/office-hours');
+};
+
+// Route handler for booking an office-hour slot from a faculty profile
+export const processBooking = async (req, res, next) => {
+    const faculty = await getFacultyBySlug(req.params.facultySlug);
+
+    if (Object.keys(faculty).length === 0) {
+        const err = new Error(`Faculty member ${req.params.facultySlug} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const returnUrl = `/faculty/${faculty.slug}#office-hours`;
+    const startsAt = String(req.body.startsAt ?? '');
+
+    if (!faculty.isActive || !isSlotValue(startsAt)) {
+        req.flash('error', 'That time is not an open office-hour slot');
+        return res.redirect(returnUrl);
+    }
+
+    try {
+        const appointment = await bookAppointment(req.session.user.id, faculty.id, startsAt);
+        req.flash('success', `You're booked with ${faculty.name} on ${appointment.date} at ${appointment.time}.`);
+    } catch (error) {
+        // Slot not offered or already taken
+        if (!error.status || error.status >= 500) throw error;
+        req.flash('error', error.message);
+    }
+
+    res.redirect(returnUrl);
+};
+
+// Route handler for cancelling an appointment (by the student who booked it or the faculty member)
+export const processCancellation = async (req, res, next) => {
+    const appointmentId = Number.parseInt(req.params.appointmentId, 10);
+    const appointment = Number.isInteger(appointmentId) ? await getAppointmentById(appointmentId) : {};
+    const userId = req.session.user.id;
+
+    // Someone else's appointment is reported as missing rather than forbidden
+    if (Object.keys(appointment).length === 0 || (appointment.userId !== userId && appointment.facultyUserId !== userId)) {
+        const err = new Error('Appointment not found');
+        err.status = 404;
+        return next(err);
+    }
+
+    const returnUrl = safeReturnPath(req.body.returnTo, '/dashboard');
+    const withWhom = appointment.userId === userId ? appointment.facultyName : appointment.studentName;
+
+    if (await cancelAppointment(appointment.id)) {
+        req.flash('success', `Cancelled your appointment with ${withWhom} on ${appointment.date} at ${appointment.time}.`);
+    } else {
+        req.flash('error', 'Only upcoming appointments can be cancelled');
+    }
+
+    res.redirect(returnUrl);
+};
+
+// Routes (mounted at /dashboard/office-hours behind requireRole('faculty', 'admin'))
+router.get('/', showOfficeHours);
+router.post('/', officeHoursValidation, processAddOfficeHours);
+router.post('/:blockId/delete', processDeleteOfficeHours);
+
+export default router;
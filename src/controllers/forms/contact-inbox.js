@@ -0,0 +1,226 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import {
+    CONTACT_STATUSES, CONTACT_STATUS_LABELS,
+    getContactForms, countContactFormsByStatus, getContactFormById, markContactFormRead,
+    updateContactForm, getContactMessages, addContactMessage
+} from '../../models/forms/contact.js';
+import { getUsersByRole } from '../../models/forms/registration.js';
+import { getPagination, buildPageInfo } from '../../utils/pagination.js';
+import { sendMail } from '../../utils/mailer.js';
+import { withQuery } from '../../utils/url.js';
+
+const router = Router();
+
+const INBOX_PATH = '/contact/responses';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A YYYY-MM-DD query value, or null if it's missing or not a real date
+const parseDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+    ? value
+    : null;
+
+/**
+ * Read the inbox filters from the query string: ?status=, ?from= and ?to= (YYYY-MM-DD,
+ * both days included) and ?assigned=me. Anything unrecognised is ignored.
+ */
+const getInboxFilters = (req) => ({
+    status: CONTACT_STATUSES.includes(req.query.status) ? req.query.status : null,
+    from: parseDate(req.query.from),
+    to: parseDate(req.query.to),
+    assignedTo: req.query.assigned === 'me' ? req.session.user.id : null
+});
+
+/**
+ * Look up the submission named by :contactId, sending a 404 to the error handler if it doesn't exist.
+ *
+ * @returns {Promise<Object|null>} Contact form object, or null if next() was already called
+ */
+const findContactForm = async (req, next) => {
+    const contactId = Number.parseInt(req.params.contactId, 10);
+    const form = Number.isInteger(contactId) ? await getContactFormById(contactId) : {};
+
+    if (Object.keys(form).length === 0) {
+        const err = new Error(`Contact submission ${req.params.contactId} not found`);
+        err.status = 404;
+        next(err);
+        return null;
+    }
+
+    return form;
+};
+
+/**
+ * The inbox: one page of submissions, filtered by status, date and assignee, with
+ * a count for each status tab.
+ */
+const showInbox = async (req, res) => {
+    const filters = getInboxFilters(req);
+    const pagination = getPagination(req.query);
+
+    const [contactForms, counts] = await Promise.all([
+        getContactForms(filters, pagination),
+        countContactFormsByStatus(filters)
+    ]);
+
+    res.render('forms/contact/responses', {
+        title: 'Contact Inbox',
+        contactForms,
+        counts,
+        statuses: CONTACT_STATUS_LABELS,
+        filters,
+        statusUrls: Object.fromEntries(['all', ...CONTACT_STATUSES].map(status => [
+            status,
+            withQuery(INBOX_PATH, req.query, { status: status === 'all' ? null : status, page: null })
+        ])),
+        clearUrl: withQuery(INBOX_PATH, { status: filters.status }),
+        pageInfo: buildPageInfo(pagination, counts[filters.status ?? 'all'], INBOX_PATH, req.query)
+    });
+};
+
+/**
+ * One submission with its notes and replies, and forms to work on it. Opening it
+ * marks it as read.
+ */
+const showSubmission = async (req, res, next) => {
+    const form = await findContactForm(req, next);
+    if (!form) return;
+
+    await markContactFormRead(form.id);
+
+    const [messages, admins] = await Promise.all([
+        getContactMessages(form.id),
+        getUsersByRole('admin')
+    ]);
+
+    res.render('forms/contact/response', {
+        title: form.subject,
+        form,
+        messages,
+        admins,
+        statuses: CONTACT_STATUS_LABELS,
+        canReply: Boolean(form.userId || form.email)
+    });
+};
+
+const submissionUrl = (form) => `${INBOX_PATH}/${form.id}`;
+
+/**
+ * Validation rules for the status and assignee form
+ */
+const statusValidation = [
+    body('status')
+        .isIn(CONTACT_STATUSES)
+        .withMessage('Please choose a valid status'),
+    body('assignedTo')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1 })
+        .withMessage('Please choose an admin to assign this to')
+        .bail()
+        .toInt()
+        .custom(async (userId) => {
+            const admins = await getUsersByRole('admin');
+            if (!admins.some(admin => admin.id === userId)) {
+                throw new Error('Messages can only be assigned to admins');
+            }
+            return true;
+        })
+];
+
+/**
+ * Change a submission's status and assignee.
+ */
+const processStatusChange = async (req, res, next) => {
+    const form = await findContactForm(req, next);
+    if (!form) return;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        errors.array().forEach(error => req.flash('error', error.msg));
+        return res.redirect(submissionUrl(form));
+    }
+
+    await updateContactForm(form.id, { status: req.body.status, assignedTo: req.body.assignedTo || null });
+
+    req.flash('success', `Marked "${form.subject}" as ${CONTACT_STATUS_LABELS[req.body.status].toLowerCase()}`);
+    res.redirect(submissionUrl(form));
+};
+
+/**
+ * Validation rules for notes and replies
+ */
+const messageValidation = [
+    body('kind')
+        .isIn(['note', 'reply'])
+        .withMessage('Please choose whether this is a note or a reply'),
+    body('body')
+        .trim()
+        .isLength({ min: 1, max: 5000 })
+        .withMessage('Please write between 1 and 5,000 characters')
+];
+
+/**
+ * Email a reply to a sender who has no account, quoting their original message.
+ *
+ * @param {Object} form - The contact submission being answered
+ * @param {string} reply - Text of the reply
+ * @returns {Promise<void>}
+ */
+const emailReply = (form, reply) => sendMail({
+    to: form.email,
+    subject: `Re: ${form.subject}`,
+    text: [
+        reply,
+        '',
+        `On ${new Date(form.submitted).toLocaleDateString()} you wrote:`,
+        '',
+        ...form.message.split('\n').map(line => `> ${line}`)
+    ].join('\n')
+});
+
+/**
+ * Add an internal note or a reply to the sender. Replies to logged-in senders are
+ * shown on their dashboard; anyone else gets theirs by email.
+ */
+const processMessage = async (req, res, next) => {
+    const form = await findContactForm(req, next);
+    if (!form) return;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        errors.array().forEach(error => req.flash('error', error.msg));
+        return res.redirect(submissionUrl(form));
+    }
+
+    if (req.body.kind === 'reply' && !form.userId && !form.email) {
+        req.flash('error', 'This sender left no email address and has no account, so there is no way to reply');
+        return res.redirect(submissionUrl(form));
+    }
+
+    if (req.body.kind === 'note') {
+        await addContactMessage(form.id, req.session.user.id, 'note', req.body.body);
+        req.flash('success', 'Note added');
+        return res.redirect(submissionUrl(form));
+    }
+
+    // Emailed first, so a reply that couldn't be sent isn't recorded as answered
+    if (!form.userId) {
+        await emailReply(form, req.body.body);
+    }
+
+    await addContactMessage(form.id, req.session.user.id, 'reply', req.body.body);
+
+    req.flash('success', form.userId
+        ? `Reply sent; ${form.senderName} will see it on their dashboard`
+        : `Reply emailed to ${form.email}`);
+    res.redirect(submissionUrl(form));
+};
+
+// Routes (mounted at /contact/responses behind requireRole('admin'))
+router.get('/', showInbox);
+router.get('/:contactId', showSubmission);
+router.post('/:contactId/status', statusValidation, processStatusChange);
+router.post('/:contactId/messages', messageValidation, processMessage);
+
+export default router;
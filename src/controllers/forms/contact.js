@@ -1,6 +1,9 @@
 import { Router } from 'express';
 import { body, validationResult } from 'express-validator';
-import { createContactForm, getAllContactForms } from '../../models/forms/contact.js';
+import { createContactForm } from '../../models/forms/contact.js';
+import { requireRole } from '../../middleware/auth.js';
+import { looksLikeSpam } from '../../utils/spam.js';
+import inboxRoutes from './contact-inbox.js';
 
 const router = Router();
 
@@ -35,9 +38,13 @@ const handleContactSubmission = async (req, res) => {
     const { subject, message } = req.body;
 
     try {
-        // Save to database
-        const { subject, message } = req.body;
-        await createContactForm(subject, message);
+        // Save to database. Replies to a logged-in sender are shown on their dashboard;
+        // anyone else can leave an email address to be answered at.
+        const user = req.session.user;
+        await createContactForm(subject, message, {
+            email: user ? user.email : req.body.email,
+            userId: user?.id ?? null
+        });
         req.flash('success', 'Thank you for contacting us! We will respond soon.');
         res.redirect('/contact');
 
@@ -48,24 +55,6 @@ const handleContactSubmission = async (req, res) => {
     }
 };
 
-/**
- * Display all contact form submissions.
- */
-const showContactResponses = async (req, res) => {
-    let contactForms = [];
-
-    try {
-        contactForms = await getAllContactForms();
-    } catch (error) {
-        console.error('Error retrieving contact forms:', error);
-    }
-
-    res.render('forms/contact/responses', {
-        title: 'Contact Form Submissions',
-        contactForms
-    });
-};
-
 /**
  * GET /contact - Display the contact form
  */
@@ -82,15 +71,20 @@ router.post('/',
             .withMessage('Subject must be between 2 and 255 characters')
             .matches(/^[a-zA-Z0-9\s\-.,!?]+$/)
             .withMessage('Subject contains invalid characters'),
+        body('email')
+            .trim()
+            .optional({ values: 'falsy' })
+            .isEmail()
+            .withMessage('Please enter a valid email address, or leave it blank')
+            .isLength({ max: 255 })
+            .withMessage('Email is too long'),
         body('message')
             .trim()
             .isLength({ min: 10, max: 2000 })
             .withMessage('Message must be between 10 and 2000 characters')
             .custom((value) => {
                 // Check for spam patterns (excessive repetition)
-                const words = value.split(/\s+/);
-                const uniqueWords = new Set(words);
-                if (words.length > 20 && uniqueWords.size / words.length < 0.3) {
+                if (looksLikeSpam(value)) {
                     throw new Error('Message appears to be spam');
                 }
                 return true;
@@ -100,8 +94,8 @@ router.post('/',
 );
 
 /**
- * GET /contact/responses - Display all contact form submissions
+ * /contact/responses - Inbox of contact form submissions (admins only)
  */
-router.get('/responses', showContactResponses);
+router.use('/responses', requireRole('admin'), inboxRoutes);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import { findUserByEmail } from '../../models/forms/login.js';
+import { VERIFICATION_TOKEN_HOURS, createEmailVerification, verifyEmail } from '../../models/forms/email-verification.js';
+import { sendMail } from '../../utils/mailer.js';
+import { getAppUrl, absoluteUrl } from '../../utils/url.js';
+
+const router = Router();
+
+// Shown whether or not the address has an unverified account, so the form can't be used to find out
+const RESEND_SENT_MESSAGE = 'If that email address has an account waiting to be verified, we have sent it a new verification link. Check your inbox.';
+
+/**
+ * Email a user a fresh verification link. Any link they were sent before stops working.
+ *
+ * @param {Object} user - { id, name, email }
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+    const token = await createEmailVerification(user.id);
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: [
+            `Hi ${user.name},`,
+            '',
+            'Thanks for creating an account. To confirm this is your email address and finish setting it up, open this link:',
+            '',
+            absoluteUrl(`/verify-email/${token}`),
+            '',
+            `The link expires in ${VERIFICATION_TOKEN_HOURS} hours. If it does, you can ask for a new one from the login page.`,
+            'If you did not create an account, you can ignore this email.'
+        ].join('\n')
+    });
+};
+
+/**
+ * Validation rules for asking for a new verification link
+ */
+const resendValidation = [
+    body('email')
+        .trim()
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail()
+        .isLength({ max: 255 })
+        .withMessage('Email address is too long')
+];
+
+/**
+ * Display the form for asking for a new verification link.
+ */
+const showResendForm = (req, res) => {
+    res.render('forms/email-verification/resend', {
+        title: 'Verify Your Email'
+    });
+};
+
+/**
+ * Send a new verification link, if the address belongs to an unverified account.
+ */
+const processResend = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        errors.array().forEach(error => req.flash('error', error.msg));
+        return res.redirect('/verify-email');
+    }
+
+    // As with password resets, failures are only logged so the reply never shows
+    // whether the address has an unverified account
+    try {
+        getAppUrl();
+        const user = await findUserByEmail(req.body.email);
+
+        if (user && !user.email_verified_at) {
+            await sendVerificationEmail(user);
+        }
+    } catch (error) {
+        console.error('Error sending verification email:', error);
+    }
+
+    req.flash('success', RESEND_SENT_MESSAGE);
+    res.redirect('/login');
+};
+
+/**
+ * Follow a verification link.
+ */
+const processVerification = async (req, res) => {
+    const user = await verifyEmail(req.params.token);
+
+    if (!user) {
+        req.flash('error', 'That verification link is invalid or has expired. Enter your email below to get a new one.');
+        return res.redirect('/verify-email');
+    }
+
+    req.flash('success', 'Your email address is verified. You can now log in.');
+    res.redirect('/login');
+};
+
+// Routes
+router.get('/', showResendForm);
+router.post('/', resendValidation, processResend);
+router.get('/:token', processVerification);
+
+export default router;
+export { sendVerificationEmail };
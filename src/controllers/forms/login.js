@@ -1,5 +1,10 @@
 import { body, validationResult } from 'express-validator';
 import { findUserByEmail, verifyPassword } from '../../models/forms/login.js';
+import { getEnrollmentsByUser } from '../../models/catalog/enrollments.js';
+import { getFacultyByUserId } from '../../models/faculty/faculty.js';
+import { getUpcomingAppointmentsByUser, getUpcomingAppointmentsByFaculty } from '../../models/faculty/office-hours.js';
+import { getContactFormsByUser } from '../../models/forms/contact.js';
+import { getScheduleBuilder } from '../schedule/schedule.js';
 import { Router } from 'express';
 
 const router = Router();
@@ -65,6 +70,12 @@ if (!errors.isEmpty()) {
             return res.redirect('/login');
         }
 
+        // New accounts can't log in until they follow the emailed verification link
+        if (!user.email_verified_at) {
+            req.flash('warning', 'Please verify your email address before logging in. Check your inbox for the link we sent, or ask for a new one below.');
+            return res.redirect('/verify-email');
+        }
+
         // SECURITY: Remove password from user object before storing in session
         const safeUser = { ...user };
         delete safeUser.password;
@@ -126,7 +137,7 @@ const processLogout = (req, res) => {
 /**
  * Display protected dashboard (requires login).
  */
-const showDashboard = (req, res) => {
+const showDashboard = async (req, res, next) => {
     const user = req.session.user;
     const sessionData = req.session;
 
@@ -140,10 +151,35 @@ const showDashboard = (req, res) => {
         delete sessionData.user.password;
     }
 
+    // ?term= picks which term the schedule builder shows (default: the current term)
+    const [enrollments, schedule, appointments, facultyProfile, contactMessages] = await Promise.all([
+        getEnrollmentsByUser(user.id),
+        getScheduleBuilder(user.id, req.query.term),
+        getUpcomingAppointmentsByUser(user.id),
+        getFacultyByUserId(user.id),
+        getContactFormsByUser(user.id)
+    ]);
+
+    if (!schedule) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    // Faculty whose account is linked to their profile also see who has booked them
+    const isFaculty = Object.keys(facultyProfile).length > 0;
+    const facultyAppointments = isFaculty ? await getUpcomingAppointmentsByFaculty(facultyProfile.id) : [];
+
     res.render('dashboard', {
         title: 'Dashboard',
         user,
-        sessionData
+        sessionData,
+        enrollments,
+        schedule,
+        appointments,
+        isFaculty,
+        facultyAppointments,
+        contactMessages
     })
     // TODO: Render the dashboard view (dashboard)
     // TODO: Pass title: 'Dashboard', user, and sessionData to template
@@ -0,0 +1,133 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import bcrypt from 'bcrypt';
+import { findUserByEmail } from '../../models/forms/login.js';
+import { RESET_TOKEN_MINUTES, createPasswordReset, findPasswordReset, resetPassword } from '../../models/forms/password-reset.js';
+import { passwordValidation } from './registration.js';
+import { sendMail } from '../../utils/mailer.js';
+import { getAppUrl, absoluteUrl } from '../../utils/url.js';
+
+const router = Router();
+
+// Shown whether or not the address has an account, so the form can't be used to find out
+const REQUEST_SENT_MESSAGE = 'If that email address has an account, we have sent it a link to reset the password. Check your inbox.';
+
+const INVALID_LINK_MESSAGE = 'That password reset link is invalid or has expired. Please ask for a new one.';
+
+/**
+ * Validation rules for asking for a reset link
+ */
+const requestValidation = [
+    body('email')
+        .trim()
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail()
+        .isLength({ max: 255 })
+        .withMessage('Email address is too long')
+];
+
+/**
+ * Display the "forgot password" form.
+ */
+const showRequestForm = (req, res) => {
+    res.render('forms/password-reset/request', {
+        title: 'Forgot Password'
+    });
+};
+
+/**
+ * Email a reset link to the address, if it belongs to an account.
+ */
+const processRequest = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        errors.array().forEach(error => req.flash('error', error.msg));
+        return res.redirect('/password-reset');
+    }
+
+    // Any failure is logged rather than shown, so the reply is the same whether or not
+    // the address has an account. APP_URL is checked first so a missing one fails the
+    // same way for every address.
+    try {
+        getAppUrl();
+        const user = await findUserByEmail(req.body.email);
+
+        if (user) {
+            const token = await createPasswordReset(user.id);
+            await sendMail({
+                to: user.email,
+                subject: 'Reset your password',
+                text: [
+                    `Hi ${user.name},`,
+                    '',
+                    'Someone asked to reset the password for your account. To choose a new password, open this link:',
+                    '',
+                    absoluteUrl(`/password-reset/${token}`),
+                    '',
+                    `The link works once and expires in ${RESET_TOKEN_MINUTES} minutes.`,
+                    'If you did not ask for this, you can ignore this email; your password has not been changed.'
+                ].join('\n')
+            });
+        }
+    } catch (error) {
+        console.error('Error sending password reset email:', error);
+    }
+
+    req.flash('success', REQUEST_SENT_MESSAGE);
+    res.redirect('/login');
+};
+
+/**
+ * Display the new password form for a reset link.
+ */
+const showResetForm = async (req, res) => {
+    const reset = await findPasswordReset(req.params.token);
+    if (!reset) {
+        req.flash('error', INVALID_LINK_MESSAGE);
+        return res.redirect('/password-reset');
+    }
+
+    res.render('forms/password-reset/reset', {
+        title: 'Choose a New Password',
+        email: reset.email,
+        token: req.params.token
+    });
+};
+
+/**
+ * Set the new password and use up the link.
+ */
+const processReset = async (req, res) => {
+    const resetUrl = `/password-reset/${encodeURIComponent(req.params.token)}`;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        errors.array().forEach(error => req.flash('error', error.msg));
+        return res.redirect(resetUrl);
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.password, 10);
+    const user = await resetPassword(req.params.token, hashedPassword);
+
+    if (!user) {
+        req.flash('error', INVALID_LINK_MESSAGE);
+        return res.redirect('/password-reset');
+    }
+
+    // resetPassword logged the user out everywhere; this browser's session is saved after we respond
+    if (req.session.user?.id === user.id) {
+        delete req.session.user;
+    }
+
+    req.flash('success', 'Your password has been changed. Please log in with your new password.');
+    res.redirect('/login');
+};
+
+// Routes
+router.get('/', showRequestForm);
+router.post('/', requestValidation, processRequest);
+router.get('/:token', showResetForm);
+router.post('/:token', passwordValidation, processReset);
+
+export default router;
@@ -1,10 +1,36 @@
 import { Router } from 'express';
 import { body, validationResult } from 'express-validator';
 import bcrypt from 'bcrypt';
-import { emailExists, saveUser, getAllUsers } from '../../models/forms/registration.js';
+import { USER_ROLES, emailExists, saveUser, getAllUsers, countUsers, setUserRole } from '../../models/forms/registration.js';
+import { requireRole } from '../../middleware/auth.js';
+import { getPagination, buildPageInfo } from '../../utils/pagination.js';
+import { safeReturnPath } from '../../utils/url.js';
+import { sendVerificationEmail } from './email-verification.js';
 
 const router = Router();
 
+/**
+ * Validation rules for choosing a password, shared by registration and password reset
+ */
+const passwordValidation = [
+    body('password')
+        .isLength({ min: 8, max: 128 })
+        .withMessage('Password must be between 8 and 128')
+        .matches(/[0-9]/)
+        .withMessage('Password must contain at least 1 number')
+        .matches(/[a-z]/)
+        .withMessage('Password must contain at least one lowercase letter')
+        .matches(/[!@#$%^&*]/)
+        .withMessage('Password must contain at least one special character')
+        .matches(/[A-Z]/)
+        .withMessage('Password must contain at least one uppercase letter')
+        .matches(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/)
+        .withMessage('Must contain at least one special character'),
+    body('passwordConfirm')
+        .custom((value, { req }) => value === req.body.password)
+        .withMessage('Passwords must match'),
+];
+
 /**
  * Validation rules for user registration
  */
@@ -26,22 +52,7 @@ const registrationValidation = [
         .trim()
         .custom((value, { req }) => value === req.body.email)
         .withMessage('Email addresses must match'),
-    body('password')
-        .isLength({ min: 8, max: 128 })
-        .withMessage('Password must be between 8 and 128')
-        .matches(/[0-9]/)
-        .withMessage('Password must contain at least 1 number')
-        .matches(/[a-z]/)
-        .withMessage('Password must contain at least one lowercase letter')
-        .matches(/[!@#$%^&*]/)
-        .withMessage('Password must contain at least one special character')
-        .matches(/[A-Z]/)
-        .withMessage('Password must contain at least one uppercase letter')
-        .matches(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/)
-        .withMessage('Must contain at least one special character'),
-    body('passwordConfirm')
-        .custom((value, { req }) => value === req.body.password)
-        .withMessage('Passwords must match'),
+    ...passwordValidation
 ];
 
 /**
@@ -86,11 +97,22 @@ const processRegistration = async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, 10);
 
 
-        // Save user to database with hashed password
-        await saveUser(name, email, hashedPassword);
+        // Save user to database with hashed password; the account starts unverified
+        const user = await saveUser(name, email, hashedPassword);
+
+        // The account exists now, so a mail failure shouldn't be reported as a failed registration
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error('Error sending verification email:', error);
+            req.flash('warning', 'Your account was created, but we could not send the verification email. Please ask for a new one below.');
+            return req.session.save(() => {
+                res.redirect('/verify-email');
+            });
+        }
 
         // After successfully saving to the database
-        req.flash('success', 'Registration successful! Thank you for creating an account with us!');
+        req.flash('success', `Registration successful! We have sent a link to ${user.email}; follow it to verify your email address, then log in.`);
         req.session.save(() => {
             res.redirect('/login');
         })
@@ -108,10 +130,12 @@ const processRegistration = async (req, res) => {
 const showAllUsers = async (req, res) => {
     // Initialize users as empty array
     let users = [];
+    let totalUsers = 0;
+    const pagination = getPagination(req.query);
 
     try {
-        // Call getAllUsers() and assign to users variable
-        users = await getAllUsers();
+        // Fetch one page of users along with the overall count
+        [users, totalUsers] = await Promise.all([getAllUsers(pagination), countUsers()]);
     } catch (error) {
         // Log the error to console
         console.log('Error retrieving users:', error);
@@ -122,11 +146,44 @@ const showAllUsers = async (req, res) => {
     res.render('forms/registration/list', {
         // Pass title: 'Registered Users' and the users variable in the data object
         title: 'Registered Users',
-        users
+        users,
+        roles: USER_ROLES,
+        currentUserId: req.session.user.id,
+        returnTo: req.originalUrl,
+        pageInfo: buildPageInfo(pagination, totalUsers, '/register/list', req.query)
     })
     
 };
 
+/**
+ * Change a user's role from the users list. Admins can't change their own role,
+ * so the site can't be left without an admin by accident.
+ */
+const processRoleChange = async (req, res, next) => {
+    const userId = Number.parseInt(req.params.userId, 10);
+    const backToList = safeReturnPath(req.body.returnTo, '/register/list');
+
+    if (!USER_ROLES.includes(req.body.role)) {
+        req.flash('error', 'Please choose a valid role');
+        return res.redirect(backToList);
+    }
+
+    if (userId === req.session.user.id) {
+        req.flash('error', 'You can\'t change your own role; ask another admin');
+        return res.redirect(backToList);
+    }
+
+    const user = Number.isInteger(userId) ? await setUserRole(userId, req.body.role) : null;
+    if (!user) {
+        const err = new Error(`User ${req.params.userId} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    req.flash('success', `${user.name} is now ${user.role === 'admin' ? 'an' : 'a'} ${user.role}`);
+    res.redirect(backToList);
+};
+
 /**
  * GET /register - Display the registration form
  */
@@ -138,8 +195,14 @@ router.get('/', showRegistrationForm);
 router.post('/', registrationValidation, processRegistration);
 
 /**
- * GET /register/list - Display all registered users
+ * GET /register/list - Display all registered users (admins only)
+ */
+router.get('/list', requireRole('admin'), showAllUsers);
+
+/**
+ * POST /register/:userId/role - Change a user's role (admins only)
  */
-router.get('/list', showAllUsers);
+router.post('/:userId/role', requireRole('admin'), processRoleChange);
 
-export default router;
\ No newline at end of file
+export default router;
+export { passwordValidation };
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { getRoomsByTerm, getRoomBySlug, SCHEDULING_MINUTES_PER_WEEK } from '../../models/catalog/rooms.js';
+import { getSectionsByRoom } from '../../models/catalog/catalog.js';
+import { getAllTerms, resolveTerm } from '../../models/catalog/terms.js';
+import { findConflicts, buildWeekGrid } from '../../utils/week-grid.js';
+
+// Route handler for the list of rooms used in a term, grouped by building
+export const roomsListPage = async (req, res, next) => {
+    const term = await resolveTerm(req.query.term);
+
+    if (Object.keys(term).length === 0) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const [rooms, terms] = await Promise.all([
+        getRoomsByTerm(term.id),
+        getAllTerms()
+    ]);
+
+    // Group rooms by building prefix (STC, MC, GEB, ...) for the view
+    const buildings = [];
+    rooms.forEach(room => {
+        let building = buildings.find(entry => entry.name === room.building);
+        if (!building) {
+            building = { name: room.building, rooms: [] };
+            buildings.push(building);
+        }
+        building.rooms.push(room);
+    });
+
+    res.render('rooms/list', {
+        title: 'Rooms',
+        buildings,
+        term,
+        terms,
+        weeklyHours: SCHEDULING_MINUTES_PER_WEEK / 60
+    });
+};
+
+// Route handler for a single room's weekly occupancy
+export const roomDetailPage = async (req, res, next) => {
+    const room = await getRoomBySlug(req.params.room);
+
+    if (Object.keys(room).length === 0) {
+        const err = new Error(`Room ${req.params.room} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const term = await resolveTerm(req.query.term);
+
+    if (Object.keys(term).length === 0) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const [sections, terms] = await Promise.all([
+        getSectionsByRoom(room.name, term.id),
+        getAllTerms()
+    ]);
+
+    // Any overlap inside a single room is a double-booking
+    const conflicts = findConflicts(sections);
+
+    res.render('rooms/detail', {
+        title: `Room ${room.name}`,
+        room,
+        sections,
+        conflicts,
+        grid: buildWeekGrid(sections, conflicts),
+        term,
+        terms
+    });
+};
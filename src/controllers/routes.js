@@ -1,13 +1,29 @@
 import { Router } from 'express';
 import { addDemoHeaders, countDemoReq } from '../middleware/demo/header.js';
-import { catalogPage, courseDetailPage, randomCoursePage, departmentsPage } from './catalog/catalog.js';
+import { catalogPage, catalogExport, courseDetailPage, courseSectionsExport, coursePathPage, randomCoursePage, departmentsPage, departmentDetailPage } from './catalog/catalog.js';
 import { homePage, aboutPage, demoPage, testErrorPage } from './index.js';
-import { facultyListPage, facultyDetailPage } from './faculty/faculty.js';
+import { processEnroll, processDrop } from './catalog/enrollments.js';
+import { reviewValidation, processReview } from './catalog/reviews.js';
+import { facultyListPage, facultyExport, facultyDetailPage } from './faculty/faculty.js';
+import officeHoursRoutes, { processBooking, processCancellation } from './faculty/office-hours.js';
+import { searchPage, searchSuggestions } from './search/search.js';
+import { roomsListPage, roomDetailPage } from './rooms/rooms.js';
 import contactRoutes from './forms/contact.js';
 import registrationRoutes from './forms/registration.js';
+import scheduleRoutes from './schedule/schedule.js';
+import reportRoutes from './admin/reports.js';
+import courseAdminRoutes from './admin/courses.js';
+import facultyAdminRoutes from './admin/faculty.js';
+import sectionAdminRoutes from './admin/sections.js';
+import importAdminRoutes from './admin/import.js';
+import reviewAdminRoutes from './admin/reviews.js';
+import auditAdminRoutes from './admin/audit.js';
+import apiV1Routes from './api/v1.js';
 import loginRoutes from './forms/login.js';
+import passwordResetRoutes from './forms/password-reset.js';
+import emailVerificationRoutes from './forms/email-verification.js';
 import { processLogout, showDashboard } from './forms/login.js';
-import { requireLogin } from '../middleware/auth.js';
+import { requireLogin, requireRole } from '../middleware/auth.js';
 
 
 // Create a new router instance
@@ -37,23 +53,97 @@ router.use('/register', (req, res, next) => {
     next();
 });
 
+// Add search-specific styles to all search routes
+router.use('/search', (req, res, next) => {
+    res.addStyle('<link rel="stylesheet" href="/css/search.css">');
+    next();
+});
+
+// Add department-specific styles to all department routes
+router.use('/departments', (req, res, next) => {
+    res.addStyle('<link rel="stylesheet" href="/css/departments.css">');
+    next();
+});
+
+// Add room-specific styles to all room routes
+router.use('/rooms', (req, res, next) => {
+    res.addStyle('<link rel="stylesheet" href="/css/rooms.css">');
+    next();
+});
+
+// The contact inbox is an admin page, so it uses the admin styles too
+router.use('/contact/responses', (req, res, next) => {
+    res.addStyle('<link rel="stylesheet" href="/css/admin.css">');
+    next();
+});
+
+// Add admin styles to all admin routes
+router.use('/admin', (req, res, next) => {
+    res.addStyle('<link rel="stylesheet" href="/css/admin.css">');
+    next();
+});
+
+// The import page reads the chosen CSV file in the browser
+router.use('/admin/import', (req, res, next) => {
+    res.addScript('<script src="/js/import.js" defer></script>');
+    next();
+});
+
 // Add login-specific styles to all login routes
 router.use('/login', (req, res, next) => {
     res.addStyle('<link rel="stylesheet" href="/css/login.css">');
     next();
 });
 
+// The password reset and email verification forms share the login form styles
+router.use('/password-reset', (req, res, next) => {
+    res.addStyle('<link rel="stylesheet" href="/css/login.css">');
+    next();
+});
+router.use('/verify-email', (req, res, next) => {
+    res.addStyle('<link rel="stylesheet" href="/css/login.css">');
+    next();
+});
+
+// The dashboard styles live in login.css
+router.use('/dashboard', (req, res, next) => {
+    res.addStyle('<link rel="stylesheet" href="/css/login.css">');
+    next();
+});
+
 // Home and basic pages
 router.get('/', homePage);
 router.get('/about', aboutPage);
 
 // Course catalog routes
 router.get('/catalog', catalogPage);
+router.get('/catalog.:format', catalogExport);
 router.get('/catalog/random', randomCoursePage);
 router.get('/catalog/:slug', courseDetailPage);
+router.get('/catalog/:slug/path', coursePathPage);
+router.get('/catalog/:slug/sections.:format', courseSectionsExport);
+
+// Course reviews (logged-in users only; shown once an admin approves them)
+router.post('/catalog/:slug/reviews', requireLogin, reviewValidation, processReview);
+
+// Section enrollment (logged-in users only)
+router.post('/sections/:sectionId/enroll', requireLogin, processEnroll);
+router.post('/sections/:sectionId/drop', requireLogin, processDrop);
 
-// departments route
+// Department routes
 router.get('/departments', departmentsPage);
+router.get('/departments/:code', departmentDetailPage);
+
+// Site-wide search (HTML results page and JSON autocomplete)
+router.get('/search', searchPage);
+router.get('/search/suggest', searchSuggestions);
+
+// Room occupancy pages
+router.get('/rooms', roomsListPage);
+router.get('/rooms/:room', roomDetailPage);
+
+// Read-only JSON API
+router.use('/api/v1', apiV1Routes);
 
 // Demo page with special middleware
 router.get('/demo', countDemoReq, addDemoHeaders, demoPage);
@@ -64,8 +154,13 @@ router.get('/test-error', testErrorPage);
 
 // Faculty List route
 router.get('/faculty', facultyListPage);
+router.get('/faculty.:format', facultyExport);
 router.get('/faculty/:facultySlug', facultyDetailPage);
 
+// Office-hour appointments (logged-in users only)
+router.post('/faculty/:facultySlug/appointments', requireLogin, processBooking);
+router.post('/appointments/:appointmentId/cancel', requireLogin, processCancellation);
+
 router.get('/error-sync', (req, res) => { throw new Error('Synchronous error: something exploded!'); });
 
 // Contact form routes
@@ -77,8 +172,37 @@ router.use('/register', registrationRoutes);
 // Login routes (form and submission)
 router.use('/login', loginRoutes);
 
+// Forgotten password: request an emailed link, then choose a new password
+router.use('/password-reset', passwordResetRoutes);
+
+// Email verification: follow the emailed link, or ask for a new one
+router.use('/verify-email', emailVerificationRoutes);
+
 // Authentication-related routes at root level
 router.get('/logout', processLogout);
 router.get('/dashboard', requireLogin, showDashboard);
 
+// Admin reports (the router checks for the admin role itself)
+router.use('/admin/reports', reportRoutes);
+
+// Admin management of courses, faculty, and sections (each router checks for the admin role itself)
+router.use('/admin/courses', courseAdminRoutes);
+router.use('/admin/faculty', facultyAdminRoutes);
+router.use('/admin/sections', sectionAdminRoutes);
+
+// Bulk CSV import (admins only, checked by the router)
+router.use('/admin/import', importAdminRoutes);
+
+// Review moderation queue (admins only, checked by the router)
+router.use('/admin/reviews', reviewAdminRoutes);
+
+// Change history of courses, faculty, sections and departments (admins only, checked by the router)
+router.use('/admin/audit', auditAdminRoutes);
+
+// Schedule builder actions and calendar export (shown on the dashboard)
+router.use('/dashboard/schedule', requireLogin, scheduleRoutes);
+
+// Faculty members publish their office hours from the dashboard
+router.use('/dashboard/office-hours', requireRole('faculty', 'admin'), officeHoursRoutes);
+
 export default router;
\ No newline at end of file
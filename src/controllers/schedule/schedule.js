@@ -0,0 +1,137 @@
+import { Router } from 'express';
+import { getSectionById, getSectionsByTerm } from '../../models/catalog/catalog.js';
+import { getScheduleByUser, addToSchedule, removeFromSchedule } from '../../models/catalog/schedule.js';
+import { getAllTerms, resolveTerm } from '../../models/catalog/terms.js';
+import { meetingsOverlap } from '../../utils/meeting-time.js';
+import { findConflicts, buildWeekGrid } from '../../utils/week-grid.js';
+import { buildScheduleCalendar } from '../../utils/icalendar.js';
+import { withQuery, safeReturnPath } from '../../utils/url.js';
+
+const router = Router();
+
+/**
+ * Gather everything the dashboard needs to show the schedule builder for a term.
+ *
+ * @param {number} userId - ID of the logged-in user
+ * @param {string|undefined} termCode - ?term= value, or undefined for the current term
+ * @returns {Promise<Object|null>} View data, or null if the term doesn't exist
+ */
+const getScheduleBuilder = async (userId, termCode) => {
+    const term = await resolveTerm(termCode);
+    if (Object.keys(term).length === 0) return null;
+
+    const [sections, availableSections, terms] = await Promise.all([
+        getScheduleByUser(userId, term.id),
+        getSectionsByTerm(term.id),
+        getAllTerms()
+    ]);
+
+    const conflicts = findConflicts(sections);
+    const scheduledIds = new Set(sections.map(section => section.id));
+
+    return {
+        term,
+        terms,
+        sections,
+        conflicts,
+        grid: buildWeekGrid(sections, conflicts),
+        // Sections that can still be added, for the "add a section" dropdown
+        availableSections: availableSections.filter(section => !scheduledIds.has(section.id)),
+        calendarUrl: withQuery('/dashboard/schedule/calendar.ics', { term: term.code }),
+        totalCredits: sections.reduce((total, section) => total + section.creditHours, 0)
+    };
+};
+
+/**
+ * Look up a section from a submitted ID (route parameter or form field).
+ * Returns an empty object for IDs that aren't a number or don't exist.
+ */
+const findSection = async (value) => {
+    const sectionId = Number.parseInt(value, 10);
+    if (!Number.isInteger(sectionId)) return {};
+    return getSectionById(sectionId);
+};
+
+/**
+ * Add a section to the logged-in user's schedule, warning about any time overlaps.
+ */
+const processAddToSchedule = async (req, res) => {
+    const section = await findSection(req.body.sectionId);
+
+    if (Object.keys(section).length === 0) {
+        req.flash('error', 'Please choose a section to add');
+        return res.redirect(safeReturnPath(req.body.returnTo, '/dashboard'));
+    }
+
+    const returnUrl = safeReturnPath(req.body.returnTo, withQuery('/dashboard', { term: section.termCode }));
+
+    if (section.termIsPast) {
+        req.flash('error', 'Sections from past terms cannot be added to your schedule');
+        return res.redirect(returnUrl);
+    }
+
+    const userId = req.session.user.id;
+    const added = await addToSchedule(userId, section.id);
+
+    if (!added) {
+        req.flash('info', `${section.courseCode} (${section.time}) is already in your schedule`);
+        return res.redirect(returnUrl);
+    }
+
+    req.flash('success', `Added ${section.courseCode} (${section.time}) to your schedule`);
+
+    // Adding is allowed even when it overlaps - the student may still be deciding
+    const schedule = await getScheduleByUser(userId, section.termId);
+    schedule
+        .filter(other => other.id !== section.id && meetingsOverlap(section, other))
+        .forEach(other => {
+            req.flash('warning', `${section.courseCode} overlaps with ${other.courseCode} (${other.time})`);
+        });
+
+    res.redirect(returnUrl);
+};
+
+/**
+ * Remove a section from the logged-in user's schedule.
+ */
+const processRemoveFromSchedule = async (req, res) => {
+    const section = await findSection(req.params.sectionId);
+    const fallback = Object.keys(section).length > 0 ? withQuery('/dashboard', { term: section.termCode }) : '/dashboard';
+
+    const removed = Object.keys(section).length > 0 && await removeFromSchedule(req.session.user.id, section.id);
+
+    if (removed) {
+        req.flash('success', `Removed ${section.courseCode} (${section.time}) from your schedule`);
+    } else {
+        req.flash('error', 'That section is not in your schedule');
+    }
+
+    res.redirect(safeReturnPath(req.body.returnTo, fallback));
+};
+
+/**
+ * Download the schedule for a term as an iCalendar file.
+ */
+const downloadCalendar = async (req, res, next) => {
+    const term = await resolveTerm(req.query.term);
+
+    if (Object.keys(term).length === 0) {
+        const err = new Error(`Term ${req.query.term} not found`);
+        err.status = 404;
+        return next(err);
+    }
+
+    const sections = await getScheduleByUser(req.session.user.id, term.id);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.attachment(`schedule-${term.code}.ics`);
+    res.send(buildScheduleCalendar(sections, term));
+};
+
+// Routes (mounted at /dashboard/schedule behind requireLogin)
+router.post('/', processAddToSchedule);
+router.post('/:sectionId/remove', processRemoveFromSchedule);
+router.get('/calendar.ics', downloadCalendar);
+
+export default router;
+export { getScheduleBuilder };
@@ -0,0 +1,35 @@
+import { searchAll, getSearchSuggestions } from '../../models/search/search.js';
+
+// Long search strings are trimmed rather than rejected
+const MAX_QUERY_LENGTH = 100;
+
+const getSearchTerm = (req) => String(req.query.q ?? '').trim().slice(0, MAX_QUERY_LENGTH);
+
+// Route handler for the site-wide search results page
+export const searchPage = async (req, res) => {
+    const searchTerm = getSearchTerm(req);
+
+    // An empty search just shows the search form
+    const results = searchTerm
+        ? await searchAll(searchTerm)
+        : { courses: [], faculty: [], departments: [], total: 0 };
+
+    res.render('search/results', {
+        title: searchTerm ? `Search results for "${searchTerm}"` : 'Search',
+        searchTerm,
+        results
+    });
+};
+
+// JSON endpoint used by the header search box for autocomplete
+export const searchSuggestions = async (req, res) => {
+    const searchTerm = getSearchTerm(req);
+
+    // Wait for at least two characters before suggesting anything
+    if (searchTerm.length < 2) {
+        return res.json({ query: searchTerm, suggestions: [] });
+    }
+
+    const suggestions = await getSearchSuggestions(searchTerm);
+    res.json({ query: searchTerm, suggestions });
+};
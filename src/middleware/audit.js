@@ -0,0 +1,14 @@
+import { auditContext } from '../models/db.js';
+
+/**
+ * Audit Middleware
+ *
+ * Remembers which user is logged in for the rest of the request, so database
+ * changes they make are recorded in the audit log under their name. Changes made
+ * outside a request (startup, bin/import.js) are logged without a user.
+ */
+const auditMiddleware = (req, res, next) => {
+    auditContext.run({ userId: req.session?.user?.id }, next);
+};
+
+export default auditMiddleware;
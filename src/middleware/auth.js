@@ -1,10 +1,12 @@
+import { getUserRole } from '../models/forms/registration.js';
+
 /**
  * Middleware to require authentication for protected routes.
  * Redirects to login page if user is not authenticated.
  * Sets res.locals.isLoggedIn = true for authenticated requests.
  */
 const requireLogin = (req, res, next) => {
-    // Check if user is logged in via session; we can beef this up later with roles and permissions
+    // Check if user is logged in via session; requireRole below adds role checks on top of this
     if (req.session && req.session.user) {
         // User is authenticated - set UI state and continue
         res.locals.isLoggedIn = true;
@@ -16,4 +18,38 @@ const requireLogin = (req, res, next) => {
     }
 };
 
-export { requireLogin };
\ No newline at end of file
+/**
+ * Check whether a session user has one of the given roles.
+ *
+ * @param {Object} user - req.session.user, or undefined when logged out
+ * @param {...string} roles - Allowed roles (see USER_ROLES)
+ * @returns {boolean}
+ */
+const hasRole = (user, ...roles) => Boolean(user) && roles.includes(user.role);
+
+/**
+ * Middleware factory to require one of the given roles, e.g. requireRole('admin').
+ * Logged-out visitors are sent to the login page like requireLogin does; users
+ * without the role are sent back to their dashboard.
+ *
+ * The role is read from the database rather than trusted from the session, so
+ * promoting or demoting someone takes effect on their next request.
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+    if (!req.session?.user) {
+        return requireLogin(req, res, next);
+    }
+
+    const role = await getUserRole(req.session.user.id);
+    req.session.user.role = role;
+    res.locals.isLoggedIn = true;
+
+    if (!hasRole(req.session.user, ...roles)) {
+        req.flash('error', 'You do not have permission to view that page');
+        return res.redirect('/dashboard');
+    }
+
+    next();
+};
+
+export { requireLogin, requireRole, hasRole };
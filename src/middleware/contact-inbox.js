@@ -0,0 +1,16 @@
+import { hasRole } from './auth.js';
+import { countUnreadContactForms } from '../models/forms/contact.js';
+
+/**
+ * Contact Inbox Middleware
+ *
+ * Counts unread contact form submissions for admins, so the header can show how
+ * many are waiting (res.locals.unreadContactCount). Other visitors get 0 without
+ * a database query.
+ */
+const contactInboxMiddleware = async (req, res, next) => {
+    res.locals.unreadContactCount = hasRole(req.session?.user, 'admin') ? await countUnreadContactForms() : 0;
+    next();
+};
+
+export default contactInboxMiddleware;
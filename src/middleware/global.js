@@ -1,3 +1,5 @@
+import { hasRole } from './auth.js';
+
 /**
  * Helper function to get the current greeting based on the time of day.
  */
@@ -96,6 +98,9 @@ export const addLocalVariables = (req, res, next) => {
     if (req.session && req.session.user) {
         res.locals.isLoggedIn = true;
     }
+
+    // Permission check for templates, e.g. <% if (hasRole('admin')) { %>
+    res.locals.hasRole = (...roles) => hasRole(req.session?.user, ...roles);
     
     setHeadAssetsFunctionality(res);
 
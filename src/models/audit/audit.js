@@ -0,0 +1,255 @@
+import db, { transaction, auditContext } from '../db.js';
+import { paginationClause } from '../../utils/pagination.js';
+
+/**
+ * History of changes to courses, faculty, sections and departments.
+ *
+ * The rows are written by the record_audit() trigger in practice.sql, so every
+ * change is caught no matter which page or script made it. Each entry keeps the
+ * whole row before and after the change as JSON, which is what makes reverting a
+ * single change possible.
+ */
+
+// Tables with audit triggers, how to name one of their rows, and where an admin edits it
+const AUDITED_TABLES = {
+    courses: {
+        label: 'Courses',
+        describe: (row) => `${row.course_code} ${row.name}`,
+        editUrl: (id) => `/admin/courses/${id}/edit`
+    },
+    faculty: {
+        label: 'Faculty',
+        describe: (row) => `${row.first_name} ${row.last_name}`,
+        editUrl: (id) => `/admin/faculty/${id}/edit`
+    },
+    catalog: {
+        label: 'Sections',
+        describe: (row) => `${row.course_slug} (${row.time}, ${row.room})`,
+        editUrl: (id) => `/admin/sections/${id}/edit`
+    },
+    departments: {
+        label: 'Departments',
+        describe: (row) => `${row.code} ${row.name}`,
+        editUrl: () => null
+    }
+};
+
+// Bookkeeping columns that are left out of the list of changes and never reverted
+const IGNORED_COLUMNS = ['created_at', 'updated_at'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * The columns a change touched, with their values before and after.
+ * Inserts list every column that was set; deletes every column that had a value.
+ */
+const listChanges = (oldValues, newValues) => {
+    const columns = Object.keys({ ...oldValues, ...newValues })
+        .filter(column => !IGNORED_COLUMNS.includes(column));
+
+    return columns
+        .map(column => ({ column, before: oldValues?.[column] ?? null, after: newValues?.[column] ?? null }))
+        .filter(change => !sameValue(change.before, change.after));
+};
+
+/**
+ * Transform an audit_log row (snake_case) to the JavaScript shape (camelCase) used by views.
+ */
+const mapAuditEntry = (entry) => ({
+    id: Number(entry.id),
+    tableName: entry.table_name,
+    tableLabel: AUDITED_TABLES[entry.table_name]?.label ?? entry.table_name,
+    recordId: entry.record_id,
+    record: AUDITED_TABLES[entry.table_name]?.describe(entry.new_values ?? entry.old_values) ?? `#${entry.record_id}`,
+    action: entry.action,
+    oldValues: entry.old_values,
+    newValues: entry.new_values,
+    changes: listChanges(entry.old_values, entry.new_values),
+    changedBy: entry.changed_by_name,
+    changedAt: entry.changed_at,
+    revertOf: entry.revert_of === null ? null : Number(entry.revert_of),
+    revertedBy: entry.reverted_by === null ? null : Number(entry.reverted_by)
+});
+
+const AUDIT_COLUMNS = `
+    a.id, a.table_name, a.record_id, a.action, a.old_values, a.new_values, a.changed_at, a.revert_of,
+    u.name AS changed_by_name,
+    (SELECT MIN(r.id) FROM audit_log r WHERE r.revert_of = a.id) AS reverted_by
+`;
+
+/**
+ * Build the WHERE clause for the optional table and record filters.
+ *
+ * @param {Object} filters - { tableName, recordId }; either may be omitted
+ * @param {Array} params - Query parameters, added to in place
+ * @returns {string} WHERE clause, or '' for no filters
+ */
+const buildFilterClause = ({ tableName, recordId } = {}, params) => {
+    const conditions = [];
+    if (tableName) {
+        params.push(tableName);
+        conditions.push(`a.table_name = $${params.length}`);
+    }
+    if (recordId) {
+        params.push(recordId);
+        conditions.push(`a.record_id = $${params.length}`);
+    }
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+};
+
+/**
+ * Get audit entries, newest first.
+ *
+ * @param {Object} filters - { tableName, recordId } to narrow the list; omit for every change
+ * @param {Object} pagination - Optional { limit, offset }
+ * @returns {Promise<Array>} Array of audit entry objects
+ */
+const getAuditEntries = async (filters, pagination) => {
+    const params = [];
+    const whereClause = buildFilterClause(filters, params);
+    const limitClause = paginationClause(pagination, params);
+
+    const query = `
+        SELECT ${AUDIT_COLUMNS}
+        FROM audit_log a
+        LEFT JOIN users u ON a.changed_by = u.id
+        ${whereClause}
+        ORDER BY a.id DESC
+        ${limitClause}
+    `;
+
+    const result = await db.query(query, params);
+    return result.rows.map(mapAuditEntry);
+};
+
+/**
+ * Count audit entries - used with getAuditEntries for pagination.
+ *
+ * @param {Object} filters - Same as getAuditEntries
+ * @returns {Promise<number>} Number of entries
+ */
+const countAuditEntries = async (filters) => {
+    const params = [];
+    const whereClause = buildFilterClause(filters, params);
+    const result = await db.query(`SELECT COUNT(*) AS total FROM audit_log a ${whereClause}`, params);
+    return Number(result.rows[0].total);
+};
+
+/**
+ * Get a single audit entry.
+ *
+ * @param {number} entryId - ID of the entry
+ * @returns {Promise<Object>} Audit entry object, or empty object if not found
+ */
+const getAuditEntry = async (entryId) => {
+    const query = `
+        SELECT ${AUDIT_COLUMNS}
+        FROM audit_log a
+        LEFT JOIN users u ON a.changed_by = u.id
+        WHERE a.id = $1
+    `;
+
+    const result = await db.query(query, [entryId]);
+    if (result.rows.length === 0) return {};
+    return mapAuditEntry(result.rows[0]);
+};
+
+const conflict = (message) => {
+    const err = new Error(message);
+    err.status = 409;
+    return err;
+};
+
+/**
+ * Undo one change: an update puts the changed columns back, an insert deletes the
+ * row, and a delete adds the row back with its old ID. The revert is itself logged,
+ * pointing at the entry it undid.
+ *
+ * A change is only reverted if the record still looks the way that change left it;
+ * otherwise a later change would be silently overwritten, and the admin is asked
+ * to revert the later change first.
+ *
+ * @param {Object} entry - Audit entry from getAuditEntry
+ * @returns {Promise<void>}
+ * @throws {Error} With status 409 if the change can't be reverted cleanly
+ */
+const revertAuditEntry = async (entry) => {
+    if (entry.revertedBy) {
+        throw conflict('That change has already been reverted');
+    }
+
+    const table = entry.tableName;
+    if (!AUDITED_TABLES[table]) {
+        throw conflict(`Changes to ${table} can't be reverted`);
+    }
+
+    // The revert is logged as the current user, pointing back at this entry
+    const settings = { ...auditContext.getStore(), revertOf: entry.id };
+
+    await auditContext.run(settings, () => transaction(async (client) => {
+        // Only real, writable columns are ever named in the SQL below
+        const columnResult = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_schema = 'public' AND table_name = $1 AND is_generated = 'NEVER'
+        `, [table]);
+        const tableColumns = columnResult.rows.map(row => row.column_name);
+
+        const currentResult = await client.query(
+            `SELECT to_jsonb(t) AS row_values FROM ${table} t WHERE t.id = $1 FOR UPDATE`,
+            [entry.recordId]
+        );
+        const current = currentResult.rows[0]?.row_values;
+
+        // Every column the change set must still hold the value it set
+        const changedSince = (values) => entry.changes
+            .filter(change => tableColumns.includes(change.column))
+            .some(change => !sameValue(current[change.column], values[change.column]));
+
+        try {
+            if (entry.action === 'update') {
+                if (!current) throw conflict(`${entry.record} has been deleted since this change`);
+                if (changedSince(entry.newValues)) {
+                    throw conflict(`${entry.record} has been changed again since; revert the later changes first`);
+                }
+
+                const columns = entry.changes.map(change => change.column).filter(column => tableColumns.includes(column));
+                await client.query(`
+                    UPDATE ${table} t
+                    SET ${columns.map(column => `"${column}" = previous."${column}"`).join(', ')}
+                    FROM jsonb_populate_record(NULL::${table}, $1) AS previous
+                    WHERE t.id = $2
+                `, [entry.oldValues, entry.recordId]);
+            } else if (entry.action === 'insert') {
+                if (!current) throw conflict(`${entry.record} has already been deleted`);
+                if (changedSince(entry.newValues)) {
+                    throw conflict(`${entry.record} has been changed since it was added; revert the later changes first`);
+                }
+
+                await client.query(`DELETE FROM ${table} WHERE id = $1`, [entry.recordId]);
+            } else {
+                if (current) throw conflict(`A record with ID ${entry.recordId} already exists`);
+
+                const columns = Object.keys(entry.oldValues).filter(column => tableColumns.includes(column));
+                const columnList = columns.map(column => `"${column}"`).join(', ');
+                await client.query(`
+                    INSERT INTO ${table} (${columnList})
+                    SELECT ${columnList} FROM jsonb_populate_record(NULL::${table}, $1)
+                `, [entry.oldValues]);
+            }
+        } catch (error) {
+            // Foreign keys and unique constraints the old values no longer satisfy
+            if (error.code === '23503') {
+                throw conflict(`${entry.record} can't be reverted because other records depend on it`);
+            }
+            if (error.code === '23505') {
+                throw conflict(`${entry.record} can't be reverted because another record now uses the same values`);
+            }
+            throw error;
+        }
+    }));
+};
+
+export {
+    AUDITED_TABLES,
+    getAuditEntries, countAuditEntries, getAuditEntry, revertAuditEntry
+};
@@ -1,27 +1,180 @@
-import db from '../db.js';
+import db, { streamQuery, transaction } from '../db.js';
+import { formatMeetingTime, parseMeetingTime } from '../../utils/meeting-time.js';
 
 /**
- * Core function that gets all sections (course offerings) for a specific course.
- * Works with either course ID or slug - this pattern reduces code duplication.
+ * Columns selected for every section query. Kept in one place so the section
+ * queries below always return the same shape.
+ */
+const SECTION_COLUMNS = `
+    cat.id, cat.time, cat.room, cat.days, cat.start_time, cat.end_time, cat.term_id, cat.capacity,
+    t.code as term_code, (t.end_date < CURRENT_DATE) as term_is_past,
+    (SELECT COUNT(*) FROM enrollments e WHERE e.section_id = cat.id AND e.status = 'enrolled') as enrolled_count,
+    (SELECT COUNT(*) FROM enrollments e WHERE e.section_id = cat.id AND e.status = 'waitlisted') as waitlist_count,
+    c.course_code, c.name as course_name, c.description, c.credit_hours, c.slug as course_slug,
+    f.first_name, f.last_name, f.slug as faculty_slug, f.title as faculty_title,
+    d.name as department_name, d.code as department_code
+`;
+
+// Sort options accepted by getSectionsByCourse
+export const SECTION_SORT_OPTIONS = ['time', 'professor', 'room'];
+
+/**
+ * Sort by the structured start time so 1:00 PM comes after 8:00 AM.
+ * Sections that could not be parsed (no start_time) go last.
+ */
+const TIME_ORDER = 'cat.start_time NULLS LAST, cat.end_time, cat.room';
+
+/**
+ * Restricts a query to one term. Passing null for the term parameter falls back
+ * to the term flagged as current, so callers don't need to look it up first.
+ */
+const termCondition = (termParam) =>
+    `cat.term_id = COALESCE(${termParam}::INTEGER, (SELECT id FROM terms WHERE is_current))`;
+
+/**
+ * Transform a section row (snake_case) to the JavaScript shape (camelCase) used by views.
+ * The display time is rebuilt from the structured columns so it always shows AM/PM.
+ */
+const mapSection = (section) => {
+    const meeting = section.start_time
+        ? { days: section.days, startTime: section.start_time, endTime: section.end_time }
+        : null;
+
+    // COUNT(*) comes back from pg as a string
+    const enrolledCount = Number(section.enrolled_count);
+
+    return {
+        id: section.id,
+        termId: section.term_id,
+        termCode: section.term_code,
+        termIsPast: section.term_is_past,
+        capacity: section.capacity,
+        enrolledCount,
+        waitlistCount: Number(section.waitlist_count),
+        seatsRemaining: Math.max(section.capacity - enrolledCount, 0),
+        time: meeting ? formatMeetingTime(meeting) : section.time,
+        days: meeting ? meeting.days : [],
+        startTime: meeting ? meeting.startTime : null,
+        endTime: meeting ? meeting.endTime : null,
+        room: section.room,
+        courseCode: section.course_code,
+        courseName: section.course_name,
+        courseSlug: section.course_slug,
+        description: section.description,
+        creditHours: section.credit_hours,
+        professor: `${section.first_name} ${section.last_name}`,
+        professorSlug: section.faculty_slug,
+        professorTitle: section.faculty_title,
+        department: section.department_name,
+        departmentCode: section.department_code
+    };
+};
+
+/**
+ * Get a single section by its ID.
  * 
- * @param {string|number} identifier - Course ID or slug
- * @param {string} identifierType - 'id' or 'slug' (default: 'slug')
- * @param {string} sortBy - Sort option: 'time', 'room', or 'professor' (default: 'time')
- * @returns {Promise<Array>} Array of section objects with course, faculty, and department info
+ * @param {number} sectionId - ID of the catalog row
+ * @returns {Promise<Object>} Section object, or empty object if not found
+ */
+export const getSectionById = async (sectionId) => {
+    const query = `
+        SELECT ${SECTION_COLUMNS}
+        FROM catalog cat
+        JOIN courses c ON cat.course_slug = c.slug
+        JOIN faculty f ON cat.faculty_slug = f.slug
+        JOIN departments d ON c.department_id = d.id
+        JOIN terms t ON cat.term_id = t.id
+        WHERE cat.id = $1
+    `;
+
+    const result = await db.query(query, [sectionId]);
+    if (result.rows.length === 0) return {};
+    return mapSection(result.rows[0]);
+};
+
+/**
+ * Get several sections by ID, ordered by course and meeting time.
+ * 
+ * @param {Array<number>} sectionIds - IDs of catalog rows
+ * @returns {Promise<Array>} Array of section objects (unknown IDs are skipped)
  */
-export const getSectionsByCourse = async (identifier, identifierType = 'slug', sortBy = 'time') => {
+export const getSectionsByIds = async (sectionIds) => {
+    if (sectionIds.length === 0) return [];
+
+    const query = `
+        SELECT ${SECTION_COLUMNS}
+        FROM catalog cat
+        JOIN courses c ON cat.course_slug = c.slug
+        JOIN faculty f ON cat.faculty_slug = f.slug
+        JOIN departments d ON c.department_id = d.id
+        JOIN terms t ON cat.term_id = t.id
+        WHERE cat.id = ANY($1::INTEGER[])
+        ORDER BY c.course_code, ${TIME_ORDER}
+    `;
+
+    const result = await db.query(query, [sectionIds]);
+    return result.rows.map(mapSection);
+};
+
+/**
+ * Get every section offered in a term, ordered by course and meeting time.
+ * 
+ * @param {number|null} termId - Term to list sections for (default: the current term)
+ * @returns {Promise<Array>} Array of section objects
+ */
+export const getSectionsByTerm = async (termId = null) => {
+    const query = `
+        SELECT ${SECTION_COLUMNS}
+        FROM catalog cat
+        JOIN courses c ON cat.course_slug = c.slug
+        JOIN faculty f ON cat.faculty_slug = f.slug
+        JOIN departments d ON c.department_id = d.id
+        JOIN terms t ON cat.term_id = t.id
+        WHERE ${termCondition('$1')}
+        ORDER BY c.course_code, ${TIME_ORDER}
+    `;
+
+    const result = await db.query(query, [termId]);
+    return result.rows.map(mapSection);
+};
+
+/**
+ * Get every section that meets in a room during a term, in meeting time order.
+ * 
+ * @param {string} room - Room name exactly as stored, e.g. 'STC 101'
+ * @param {number|null} termId - Term to list sections for (default: the current term)
+ * @returns {Promise<Array>} Array of section objects
+ */
+export const getSectionsByRoom = async (room, termId = null) => {
+    const query = `
+        SELECT ${SECTION_COLUMNS}
+        FROM catalog cat
+        JOIN courses c ON cat.course_slug = c.slug
+        JOIN faculty f ON cat.faculty_slug = f.slug
+        JOIN departments d ON c.department_id = d.id
+        JOIN terms t ON cat.term_id = t.id
+        WHERE cat.room = $1 AND ${termCondition('$2')}
+        ORDER BY ${TIME_ORDER}
+    `;
+
+    const result = await db.query(query, [room, termId]);
+    return result.rows.map(mapSection);
+};
+
+/**
+ * Build the SELECT used by getSectionsByCourse and streamSectionsByCourseSlug.
+ * 
+ * @returns {Object} { query, params }
+ */
+const buildSectionsByCourseQuery = (identifier, identifierType, sortBy, termId) => {
     // Build WHERE clause dynamically based on whether we're searching by ID or slug
     // Using $1 prevents SQL injection - never concatenate user input into SQL!
     const whereClause = identifierType === 'id' ? 'c.id = $1' : 'c.slug = $1';
     
-    /**
-     * Let PostgreSQL do the sorting - it's faster than sorting in JavaScript.
-     * SUBSTRING with regex extracts the hour from time strings like "Mon Wed Fri 8:00-8:50".
-     * The ::INTEGER cast converts the extracted string to a number for proper sorting.
-     */
+    // Let PostgreSQL do the sorting - it's faster than sorting in JavaScript.
     const orderByClause = sortBy === 'room' ? 'cat.room' : 
                           sortBy === 'professor' ? 'f.last_name, f.first_name' :
-                          "SUBSTRING(cat.time FROM '(\\d{1,2}):(\\d{2})')::INTEGER";
+                          TIME_ORDER;
     
     /**
      * Join catalog with courses, faculty, and departments to get complete information.
@@ -29,38 +182,48 @@ export const getSectionsByCourse = async (identifier, identifierType = 'slug', s
      * parameterized ORDER BY clauses. The values are whitelisted above, so this is safe.
      */
     const query = `
-        SELECT cat.id, cat.time, cat.room, 
-               c.course_code, c.name as course_name, c.description, c.credit_hours,
-               f.first_name, f.last_name, f.slug as faculty_slug, f.title as faculty_title,
-               d.name as department_name, d.code as department_code
+        SELECT ${SECTION_COLUMNS}
         FROM catalog cat
         JOIN courses c ON cat.course_slug = c.slug
         JOIN faculty f ON cat.faculty_slug = f.slug
         JOIN departments d ON c.department_id = d.id
-        WHERE ${whereClause}
+        JOIN terms t ON cat.term_id = t.id
+        WHERE ${whereClause} AND ${termCondition('$2')}
         ORDER BY ${orderByClause}
     `;
     
-    const result = await db.query(query, [identifier]);
-    
-    /**
-     * Transform database column names (snake_case) to JavaScript convention (camelCase).
-     * This is a common pattern when working with databases in JavaScript.
-     */
-    return result.rows.map(section => ({
-        id: section.id,
-        time: section.time,
-        room: section.room,
-        courseCode: section.course_code,
-        courseName: section.course_name,
-        description: section.description,
-        creditHours: section.credit_hours,
-        professor: `${section.first_name} ${section.last_name}`,
-        professorSlug: section.faculty_slug,
-        professorTitle: section.faculty_title,
-        department: section.department_name,
-        departmentCode: section.department_code
-    }));
+    return { query, params: [identifier, termId] };
+};
+
+/**
+ * Core function that gets all sections (course offerings) for a specific course.
+ * Works with either course ID or slug - this pattern reduces code duplication.
+ * 
+ * @param {string|number} identifier - Course ID or slug
+ * @param {string} identifierType - 'id' or 'slug' (default: 'slug')
+ * @param {string} sortBy - Sort option: 'time', 'room', or 'professor' (default: 'time')
+ * @param {number|null} termId - Term to list sections for (default: the current term)
+ * @returns {Promise<Array>} Array of section objects with course, faculty, and department info
+ */
+export const getSectionsByCourse = async (identifier, identifierType = 'slug', sortBy = 'time', termId = null) => {
+    const { query, params } = buildSectionsByCourseQuery(identifier, identifierType, sortBy, termId);
+    const result = await db.query(query, params);
+    return result.rows.map(mapSection);
+};
+
+/**
+ * Same as getSectionsByCourse, but streams the rows from a database cursor in batches
+ * instead of loading them all at once. Used by the CSV/JSON downloads.
+ * 
+ * @param {string} courseSlug - Course slug
+ * @param {string} sortBy - Sort option: 'time', 'room', or 'professor' (default: 'time')
+ * @param {number|null} termId - Term to list sections for (default: the current term)
+ * @param {Function} onBatch - async (sections) => void, called with each batch of section objects
+ * @returns {Promise<void>}
+ */
+export const streamSectionsByCourseSlug = async (courseSlug, sortBy = 'time', termId = null, onBatch) => {
+    const { query, params } = buildSectionsByCourseQuery(courseSlug, 'slug', sortBy, termId);
+    await streamQuery(query, params, rows => onBatch(rows.map(mapSection)));
 };
 
 /**
@@ -70,47 +233,245 @@ export const getSectionsByCourse = async (identifier, identifierType = 'slug', s
  * @param {string|number} identifier - Faculty ID or slug
  * @param {string} identifierType - 'id' or 'slug' (default: 'slug')
  * @param {string} sortBy - Sort option: 'time', 'room', or 'course' (default: 'time')
+ * @param {number|null} termId - Term to list sections for (default: the current term)
  * @returns {Promise<Array>} Array of section objects with course, faculty, and department info
  */
-export const getCoursesByFaculty = async (identifier, identifierType = 'slug', sortBy = 'time') => {
+export const getCoursesByFaculty = async (identifier, identifierType = 'slug', sortBy = 'time', termId = null) => {
     // Search by faculty ID or faculty slug
     const whereClause = identifierType === 'id' ? 'f.id = $1' : 'f.slug = $1';
     
     // Different sorting options - by time, room, or course code
     const orderByClause = sortBy === 'room' ? 'cat.room' : 
                           sortBy === 'course' ? 'c.course_code' :
-                          "SUBSTRING(cat.time FROM '(\\d{1,2}):(\\d{2})')::INTEGER";
+                          TIME_ORDER;
     
     // Same JOIN pattern - catalog connects courses to faculty
     const query = `
-        SELECT cat.id, cat.time, cat.room, 
-               c.course_code, c.name as course_name, c.description, c.credit_hours,
-               f.first_name, f.last_name, f.slug as faculty_slug, f.title as faculty_title,
-               d.name as department_name, d.code as department_code
+        SELECT ${SECTION_COLUMNS}
         FROM catalog cat
         JOIN courses c ON cat.course_slug = c.slug
         JOIN faculty f ON cat.faculty_slug = f.slug
         JOIN departments d ON c.department_id = d.id
-        WHERE ${whereClause}
+        JOIN terms t ON cat.term_id = t.id
+        WHERE ${whereClause} AND ${termCondition('$2')}
         ORDER BY ${orderByClause}
     `;
     
-    const result = await db.query(query, [identifier]);
-    
-    return result.rows.map(section => ({
-        id: section.id,
-        time: section.time,
-        room: section.room,
-        courseCode: section.course_code,
-        courseName: section.course_name,
-        description: section.description,
-        creditHours: section.credit_hours,
-        professor: `${section.first_name} ${section.last_name}`,
-        professorSlug: section.faculty_slug,
-        professorTitle: section.faculty_title,
-        department: section.department_name,
-        departmentCode: section.department_code
-    }));
+    const result = await db.query(query, [identifier, termId]);
+    return result.rows.map(mapSection);
+};
+
+/**
+ * Checks whether two sections meet at the same time. Sections overlap when they
+ * are in the same term, share a meeting day, and their start/end times intersect.
+ * 
+ * @param {number} sectionIdA - ID of the first section
+ * @param {number} sectionIdB - ID of the second section
+ * @returns {Promise<boolean>} True if the two sections overlap
+ */
+export const sectionsOverlap = async (sectionIdA, sectionIdB) => {
+    // The && operator is true when the two day arrays have any element in common
+    const query = `
+        SELECT (a.term_id = b.term_id
+                AND a.days && b.days
+                AND a.start_time < b.end_time
+                AND b.start_time < a.end_time) AS overlaps
+        FROM catalog a, catalog b
+        WHERE a.id = $1 AND b.id = $2
+    `;
+
+    const result = await db.query(query, [sectionIdA, sectionIdB]);
+    return result.rows[0]?.overlaps === true;
+};
+
+/**
+ * Finds sections that meet at the same time as a given meeting pattern.
+ * Optionally narrows the search to one instructor and/or room, which is how
+ * double-bookings are detected.
+ * 
+ * @param {Object} meeting - { days, startTime, endTime }
+ * @param {Object} options - Optional filters
+ * @param {string} options.facultySlug - Only sections taught by this instructor
+ * @param {string} options.room - Only sections in this room
+ * @param {number} options.excludeId - Section ID to ignore (e.g. the section being edited)
+ * @param {number} options.termId - Term to search in (default: the current term)
+ * @param {Object} client - Connection to query on (default: the pool); pass a transaction's
+ *   client to also see sections it has added but not yet committed
+ * @returns {Promise<Array>} Array of overlapping section objects
+ */
+export const getOverlappingSections = async (meeting, { facultySlug, room, excludeId, termId = null } = {}, client = db) => {
+    const params = [meeting.days, meeting.startTime, meeting.endTime, termId];
+    const conditions = ['cat.days && $1::VARCHAR(3)[]', 'cat.start_time < $3', '$2 < cat.end_time', termCondition('$4')];
+
+    // Instructor and room are alternatives: either one being double-booked is a conflict
+    const resourceConditions = [];
+    if (facultySlug) {
+        params.push(facultySlug);
+        resourceConditions.push(`cat.faculty_slug = $${params.length}`);
+    }
+    if (room) {
+        params.push(room);
+        resourceConditions.push(`cat.room = $${params.length}`);
+    }
+    if (resourceConditions.length > 0) {
+        conditions.push(`(${resourceConditions.join(' OR ')})`);
+    }
+
+    if (excludeId) {
+        params.push(excludeId);
+        conditions.push(`cat.id <> $${params.length}`);
+    }
+
+    const query = `
+        SELECT ${SECTION_COLUMNS}
+        FROM catalog cat
+        JOIN courses c ON cat.course_slug = c.slug
+        JOIN faculty f ON cat.faculty_slug = f.slug
+        JOIN departments d ON c.department_id = d.id
+        JOIN terms t ON cat.term_id = t.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${TIME_ORDER}
+    `;
+
+    const result = await client.query(query, params);
+    return result.rows.map(mapSection);
+};
+
+/**
+ * Finds every section that conflicts with an existing section: same instructor
+ * or same room at an overlapping time.
+ * 
+ * @param {number} sectionId - ID of the section to check
+ * @returns {Promise<Array>} Array of conflicting section objects (empty if none)
+ */
+export const getSectionConflicts = async (sectionId) => {
+    const result = await db.query(
+        'SELECT id, days, start_time, end_time, faculty_slug, room, term_id FROM catalog WHERE id = $1',
+        [sectionId]
+    );
+
+    const section = result.rows[0];
+    if (!section || !section.start_time) return [];
+
+    return getOverlappingSections(
+        { days: section.days, startTime: section.start_time, endTime: section.end_time },
+        { facultySlug: section.faculty_slug, room: section.room, excludeId: section.id, termId: section.term_id }
+    );
+};
+
+/**
+ * Lock the catalog table against other writes until the transaction ends. Section
+ * saves take this lock before their conflict check, so two saves can't each miss the
+ * other and double-book an instructor or room. The mode conflicts with itself and
+ * with every other write, but plain reads carry on as normal.
+ *
+ * @param {Object} client - Client from transaction()
+ * @returns {Promise<void>}
+ */
+export const lockSections = async (client) => {
+    await client.query('LOCK TABLE catalog IN SHARE ROW EXCLUSIVE MODE');
+};
+
+/**
+ * Check for instructor and room conflicts and write a section in one transaction.
+ *
+ * @param {Object} section - Fields passed to createSection/updateSection
+ * @param {number|null} excludeId - The section being edited, which can't conflict with itself
+ * @param {Function} write - async (client) => result, run only if there are no conflicts
+ * @returns {Promise<*>} Whatever write returns
+ * @throws {Error} With status 409 and the overlapping sections in err.conflicts
+ */
+const writeSection = ({ facultySlug, termId, meeting, room }, excludeId, write) => transaction(async (client) => {
+    await lockSections(client);
+
+    const conflicts = await getOverlappingSections(meeting, { facultySlug, room, excludeId, termId }, client);
+    if (conflicts.length > 0) {
+        const err = new Error('The section clashes with another section\'s instructor or room');
+        err.status = 409;
+        err.conflicts = conflicts;
+        throw err;
+    }
+
+    return write(client);
+});
+
+/**
+ * Create a section. The free-text time column is filled from the structured meeting
+ * so it always matches what the app displays. Sections that would double-book the
+ * instructor or room are refused.
+ * 
+ * @param {Object} section - { courseSlug, facultySlug, termId, meeting, room, capacity }
+ *   where meeting is { days, startTime, endTime } from parseMeetingTime
+ * @returns {Promise<Object>} The new section, as returned by getSectionById
+ * @throws {Error} With status 409 and err.conflicts if the section clashes with another
+ */
+export const createSection = async (section) => {
+    const { courseSlug, facultySlug, termId, meeting, room, capacity } = section;
+    const query = `
+        INSERT INTO catalog (course_slug, faculty_slug, term_id, time, days, start_time, end_time, room, capacity)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+    `;
+    const result = await writeSection(section, null, client => client.query(query, [
+        courseSlug, facultySlug, termId, formatMeetingTime(meeting),
+        meeting.days, meeting.startTime, meeting.endTime, room, capacity
+    ]));
+    return getSectionById(result.rows[0].id);
+};
+
+/**
+ * Update a section's course, instructor, term, meeting time, room, and capacity.
+ * Like createSection, changes that would double-book the instructor or room are refused.
+ * 
+ * @param {number} sectionId - ID of the catalog row
+ * @param {Object} section - Same fields as createSection
+ * @returns {Promise<Object>} The updated section, or empty object if it doesn't exist
+ * @throws {Error} With status 409 and err.conflicts if the section clashes with another
+ */
+export const updateSection = async (sectionId, section) => {
+    const { courseSlug, facultySlug, termId, meeting, room, capacity } = section;
+    const query = `
+        UPDATE catalog
+        SET course_slug = $1, faculty_slug = $2, term_id = $3, time = $4, days = $5,
+            start_time = $6, end_time = $7, room = $8, capacity = $9
+        WHERE id = $10
+        RETURNING id
+    `;
+    const result = await writeSection(section, sectionId, client => client.query(query, [
+        courseSlug, facultySlug, termId, formatMeetingTime(meeting),
+        meeting.days, meeting.startTime, meeting.endTime, room, capacity, sectionId
+    ]));
+    if (result.rows.length === 0) return {};
+    return getSectionById(sectionId);
+};
+
+/**
+ * Migration helper: parses the free-text time column ("Mon Wed Fri 8:00-8:50") into
+ * the structured days/start_time/end_time columns for any rows that don't have them yet.
+ * Safe to run on every startup - rows that are already parsed are skipped.
+ * 
+ * @returns {Promise<number>} Number of sections that were updated
+ */
+export const backfillMeetingTimes = async () => {
+    const result = await db.query('SELECT id, time FROM catalog WHERE start_time IS NULL');
+    let updated = 0;
+
+    for (const row of result.rows) {
+        const meeting = parseMeetingTime(row.time);
+
+        if (!meeting) {
+            console.warn(`Unable to parse meeting time for section ${row.id}: "${row.time}"`);
+            continue;
+        }
+
+        await db.query(
+            'UPDATE catalog SET days = $1, start_time = $2, end_time = $3 WHERE id = $4',
+            [meeting.days, meeting.startTime, meeting.endTime, row.id]
+        );
+        updated++;
+    }
+
+    return updated;
 };
 
 // Gets all courses grouped by department.
@@ -124,6 +485,7 @@ export const getCoursesByDepartment = async () => {
                c.slug
         FROM courses c
         JOIN departments d ON c.department_id = d.id
+        WHERE c.is_retired = FALSE
         ORDER BY d.name, c.course_code
     `;
 
@@ -160,17 +522,17 @@ export const getCoursesByDepartment = async () => {
  * These let us keep the same API while using consolidated core functions internally.
  * Example: getSectionsByCourseId(5) calls getSectionsByCourse(5, 'id')
  */
-export const getSectionsByCourseId = (courseId, sortBy = 'time') => 
-    getSectionsByCourse(courseId, 'id', sortBy);
+export const getSectionsByCourseId = (courseId, sortBy = 'time', termId = null) => 
+    getSectionsByCourse(courseId, 'id', sortBy, termId);
 
-export const getSectionsByCourseSlug = (courseSlug, sortBy = 'time') => 
-    getSectionsByCourse(courseSlug, 'slug', sortBy);
+export const getSectionsByCourseSlug = (courseSlug, sortBy = 'time', termId = null) => 
+    getSectionsByCourse(courseSlug, 'slug', sortBy, termId);
 
-export const getCoursesByFacultyId = (facultyId, sortBy = 'time') => 
-    getCoursesByFaculty(facultyId, 'id', sortBy);
+export const getCoursesByFacultyId = (facultyId, sortBy = 'time', termId = null) => 
+    getCoursesByFaculty(facultyId, 'id', sortBy, termId);
 
-export const getCoursesByFacultySlug = (facultySlug, sortBy = 'time') => 
-    getCoursesByFaculty(facultySlug, 'slug', sortBy);
+export const getCoursesByFacultySlug = (facultySlug, sortBy = 'time', termId = null) => 
+    getCoursesByFaculty(facultySlug, 'slug', sortBy, termId);
 
 
 // Enhanced course data object
@@ -1,53 +1,208 @@
-import db from '../db.js';
+import db, { streamQuery } from '../db.js';
+import { paginationClause } from '../../utils/pagination.js';
+
+// Sort options accepted by getAllCourses
+export const COURSE_SORT_OPTIONS = ['department', 'name', 'course_code'];
+
+/**
+ * Time-of-day buckets used by the catalog filters, based on a section's start time.
+ */
+export const TIME_OF_DAY_RANGES = {
+    morning: { label: 'Morning (before noon)', start: '00:00', end: '12:00' },
+    afternoon: { label: 'Afternoon (noon - 5 PM)', start: '12:00', end: '17:00' },
+    evening: { label: 'Evening (5 PM and later)', start: '17:00', end: '24:00' }
+};
+
+// Escape LIKE wildcards so typed text only matches itself (used with ESCAPE '\')
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
 
 /**
- * Get all courses from the database with optional sorting.
+ * Build the WHERE conditions and parameters for catalog filters.
+ * Section-level filters (day, time of day, instructor) are combined inside one
+ * EXISTS so a single section has to satisfy all of them at once - "Tuesday mornings
+ * with Brother Jack" should not match a course whose Tuesday section is in the evening.
+ * Section filters only look at the current term's schedule.
+ * Retired courses are left out unless includeRetired is set (admin pages).
  * 
- * @param {string} sortBy - Sort option: 'department' (default), 'name', 'course_code'
- * @returns {Promise<Array>} Array of course objects with department information
+ * @param {Object} filters - { department, credits, day, timeOfDay, instructor, includeRetired }
+ * @returns {Object} { whereClause, params }
+ */
+const buildCourseFilters = (filters = {}) => {
+    const conditions = [];
+    const sectionConditions = [];
+    const params = [];
+
+    if (!filters.includeRetired) {
+        conditions.push('c.is_retired = FALSE');
+    }
+
+    if (filters.department) {
+        params.push(filters.department);
+        conditions.push(`d.code = $${params.length}`);
+    }
+
+    if (filters.credits) {
+        params.push(filters.credits);
+        conditions.push(`c.credit_hours = $${params.length}`);
+    }
+
+    if (filters.day) {
+        params.push(filters.day);
+        sectionConditions.push(`$${params.length} = ANY(cat.days)`);
+    }
+
+    const timeRange = TIME_OF_DAY_RANGES[filters.timeOfDay];
+    if (timeRange) {
+        params.push(timeRange.start, timeRange.end);
+        sectionConditions.push(`cat.start_time >= $${params.length - 1}::TIME AND cat.start_time < $${params.length}::TIME`);
+    }
+
+    if (filters.instructor) {
+        // Match on the instructor's slug or any part of their name
+        params.push(filters.instructor, `%${escapeLike(filters.instructor)}%`);
+        sectionConditions.push(`(f.slug = $${params.length - 1} OR (f.first_name || ' ' || f.last_name) ILIKE $${params.length} ESCAPE '\\')`);
+    }
+
+    if (sectionConditions.length > 0) {
+        conditions.push(`EXISTS (
+            SELECT 1
+            FROM catalog cat
+            JOIN faculty f ON cat.faculty_slug = f.slug
+            WHERE cat.course_slug = c.slug
+              AND cat.term_id = (SELECT id FROM terms WHERE is_current)
+              AND ${sectionConditions.join(' AND ')}
+        )`);
+    }
+
+    return {
+        whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+};
+
+/**
+ * Build the SELECT used by getAllCourses and streamAllCourses.
+ * 
+ * @param {string} sortBy - Sort option: 'department', 'name', 'course_code'
+ * @param {Object} filters - Filters accepted by buildCourseFilters
+ * @param {Object} pagination - Optional { limit, offset }; omit for every course
+ * @returns {Object} { query, params }
  */
-export const getAllCourses = async (sortBy = 'department') => {
+const buildCoursesQuery = (sortBy, filters, pagination) => {
     /**
      * Build ORDER BY clause based on sortBy parameter.
      * When sorting by department, also sort by course_code within each department.
+     * c.id is always the final tie-breaker so rows never shift between pages.
      */
-    const orderByClause = sortBy === 'name' ? 'c.name' :
-                          sortBy === 'course_code' ? 'c.course_code' :
-                          'd.name, c.course_code';
+    const orderByClause = sortBy === 'name' ? 'c.name, c.course_code, c.id' :
+                          sortBy === 'course_code' ? 'c.course_code, c.id' :
+                          'd.name, c.course_code, c.id';
     
+    const { whereClause, params } = buildCourseFilters(filters);
+    const limitClause = paginationClause(pagination, params);
+
     /**
      * JOIN with departments to get department name and code.
      * Using table aliases (c for courses, d for departments) keeps queries readable.
      */
     const query = `
-        SELECT c.id, c.course_code, c.name, c.description, c.credit_hours, c.slug,
-               d.name as department_name, d.code as department_code
+        SELECT c.id, c.course_code, c.name, c.description, c.credit_hours, c.slug, c.is_retired,
+               c.department_id, d.name as department_name, d.code as department_code
         FROM courses c
         JOIN departments d ON c.department_id = d.id
+        ${whereClause}
         ORDER BY ${orderByClause}
+        ${limitClause}
     `;
-    
-    const result = await db.query(query);
-    
-    /**
-     * Map database rows to JavaScript objects with camelCase property names.
-     * This is standard practice for Node.js applications.
-     */
-    return result.rows.map(course => ({
-        id: course.id,
-        courseCode: course.course_code,
-        name: course.name,
-        description: course.description,
-        creditHours: course.credit_hours,
-        department: course.department_name,
-        departmentCode: course.department_code,
-        slug: course.slug
-    }));
+
+    return { query, params };
+};
+
+/**
+ * Map database rows to JavaScript objects with camelCase property names.
+ * This is standard practice for Node.js applications.
+ */
+const mapCourse = (course) => ({
+    id: course.id,
+    courseCode: course.course_code,
+    name: course.name,
+    description: course.description,
+    creditHours: course.credit_hours,
+    departmentId: course.department_id,
+    department: course.department_name,
+    departmentCode: course.department_code,
+    slug: course.slug,
+    isRetired: course.is_retired
+});
+
+/**
+ * Get all courses from the database with optional sorting and filtering.
+ * 
+ * @param {string} sortBy - Sort option: 'department' (default), 'name', 'course_code'
+ * @param {Object} filters - Optional filters, all combinable:
+ * @param {string} filters.department - Department code, e.g. 'CS'
+ * @param {number} filters.credits - Exact number of credit hours
+ * @param {string} filters.day - Meeting day abbreviation, e.g. 'Tue'
+ * @param {string} filters.timeOfDay - 'morning', 'afternoon', or 'evening'
+ * @param {string} filters.instructor - Instructor slug or part of their name
+ * @param {boolean} filters.includeRetired - Also return retired courses (default: false)
+ * @param {Object} pagination - Optional { limit, offset } from getPagination; omit to get every course
+ * @returns {Promise<Array>} Array of course objects with department information
+ */
+export const getAllCourses = async (sortBy = 'department', filters = {}, pagination) => {
+    const { query, params } = buildCoursesQuery(sortBy, filters, pagination);
+    const result = await db.query(query, params);
+    return result.rows.map(mapCourse);
+};
+
+/**
+ * Same as getAllCourses, but streams the rows from a database cursor in batches
+ * instead of loading them all at once. Used by the CSV/JSON downloads.
+ * 
+ * @param {string} sortBy - Same sort options as getAllCourses
+ * @param {Object} filters - Same filters as getAllCourses
+ * @param {Function} onBatch - async (courses) => void, called with each batch of course objects
+ * @returns {Promise<void>}
+ */
+export const streamAllCourses = async (sortBy = 'department', filters = {}, onBatch) => {
+    const { query, params } = buildCoursesQuery(sortBy, filters);
+    await streamQuery(query, params, rows => onBatch(rows.map(mapCourse)));
+};
+
+/**
+ * Count the courses matching a set of filters - used with getAllCourses for pagination.
+ * 
+ * @param {Object} filters - Same filters accepted by getAllCourses
+ * @returns {Promise<number>} Number of matching courses
+ */
+export const countCourses = async (filters = {}) => {
+    const { whereClause, params } = buildCourseFilters(filters);
+
+    const query = `
+        SELECT COUNT(*) AS total
+        FROM courses c
+        JOIN departments d ON c.department_id = d.id
+        ${whereClause}
+    `;
+
+    const result = await db.query(query, params);
+    return Number(result.rows[0].total);
+};
+
+/**
+ * Get the distinct credit-hour values offered, for building filter options.
+ * 
+ * @returns {Promise<Array<number>>} Sorted array of credit-hour values
+ */
+export const getCreditHourOptions = async () => {
+    const result = await db.query('SELECT DISTINCT credit_hours FROM courses WHERE is_retired = FALSE ORDER BY credit_hours');
+    return result.rows.map(row => row.credit_hours);
 };
 
 /**
  * Core function to get a single course by ID or slug.
  * Using one function with a parameter reduces code duplication.
+ * Retired courses are still returned so links from past sections keep working.
  * 
  * @param {string|number} identifier - Course ID or slug
  * @param {string} identifierType - 'id' or 'slug' (default: 'id')
@@ -58,8 +213,8 @@ export const getCourse = async (identifier, identifierType = 'id') => {
     const whereClause = identifierType === 'slug' ? 'c.slug = $1' : 'c.id = $1';
     
     const query = `
-        SELECT c.id, c.course_code, c.name, c.description, c.credit_hours, c.slug,
-               d.name as department_name, d.code as department_code
+        SELECT c.id, c.course_code, c.name, c.description, c.credit_hours, c.slug, c.is_retired,
+               c.department_id, d.name as department_name, d.code as department_code
         FROM courses c
         JOIN departments d ON c.department_id = d.id
         WHERE ${whereClause}
@@ -73,17 +228,7 @@ export const getCourse = async (identifier, identifierType = 'id') => {
      */
     if (result.rows.length === 0) return {};
     
-    const course = result.rows[0];
-    return {
-        id: course.id,
-        courseCode: course.course_code,
-        name: course.name,
-        description: course.description,
-        creditHours: course.credit_hours,
-        department: course.department_name,
-        departmentCode: course.department_code,
-        slug: course.slug
-    };
+    return mapCourse(result.rows[0]);
 };
 
 /**
@@ -128,3 +273,94 @@ export const getCoursesByDepartment = async (departmentId, sortBy = 'course_code
 export const getCourseById = (courseId) => getCourse(courseId, 'id');
 export const getCourseBySlug = (courseSlug) => getCourse(courseSlug, 'slug');
 
+
+/**
+ * Turn a course code into a URL slug: 'CSE 340' becomes 'cse-340'.
+ */
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Check whether a course code is already taken (case-insensitive, ignoring extra spaces).
+ * 
+ * @param {string} courseCode - Course code to check, e.g. 'CSE 340'
+ * @param {number|null} excludeId - Course to ignore, so editing a course doesn't clash with itself
+ * @returns {Promise<boolean>} True if another course uses the code
+ */
+export const courseCodeExists = async (courseCode, excludeId = null) => {
+    const query = `
+        SELECT EXISTS(
+            SELECT 1 FROM courses
+            WHERE UPPER(course_code) = UPPER($1) AND ($2::INTEGER IS NULL OR id <> $2)
+        ) AS exists
+    `;
+    const result = await db.query(query, [courseCode, excludeId]);
+    return result.rows[0].exists;
+};
+
+/**
+ * Create a course. The slug comes from the course code; if it is already taken
+ * (e.g. 'CSE 340' and 'CSE-340') a number is added: 'cse-340-2'.
+ * 
+ * @param {Object} course - { courseCode, name, description, creditHours, departmentId }
+ * @returns {Promise<Object>} The new course, as returned by getCourseById
+ */
+export const createCourse = async ({ courseCode, name, description, creditHours, departmentId }) => {
+    const baseSlug = slugify(courseCode);
+
+    // Existing slugs that could clash: the base slug itself and any numbered versions of it
+    const taken = await db.query(
+        `SELECT slug FROM courses WHERE slug = $1 OR slug LIKE $1 || '-%'`,
+        [baseSlug]
+    );
+    const takenSlugs = new Set(taken.rows.map(row => row.slug));
+
+    let slug = baseSlug;
+    for (let n = 2; takenSlugs.has(slug); n++) {
+        slug = `${baseSlug}-${n}`;
+    }
+
+    const query = `
+        INSERT INTO courses (course_code, name, description, credit_hours, department_id, slug)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+    `;
+    const result = await db.query(query, [courseCode, name, description || null, creditHours, departmentId, slug]);
+    return getCourseById(result.rows[0].id);
+};
+
+/**
+ * Update a course's details. The slug is left alone so existing links,
+ * bookmarks, and sections (which reference courses by slug) keep working.
+ * 
+ * @param {number} courseId - ID of the course to update
+ * @param {Object} course - { courseCode, name, description, creditHours, departmentId }
+ * @returns {Promise<Object>} The updated course, or empty object if it doesn't exist
+ */
+export const updateCourse = async (courseId, { courseCode, name, description, creditHours, departmentId }) => {
+    const query = `
+        UPDATE courses
+        SET course_code = $1, name = $2, description = $3, credit_hours = $4,
+            department_id = $5
+        WHERE id = $6
+        RETURNING id
+    `;
+    const result = await db.query(query, [courseCode, name, description || null, creditHours, departmentId, courseId]);
+    if (result.rows.length === 0) return {};
+    return getCourseById(courseId);
+};
+
+/**
+ * Retire a course (hide it from the catalog) or bring it back.
+ * Its sections are untouched, so past terms still show them.
+ * 
+ * @param {number} courseId - ID of the course
+ * @param {boolean} retired - true to retire, false to restore
+ * @returns {Promise<boolean>} True if the course exists and was updated
+ */
+export const setCourseRetired = async (courseId, retired) => {
+    const result = await db.query(
+        'UPDATE courses SET is_retired = $1 WHERE id = $2',
+        [retired, courseId]
+    );
+    return result.rowCount > 0;
+};
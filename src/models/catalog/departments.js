@@ -0,0 +1,73 @@
+import db from '../db.js';
+
+/**
+ * Get all departments, alphabetized by name.
+ *
+ * @returns {Promise<Array>} Array of department objects
+ */
+export const getAllDepartments = async () => {
+    const query = `
+        SELECT d.id, d.code, d.name
+        FROM departments d
+        ORDER BY d.name
+    `;
+
+    const result = await db.query(query);
+
+    return result.rows.map(department => ({
+        id: department.id,
+        code: department.code,
+        name: department.name
+    }));
+};
+
+/**
+ * Get a department by its code, e.g. 'CS'. Case doesn't matter so /departments/cs works too.
+ *
+ * @param {string} code - Department code from the URL
+ * @returns {Promise<Object>} Department object, or empty object if not found
+ */
+export const getDepartmentByCode = async (code) => {
+    const query = `
+        SELECT d.id, d.code, d.name
+        FROM departments d
+        WHERE UPPER(d.code) = UPPER($1)
+    `;
+
+    const result = await db.query(query, [code]);
+    if (result.rows.length === 0) return {};
+
+    const department = result.rows[0];
+    return { id: department.id, code: department.code, name: department.name };
+};
+
+/**
+ * Get a department's courses with how many sections each has in a term.
+ * Retired courses are left out; courses with no sections in the term are included.
+ *
+ * @param {number} departmentId - ID of the department
+ * @param {number} termId - ID of the term to count sections in
+ * @returns {Promise<Array>} Array of { id, courseCode, name, creditHours, slug, sectionCount }
+ */
+export const getDepartmentCourseOfferings = async (departmentId, termId) => {
+    const query = `
+        SELECT c.id, c.course_code, c.name, c.credit_hours, c.slug,
+               COUNT(cat.id) AS section_count
+        FROM courses c
+        LEFT JOIN catalog cat ON cat.course_slug = c.slug AND cat.term_id = $2
+        WHERE c.department_id = $1 AND c.is_retired = FALSE
+        GROUP BY c.id
+        ORDER BY c.course_code
+    `;
+
+    const result = await db.query(query, [departmentId, termId]);
+
+    return result.rows.map(course => ({
+        id: course.id,
+        courseCode: course.course_code,
+        name: course.name,
+        creditHours: course.credit_hours,
+        slug: course.slug,
+        sectionCount: Number(course.section_count)
+    }));
+};
@@ -0,0 +1,249 @@
+import db, { transaction } from '../db.js';
+import { formatMeetingTime } from '../../utils/meeting-time.js';
+
+/**
+ * Enrollments tie users to catalog sections. A user is either 'enrolled' (holds a seat)
+ * or 'waitlisted' (waiting for one). Waitlisted users are promoted in the order they
+ * joined whenever a seat opens up.
+ *
+ * Every change runs in a transaction that first locks the section row with
+ * SELECT ... FOR UPDATE. Two requests for the last seat therefore run one after the
+ * other: the second one sees the seat as taken and lands on the waitlist.
+ */
+
+/**
+ * Lock a section for the rest of the transaction and return its capacity.
+ * Enrollment in a term that has already ended can't be changed.
+ *
+ * @param {Object} client - Transaction client
+ * @param {number} sectionId - ID of the catalog row
+ * @returns {Promise<Object>} { id, capacity }
+ * @throws {Error} With status 404 if the section doesn't exist, 400 if its term is over
+ */
+const lockSection = async (client, sectionId) => {
+    const result = await client.query(`
+        SELECT cat.id, cat.capacity, (t.end_date < CURRENT_DATE) AS term_is_past
+        FROM catalog cat
+        JOIN terms t ON cat.term_id = t.id
+        WHERE cat.id = $1
+        FOR UPDATE OF cat
+    `, [sectionId]);
+
+    const section = result.rows[0];
+
+    if (!section) {
+        const err = new Error('Section not found');
+        err.status = 404;
+        throw err;
+    }
+
+    if (section.term_is_past) {
+        const err = new Error('Enrollment for past terms can no longer be changed');
+        err.status = 400;
+        throw err;
+    }
+
+    return section;
+};
+
+/**
+ * Count the enrolled (seat-holding) users in a section.
+ */
+const countEnrolled = async (client, sectionId) => {
+    const result = await client.query(
+        "SELECT COUNT(*) AS total FROM enrollments WHERE section_id = $1 AND status = 'enrolled'",
+        [sectionId]
+    );
+    return Number(result.rows[0].total);
+};
+
+/**
+ * Move waitlisted users into any open seats, first come first served.
+ * Must be called inside a transaction that holds the section lock.
+ *
+ * @returns {Promise<Array<number>>} IDs of the users that were promoted
+ */
+const fillOpenSeats = async (client, section) => {
+    const openSeats = section.capacity - await countEnrolled(client, section.id);
+    if (openSeats <= 0) return [];
+
+    const result = await client.query(`
+        UPDATE enrollments
+        SET status = 'enrolled'
+        WHERE id IN (
+            SELECT id FROM enrollments
+            WHERE section_id = $1 AND status = 'waitlisted'
+            ORDER BY created_at, id
+            LIMIT $2
+        )
+        RETURNING user_id
+    `, [section.id, openSeats]);
+
+    return result.rows.map(row => row.user_id);
+};
+
+/**
+ * Enroll a user in a section, or put them on the waitlist if the section is full.
+ *
+ * @param {number} userId - ID of the user
+ * @param {number} sectionId - ID of the catalog row
+ * @returns {Promise<Object>} { status: 'enrolled' | 'waitlisted', position } - position is
+ *   the user's place on the waitlist (null when enrolled)
+ * @throws {Error} With status 404/400 (see lockSection), or 409 if already enrolled or waitlisted
+ */
+export const enrollInSection = async (userId, sectionId) => {
+    return transaction(async (client) => {
+        const section = await lockSection(client, sectionId);
+
+        const existing = await client.query(
+            'SELECT status FROM enrollments WHERE section_id = $1 AND user_id = $2',
+            [sectionId, userId]
+        );
+
+        if (existing.rows.length > 0) {
+            const err = new Error(existing.rows[0].status === 'enrolled'
+                ? 'You are already enrolled in this section'
+                : 'You are already on the waitlist for this section');
+            err.status = 409;
+            throw err;
+        }
+
+        const enrolled = await countEnrolled(client, sectionId);
+        const status = enrolled < section.capacity ? 'enrolled' : 'waitlisted';
+
+        await client.query(
+            'INSERT INTO enrollments (section_id, user_id, status) VALUES ($1, $2, $3)',
+            [sectionId, userId, status]
+        );
+
+        if (status === 'enrolled') {
+            return { status, position: null };
+        }
+
+        const waitlist = await client.query(
+            "SELECT COUNT(*) AS total FROM enrollments WHERE section_id = $1 AND status = 'waitlisted'",
+            [sectionId]
+        );
+
+        return { status, position: Number(waitlist.rows[0].total) };
+    });
+};
+
+/**
+ * Drop a user from a section (or remove them from its waitlist).
+ * If they held a seat, the next waitlisted user is promoted in the same transaction.
+ *
+ * @param {number} userId - ID of the user
+ * @param {number} sectionId - ID of the catalog row
+ * @returns {Promise<Object>} { status, promotedUserIds } - status is what the user was
+ *   before dropping ('enrolled' or 'waitlisted')
+ * @throws {Error} With status 404/400 (see lockSection), or 404 if the user isn't in the section
+ */
+export const dropSection = async (userId, sectionId) => {
+    return transaction(async (client) => {
+        const section = await lockSection(client, sectionId);
+
+        const result = await client.query(
+            'DELETE FROM enrollments WHERE section_id = $1 AND user_id = $2 RETURNING status',
+            [sectionId, userId]
+        );
+
+        if (result.rows.length === 0) {
+            const err = new Error('You are not enrolled in this section');
+            err.status = 404;
+            throw err;
+        }
+
+        const status = result.rows[0].status;
+        const promotedUserIds = status === 'enrolled' ? await fillOpenSeats(client, section) : [];
+
+        return { status, promotedUserIds };
+    });
+};
+
+/**
+ * Move waitlisted users into seats opened by raising a section's capacity.
+ *
+ * @param {number} sectionId - ID of the catalog row
+ * @returns {Promise<Array<number>>} IDs of the users that were promoted
+ * @throws {Error} With status 404/400 (see lockSection)
+ */
+export const promoteWaitlist = async (sectionId) => {
+    return transaction(async (client) => {
+        const section = await lockSection(client, sectionId);
+        return fillOpenSeats(client, section);
+    });
+};
+
+/**
+ * Get a user's enrollment status for a set of sections, used to show the right
+ * button (enroll / drop / leave waitlist) next to each section.
+ *
+ * @param {number} userId - ID of the user
+ * @param {Array<number>} sectionIds - Section IDs on the page
+ * @returns {Promise<Object>} Map of section ID -> { status, position }
+ */
+export const getEnrollmentStatuses = async (userId, sectionIds) => {
+    if (!userId || sectionIds.length === 0) return {};
+
+    // Position is only meaningful for the waitlist: 1 = next in line
+    const query = `
+        SELECT section_id, status, position
+        FROM (
+            SELECT e.section_id, e.user_id, e.status,
+                   ROW_NUMBER() OVER (PARTITION BY e.section_id, e.status ORDER BY e.created_at, e.id) AS position
+            FROM enrollments e
+            WHERE e.section_id = ANY($2::INTEGER[])
+        ) ranked
+        WHERE user_id = $1
+    `;
+
+    const result = await db.query(query, [userId, sectionIds]);
+
+    return Object.fromEntries(result.rows.map(row => [row.section_id, {
+        status: row.status,
+        position: row.status === 'waitlisted' ? Number(row.position) : null
+    }]));
+};
+
+/**
+ * Get every section a user is enrolled or waitlisted in, newest term first.
+ *
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array>} Array of enrollment objects with section, course and term info
+ */
+export const getEnrollmentsByUser = async (userId) => {
+    const query = `
+        SELECT e.status, e.section_id,
+               cat.time, cat.room, cat.days, cat.start_time, cat.end_time,
+               c.course_code, c.name AS course_name, c.slug AS course_slug, c.credit_hours,
+               f.first_name, f.last_name,
+               t.code AS term_code, t.name AS term_name, (t.end_date < CURRENT_DATE) AS term_is_past
+        FROM enrollments e
+        JOIN catalog cat ON e.section_id = cat.id
+        JOIN courses c ON cat.course_slug = c.slug
+        JOIN faculty f ON cat.faculty_slug = f.slug
+        JOIN terms t ON cat.term_id = t.id
+        WHERE e.user_id = $1
+        ORDER BY t.start_date DESC, cat.start_time NULLS LAST, c.course_code
+    `;
+
+    const result = await db.query(query, [userId]);
+
+    return result.rows.map(row => ({
+        sectionId: row.section_id,
+        status: row.status,
+        time: row.start_time
+            ? formatMeetingTime({ days: row.days, startTime: row.start_time, endTime: row.end_time })
+            : row.time,
+        room: row.room,
+        courseCode: row.course_code,
+        courseName: row.course_name,
+        courseSlug: row.course_slug,
+        creditHours: row.credit_hours,
+        professor: `${row.first_name} ${row.last_name}`,
+        termCode: row.term_code,
+        termName: row.term_name,
+        termIsPast: row.term_is_past
+    }));
+};
@@ -0,0 +1,241 @@
+import db, { transaction } from '../db.js';
+
+/**
+ * Prerequisites and corequisites live in the course_requisites table.
+ * Rows for the same course and type that share a group_number form a "one of" group:
+ * every group has to be satisfied, and any one course in a group satisfies it.
+ *
+ * Example - CSE 340 requires CSE 210 AND (WDD 130 OR WDD 230):
+ *   (cse-340, cse-210, 'prereq', 1)
+ *   (cse-340, wdd-130, 'prereq', 2)
+ *   (cse-340, wdd-230, 'prereq', 2)
+ */
+
+export const REQUISITE_TYPES = ['prereq', 'coreq'];
+
+/**
+ * Recursive CTE that walks the prerequisite graph downward from a starting course.
+ * The path array stops the walk if bad data ever contains a loop, so the query
+ * can't run forever.
+ *
+ * @param {string} startParam - Placeholder holding the starting course ID, e.g. '$1'
+ * @returns {string} WITH RECURSIVE clause defining "chain"
+ */
+const prerequisiteChain = (startParam) => `
+    WITH RECURSIVE chain AS (
+        SELECT r.course_id, r.required_course_id, 1 AS depth, ARRAY[r.course_id] AS path
+        FROM course_requisites r
+        WHERE r.course_id = ${startParam} AND r.requisite_type = 'prereq'
+
+        UNION ALL
+
+        SELECT r.course_id, r.required_course_id, chain.depth + 1, chain.path || r.course_id
+        FROM course_requisites r
+        JOIN chain ON r.course_id = chain.required_course_id
+        WHERE r.requisite_type = 'prereq'
+          AND NOT r.course_id = ANY(chain.path)
+    )
+`;
+
+/**
+ * Turn requisite rows into groups of courses, keeping the group order.
+ *
+ * @param {Array} rows - Rows with group_number and course columns
+ * @returns {Array<Array<Object>>} Array of groups; each group is an array of courses
+ */
+const toGroups = (rows) => {
+    const groups = new Map();
+
+    rows.forEach(row => {
+        if (!groups.has(row.group_number)) {
+            groups.set(row.group_number, []);
+        }
+
+        groups.get(row.group_number).push({
+            requisiteId: row.requisite_id,
+            groupNumber: row.group_number,
+            id: row.id,
+            courseCode: row.course_code,
+            name: row.name,
+            slug: row.slug
+        });
+    });
+
+    return [...groups.values()];
+};
+
+/**
+ * Get the prerequisites and corequisites for a course, grouped into "one of" groups.
+ *
+ * @param {number} courseId - ID of the course
+ * @returns {Promise<Object>} { prerequisites, corequisites } - each an array of course groups
+ */
+export const getRequisitesByCourse = async (courseId) => {
+    const query = `
+        SELECT r.id AS requisite_id, r.requisite_type, r.group_number,
+               c.id, c.course_code, c.name, c.slug
+        FROM course_requisites r
+        JOIN courses c ON r.required_course_id = c.id
+        WHERE r.course_id = $1
+        ORDER BY r.requisite_type, r.group_number, c.course_code
+    `;
+
+    const result = await db.query(query, [courseId]);
+
+    return {
+        prerequisites: toGroups(result.rows.filter(row => row.requisite_type === 'prereq')),
+        corequisites: toGroups(result.rows.filter(row => row.requisite_type === 'coreq'))
+    };
+};
+
+/**
+ * Get the courses that list a course as a prerequisite ("leads to" links).
+ *
+ * @param {number} courseId - ID of the course
+ * @returns {Promise<Array>} Array of course objects that this course unlocks
+ */
+export const getCoursesLeadingFrom = async (courseId) => {
+    const query = `
+        SELECT DISTINCT c.id, c.course_code, c.name, c.slug
+        FROM course_requisites r
+        JOIN courses c ON r.course_id = c.id
+        WHERE r.required_course_id = $1 AND r.requisite_type = 'prereq'
+        ORDER BY c.course_code
+    `;
+
+    const result = await db.query(query, [courseId]);
+
+    return result.rows.map(course => ({
+        id: course.id,
+        courseCode: course.course_code,
+        name: course.name,
+        slug: course.slug
+    }));
+};
+
+/**
+ * Get the full prerequisite chain needed to reach a course.
+ * Each step is a course in the chain along with its own prerequisite groups.
+ * Steps are ordered so the courses with the longest chain behind them come first,
+ * which reads as "take these first" down to the target course.
+ *
+ * @param {number} courseId - ID of the target course
+ * @returns {Promise<Array>} Array of { course, level, prerequisites } steps
+ */
+export const getPrerequisitePath = async (courseId) => {
+    const query = `
+        ${prerequisiteChain('$1')}
+        SELECT c.id, c.course_code, c.name, c.slug, MAX(chain.depth) AS depth
+        FROM chain
+        JOIN courses c ON c.id = chain.required_course_id
+        GROUP BY c.id, c.course_code, c.name, c.slug
+        ORDER BY depth DESC, c.course_code
+    `;
+
+    const result = await db.query(query, [courseId]);
+    if (result.rows.length === 0) return [];
+
+    // Load every step's own requisites in one query
+    const ids = result.rows.map(row => row.id);
+    const requisites = await db.query(`
+        SELECT r.course_id, r.group_number, c.id, c.course_code, c.name, c.slug
+        FROM course_requisites r
+        JOIN courses c ON r.required_course_id = c.id
+        WHERE r.course_id = ANY($1) AND r.requisite_type = 'prereq'
+        ORDER BY r.group_number, c.course_code
+    `, [ids]);
+
+    const maxDepth = Number(result.rows[0].depth);
+
+    return result.rows.map(row => ({
+        course: {
+            id: row.id,
+            courseCode: row.course_code,
+            name: row.name,
+            slug: row.slug
+        },
+        // Level 1 = courses with nothing else required before them in this chain
+        level: maxDepth - Number(row.depth) + 1,
+        prerequisites: toGroups(requisites.rows.filter(req => req.course_id === row.id))
+    }));
+};
+
+/**
+ * Add a prerequisite or corequisite to a course.
+ * Prerequisites are rejected if they would create a cycle - for example making
+ * CSE 110 require CSE 340 when CSE 340 already (indirectly) requires CSE 110.
+ *
+ * @param {number} courseId - Course that gets the requirement
+ * @param {number} requiredCourseId - Course that must be taken first (or alongside, for coreqs)
+ * @param {Object} options - { type: 'prereq' | 'coreq', groupNumber }
+ * @returns {Promise<Object>} The new requisite record
+ * @throws {Error} With status 400 for invalid input or a cycle, 409 if it already exists
+ */
+export const addRequisite = async (courseId, requiredCourseId, { type = 'prereq', groupNumber = 1 } = {}) => {
+    if (!REQUISITE_TYPES.includes(type)) {
+        const err = new Error(`Unknown requisite type: ${type}`);
+        err.status = 400;
+        throw err;
+    }
+
+    if (Number(courseId) === Number(requiredCourseId)) {
+        const err = new Error('A course cannot be a requisite of itself');
+        err.status = 400;
+        throw err;
+    }
+
+    /**
+     * Only prerequisites form a sequence - corequisites are taken together and are
+     * allowed to point at each other. The chain starts from the *required* course ($2)
+     * to see if it leads back to $1.
+     */
+    const query = `
+        ${prerequisiteChain('$2')}
+        INSERT INTO course_requisites (course_id, required_course_id, requisite_type, group_number)
+        SELECT $1::INTEGER, $2::INTEGER, $3::VARCHAR, $4::INTEGER
+        WHERE $3::VARCHAR <> 'prereq'
+           OR NOT EXISTS (SELECT 1 FROM chain WHERE required_course_id = $1::INTEGER)
+        ON CONFLICT (course_id, required_course_id, requisite_type) DO NOTHING
+        RETURNING id, course_id, required_course_id, requisite_type, group_number
+    `;
+
+    return transaction(async (client) => {
+        /**
+         * Under READ COMMITTED two concurrent inserts (A requires B, B requires A) would
+         * each miss the other's uncommitted row and both succeed. This lock mode conflicts
+         * with itself and with every other write, so additions happen one at a time and
+         * each cycle check sees all earlier ones; plain reads aren't blocked.
+         */
+        await client.query('LOCK TABLE course_requisites IN SHARE ROW EXCLUSIVE MODE');
+
+        const result = await client.query(query, [courseId, requiredCourseId, type, groupNumber]);
+
+        if (result.rows.length > 0) {
+            return result.rows[0];
+        }
+
+        // Nothing was inserted - work out whether it was a duplicate or a cycle
+        const existing = await client.query(
+            'SELECT 1 FROM course_requisites WHERE course_id = $1 AND required_course_id = $2 AND requisite_type = $3',
+            [courseId, requiredCourseId, type]
+        );
+
+        const err = existing.rows.length > 0
+            ? new Error('That requisite already exists')
+            : new Error('That prerequisite would create a cycle - the required course already depends on this course');
+        err.status = existing.rows.length > 0 ? 409 : 400;
+        throw err;
+    });
+};
+
+/**
+ * Remove a single requisite from a course.
+ *
+ * @param {number} courseId - Course the requisite belongs to
+ * @param {number} requisiteId - ID of the course_requisites row
+ * @returns {Promise<boolean>} True if a row was removed
+ */
+export const removeRequisite = async (courseId, requisiteId) => {
+    const result = await db.query('DELETE FROM course_requisites WHERE id = $1 AND course_id = $2', [requisiteId, courseId]);
+    return result.rowCount > 0;
+};
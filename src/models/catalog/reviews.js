@@ -0,0 +1,190 @@
+import db from '../db.js';
+import { paginationClause } from '../../utils/pagination.js';
+
+/**
+ * Student reviews of courses. New and edited reviews start out 'pending' and
+ * only appear on the site (and count toward a course's rating) once an admin
+ * approves them.
+ */
+
+// Moderation states, in the order the admin queue shows them
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Transform a review row (snake_case) to the JavaScript shape (camelCase) used by views.
+ */
+const mapReview = (review) => ({
+    id: review.id,
+    courseId: review.course_id,
+    userId: review.user_id,
+    authorName: review.author_name,
+    rating: review.rating,
+    body: review.body,
+    status: review.status,
+    moderatedAt: review.moderated_at,
+    createdAt: review.created_at,
+    updatedAt: review.updated_at,
+    courseCode: review.course_code,
+    courseName: review.course_name,
+    courseSlug: review.course_slug
+});
+
+const REVIEW_COLUMNS = `
+    r.id, r.course_id, r.user_id, r.rating, r.body, r.status, r.moderated_at, r.created_at, r.updated_at,
+    u.name as author_name, c.course_code, c.name as course_name, c.slug as course_slug
+`;
+
+/**
+ * Get the approved reviews of a course, newest first.
+ *
+ * @param {number} courseId - ID of the course
+ * @returns {Promise<Array>} Array of review objects
+ */
+export const getApprovedReviews = async (courseId) => {
+    const query = `
+        SELECT ${REVIEW_COLUMNS}
+        FROM course_reviews r
+        JOIN users u ON r.user_id = u.id
+        JOIN courses c ON r.course_id = c.id
+        WHERE r.course_id = $1 AND r.status = 'approved'
+        ORDER BY r.updated_at DESC, r.id DESC
+    `;
+
+    const result = await db.query(query, [courseId]);
+    return result.rows.map(mapReview);
+};
+
+/**
+ * Get a user's own review of a course, whatever its status.
+ *
+ * @param {number} userId - ID of the user (may be undefined when logged out)
+ * @param {number} courseId - ID of the course
+ * @returns {Promise<Object>} Review object, or empty object if they haven't reviewed it
+ */
+export const getUserReview = async (userId, courseId) => {
+    if (!userId) return {};
+
+    const query = `
+        SELECT ${REVIEW_COLUMNS}
+        FROM course_reviews r
+        JOIN users u ON r.user_id = u.id
+        JOIN courses c ON r.course_id = c.id
+        WHERE r.user_id = $1 AND r.course_id = $2
+    `;
+
+    const result = await db.query(query, [userId, courseId]);
+    if (result.rows.length === 0) return {};
+    return mapReview(result.rows[0]);
+};
+
+/**
+ * Average approved rating and number of approved reviews for a set of courses.
+ * Courses without approved reviews are left out.
+ *
+ * @param {Array<number>} courseIds - IDs of the courses on the page
+ * @returns {Promise<Object>} Map of courseId -> { average, count }; average is rounded to one decimal
+ */
+export const getRatingSummaries = async (courseIds) => {
+    if (courseIds.length === 0) return {};
+
+    const query = `
+        SELECT course_id, ROUND(AVG(rating), 1) AS average, COUNT(*) AS count
+        FROM course_reviews
+        WHERE course_id = ANY($1::INTEGER[]) AND status = 'approved'
+        GROUP BY course_id
+    `;
+
+    const result = await db.query(query, [courseIds]);
+
+    // AVG and COUNT come back from pg as strings
+    return Object.fromEntries(result.rows.map(row => [row.course_id, {
+        average: Number(row.average),
+        count: Number(row.count)
+    }]));
+};
+
+/**
+ * Save a user's review of a course. A user has at most one review per course, so
+ * reviewing again replaces the old one and sends it back for moderation.
+ *
+ * @param {number} userId - ID of the user
+ * @param {number} courseId - ID of the course
+ * @param {Object} review - { rating, body }
+ * @returns {Promise<Object>} The saved review
+ */
+export const saveReview = async (userId, courseId, { rating, body }) => {
+    const query = `
+        INSERT INTO course_reviews (course_id, user_id, rating, body)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (course_id, user_id) DO UPDATE
+        SET rating = EXCLUDED.rating, body = EXCLUDED.body, status = 'pending',
+            moderated_at = NULL
+        RETURNING id
+    `;
+
+    await db.query(query, [courseId, userId, rating, body]);
+    return getUserReview(userId, courseId);
+};
+
+/**
+ * Get reviews with a given moderation status for the admin queue.
+ * Pending reviews are oldest first so they're handled in order; the others newest first.
+ *
+ * @param {string} status - 'pending', 'approved' or 'rejected'
+ * @param {Object} pagination - Optional { limit, offset }
+ * @returns {Promise<Array>} Array of review objects with course info
+ */
+export const getReviewsByStatus = async (status, pagination) => {
+    const params = [status];
+    const limitClause = paginationClause(pagination, params);
+    const order = status === 'pending' ? 'r.updated_at, r.id' : 'r.updated_at DESC, r.id DESC';
+
+    const query = `
+        SELECT ${REVIEW_COLUMNS}
+        FROM course_reviews r
+        JOIN users u ON r.user_id = u.id
+        JOIN courses c ON r.course_id = c.id
+        WHERE r.status = $1
+        ORDER BY ${order}
+        ${limitClause}
+    `;
+
+    const result = await db.query(query, params);
+    return result.rows.map(mapReview);
+};
+
+/**
+ * Count reviews in each moderation status, for the queue's tabs.
+ *
+ * @returns {Promise<Object>} { pending, approved, rejected }
+ */
+export const countReviewsByStatus = async () => {
+    const result = await db.query('SELECT status, COUNT(*) AS count FROM course_reviews GROUP BY status');
+
+    const counts = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+    result.rows.forEach(row => {
+        counts[row.status] = Number(row.count);
+    });
+    return counts;
+};
+
+/**
+ * Approve or reject a review.
+ *
+ * @param {number} reviewId - ID of the review
+ * @param {string} status - 'approved' or 'rejected'
+ * @returns {Promise<Object>} The updated review, or empty object if it doesn't exist
+ */
+export const setReviewStatus = async (reviewId, status) => {
+    const query = `
+        UPDATE course_reviews r
+        SET status = $1, moderated_at = CURRENT_TIMESTAMP
+        FROM users u, courses c
+        WHERE r.id = $2 AND u.id = r.user_id AND c.id = r.course_id
+        RETURNING ${REVIEW_COLUMNS}
+    `;
+
+    const result = await db.query(query, [status, reviewId]);
+    if (result.rows.length === 0) return {};
+    return mapReview(result.rows[0]);
+};
@@ -0,0 +1,151 @@
+import db from '../db.js';
+import { getSectionsByIds } from './catalog.js';
+import { toMinutes } from '../../utils/meeting-time.js';
+
+/**
+ * Rooms aren't a table of their own - they are the distinct values of catalog.room,
+ * e.g. 'STC 101'. The building is the prefix before the space ('STC') and the URL
+ * slug is the lowercased name with dashes ('stc-101').
+ */
+const ROOM_SLUG = "LOWER(REGEXP_REPLACE(cat.room, '\\s+', '-', 'g'))";
+const BUILDING = "SPLIT_PART(cat.room, ' ', 1)";
+
+/**
+ * Utilization is measured against the hours rooms are scheduled for classes:
+ * Monday to Friday, 7:00 AM to 10:00 PM. Saturday meetings and time outside the
+ * window don't count, so utilization can't go over 100% unless a room is double-booked.
+ */
+const SCHEDULING_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+const SCHEDULING_START = '07:00';
+const SCHEDULING_END = '22:00';
+export const SCHEDULING_MINUTES_PER_WEEK = SCHEDULING_DAYS.length * (toMinutes(SCHEDULING_END) - toMinutes(SCHEDULING_START));
+
+// Minutes per week a section occupies its room inside the scheduling window
+const BOOKED_MINUTES = `
+    GREATEST(EXTRACT(EPOCH FROM (LEAST(cat.end_time, TIME '${SCHEDULING_END}') - GREATEST(cat.start_time, TIME '${SCHEDULING_START}'))) / 60, 0)
+    * (SELECT COUNT(*) FROM UNNEST(cat.days) AS day WHERE day IN (${SCHEDULING_DAYS.map(day => `'${day}'`).join(', ')}))
+`;
+
+// Percentage with one decimal place, e.g. 0.4567 -> 45.7
+const toPercent = (booked, available) => available > 0 ? Math.round(booked / available * 1000) / 10 : 0;
+
+/**
+ * Get every room used during a term with its weekly bookings.
+ *
+ * @param {number} termId - ID of the term
+ * @returns {Promise<Array>} Array of { name, slug, building, sectionCount, bookedMinutes, utilization }
+ */
+export const getRoomsByTerm = async (termId) => {
+    const query = `
+        SELECT cat.room, ${ROOM_SLUG} AS slug, ${BUILDING} AS building,
+               COUNT(*) AS section_count,
+               COALESCE(SUM(${BOOKED_MINUTES}), 0) AS booked_minutes
+        FROM catalog cat
+        WHERE cat.term_id = $1
+        GROUP BY cat.room
+        ORDER BY building, cat.room
+    `;
+
+    const result = await db.query(query, [termId]);
+
+    return result.rows.map(row => ({
+        name: row.room,
+        slug: row.slug,
+        building: row.building,
+        sectionCount: Number(row.section_count),
+        bookedMinutes: Number(row.booked_minutes),
+        utilization: toPercent(Number(row.booked_minutes), SCHEDULING_MINUTES_PER_WEEK)
+    }));
+};
+
+/**
+ * Find a room by its URL slug.
+ *
+ * @param {string} slug - Room slug, e.g. 'stc-101'
+ * @returns {Promise<Object>} { name, slug, building }, or empty object if no section uses the room
+ */
+export const getRoomBySlug = async (slug) => {
+    const query = `
+        SELECT DISTINCT cat.room, ${ROOM_SLUG} AS slug, ${BUILDING} AS building
+        FROM catalog cat
+        WHERE ${ROOM_SLUG} = LOWER($1)
+        LIMIT 1
+    `;
+
+    const result = await db.query(query, [slug]);
+    if (result.rows.length === 0) return {};
+
+    const room = result.rows[0];
+    return { name: room.room, slug: room.slug, building: room.building };
+};
+
+/**
+ * Get utilization per building (room prefix) for a term.
+ *
+ * @param {number} termId - ID of the term
+ * @returns {Promise<Array>} Array of { building, roomCount, sectionCount, bookedMinutes, availableMinutes, utilization }
+ */
+export const getBuildingUtilization = async (termId) => {
+    const query = `
+        SELECT ${BUILDING} AS building,
+               COUNT(DISTINCT cat.room) AS room_count,
+               COUNT(*) AS section_count,
+               COALESCE(SUM(${BOOKED_MINUTES}), 0) AS booked_minutes
+        FROM catalog cat
+        WHERE cat.term_id = $1
+        GROUP BY building
+        ORDER BY building
+    `;
+
+    const result = await db.query(query, [termId]);
+
+    return result.rows.map(row => {
+        const availableMinutes = Number(row.room_count) * SCHEDULING_MINUTES_PER_WEEK;
+
+        return {
+            building: row.building,
+            roomCount: Number(row.room_count),
+            sectionCount: Number(row.section_count),
+            bookedMinutes: Number(row.booked_minutes),
+            availableMinutes,
+            utilization: toPercent(Number(row.booked_minutes), availableMinutes)
+        };
+    });
+};
+
+/**
+ * Find rooms that are double-booked: two sections in the same room and term that
+ * share a meeting day and overlap in time.
+ *
+ * @param {number} termId - ID of the term
+ * @returns {Promise<Array>} Array of { room, roomSlug, first, second } where first/second are section objects
+ */
+export const getRoomDoubleBookings = async (termId) => {
+    // a.id < b.id lists each pair once
+    const query = `
+        SELECT a.room, LOWER(REGEXP_REPLACE(a.room, '\\s+', '-', 'g')) AS room_slug,
+               a.id AS first_id, b.id AS second_id
+        FROM catalog a
+        JOIN catalog b ON a.room = b.room
+                      AND a.term_id = b.term_id
+                      AND a.id < b.id
+        WHERE a.term_id = $1
+          AND a.days && b.days
+          AND a.start_time < b.end_time
+          AND b.start_time < a.end_time
+        ORDER BY a.room, a.start_time, a.id, b.id
+    `;
+
+    const result = await db.query(query, [termId]);
+    if (result.rows.length === 0) return [];
+
+    const ids = [...new Set(result.rows.flatMap(row => [row.first_id, row.second_id]))];
+    const sections = new Map((await getSectionsByIds(ids)).map(section => [section.id, section]));
+
+    return result.rows.map(row => ({
+        room: row.room,
+        roomSlug: row.room_slug,
+        first: sections.get(row.first_id),
+        second: sections.get(row.second_id)
+    }));
+};
@@ -0,0 +1,68 @@
+import db from '../db.js';
+import { getSectionsByIds } from './catalog.js';
+
+/**
+ * Get the sections a user has added to their schedule for one term.
+ *
+ * @param {number} userId - ID of the user
+ * @param {number} termId - ID of the term
+ * @returns {Promise<Array>} Array of section objects
+ */
+export const getScheduleByUser = async (userId, termId) => {
+    const query = `
+        SELECT si.section_id
+        FROM schedule_items si
+        JOIN catalog cat ON si.section_id = cat.id
+        WHERE si.user_id = $1 AND cat.term_id = $2
+    `;
+
+    const result = await db.query(query, [userId, termId]);
+    return getSectionsByIds(result.rows.map(row => row.section_id));
+};
+
+/**
+ * Get which of the given sections are in a user's schedule.
+ *
+ * @param {number} userId - ID of the user
+ * @param {Array<number>} sectionIds - Section IDs on the page
+ * @returns {Promise<Array<number>>} The section IDs that are scheduled
+ */
+export const getScheduledSectionIds = async (userId, sectionIds) => {
+    if (!userId || sectionIds.length === 0) return [];
+
+    const result = await db.query(
+        'SELECT section_id FROM schedule_items WHERE user_id = $1 AND section_id = ANY($2::INTEGER[])',
+        [userId, sectionIds]
+    );
+    return result.rows.map(row => row.section_id);
+};
+
+/**
+ * Add a section to a user's schedule.
+ *
+ * @param {number} userId - ID of the user
+ * @param {number} sectionId - ID of the catalog row
+ * @returns {Promise<boolean>} True if added, false if it was already in the schedule
+ */
+export const addToSchedule = async (userId, sectionId) => {
+    const result = await db.query(
+        'INSERT INTO schedule_items (user_id, section_id) VALUES ($1, $2) ON CONFLICT (user_id, section_id) DO NOTHING',
+        [userId, sectionId]
+    );
+    return result.rowCount > 0;
+};
+
+/**
+ * Remove a section from a user's schedule.
+ *
+ * @param {number} userId - ID of the user
+ * @param {number} sectionId - ID of the catalog row
+ * @returns {Promise<boolean>} True if a section was removed
+ */
+export const removeFromSchedule = async (userId, sectionId) => {
+    const result = await db.query(
+        'DELETE FROM schedule_items WHERE user_id = $1 AND section_id = $2',
+        [userId, sectionId]
+    );
+    return result.rowCount > 0;
+};
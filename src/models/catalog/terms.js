@@ -0,0 +1,86 @@
+import db from '../db.js';
+
+/**
+ * Columns selected for every term query. is_past is computed by the database so
+ * "today" always means the database server's date.
+ */
+const TERM_COLUMNS = `
+    t.id, t.code, t.name, t.start_date, t.end_date, t.is_current,
+    (t.end_date < CURRENT_DATE) AS is_past
+`;
+
+// Transform a term row (snake_case) to camelCase for views
+const mapTerm = (term) => ({
+    id: term.id,
+    code: term.code,
+    name: term.name,
+    startDate: term.start_date,
+    endDate: term.end_date,
+    isCurrent: term.is_current,
+    isPast: term.is_past
+});
+
+/**
+ * Get all terms, most recent first.
+ *
+ * @returns {Promise<Array>} Array of term objects
+ */
+export const getAllTerms = async () => {
+    const query = `
+        SELECT ${TERM_COLUMNS}
+        FROM terms t
+        ORDER BY t.start_date DESC
+    `;
+
+    const result = await db.query(query);
+    return result.rows.map(mapTerm);
+};
+
+/**
+ * Get the term flagged as current.
+ *
+ * @returns {Promise<Object>} Term object, or empty object if no term is current
+ */
+export const getCurrentTerm = async () => {
+    const query = `
+        SELECT ${TERM_COLUMNS}
+        FROM terms t
+        WHERE t.is_current
+    `;
+
+    const result = await db.query(query);
+    if (result.rows.length === 0) return {};
+    return mapTerm(result.rows[0]);
+};
+
+/**
+ * Get a term by its code, e.g. 'fall-2026'.
+ *
+ * @param {string} code - Term code from the URL
+ * @returns {Promise<Object>} Term object, or empty object if not found
+ */
+export const getTermByCode = async (code) => {
+    const query = `
+        SELECT ${TERM_COLUMNS}
+        FROM terms t
+        WHERE t.code = $1
+    `;
+
+    const result = await db.query(query, [code]);
+    if (result.rows.length === 0) return {};
+    return mapTerm(result.rows[0]);
+};
+
+/**
+ * Resolve the ?term= query parameter to a term, defaulting to the current term
+ * when no code is given.
+ *
+ * @param {string|undefined} code - Term code, or undefined for the current term
+ * @returns {Promise<Object>} Term object, or empty object if the code is unknown
+ */
+export const resolveTerm = async (code) => {
+    if (typeof code === 'string' && code) {
+        return getTermByCode(code);
+    }
+    return getCurrentTerm();
+};
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { Pool } from 'pg';
 import { fileURLToPath } from 'url';
 
@@ -95,5 +96,100 @@ if (process.env.NODE_ENV?.includes('dev') && process.env.ENABLE_SQL_LOGGING ===
     db = pool;
 }
 
+/**
+ * Who is making the current request, for the audit log. The audit triggers in
+ * practice.sql read the user from the app.user_id setting, which only lasts for one
+ * transaction, so every write made while a user is known is given its own
+ * transaction with that setting (see src/middleware/audit.js for where it's set).
+ *
+ * Example:
+ *   auditContext.run({ userId: 7 }, () => updateFaculty(...));  // logged as user 7
+ */
+const auditContext = new AsyncLocalStorage();
+
+// Statements that may fire the audit triggers
+const WRITE_STATEMENT = /^\s*(INSERT|UPDATE|DELETE|WITH)\b/i;
+
+/**
+ * Tell the audit triggers who is making the changes in this transaction.
+ *
+ * @param {Object} client - Connection with an open transaction
+ * @param {Object} settings - { userId, revertOf } - either may be omitted
+ */
+const setAuditSettings = async (client, { userId, revertOf } = {}) => {
+    if (userId) {
+        await client.query(`SELECT set_config('app.user_id', $1, true)`, [String(userId)]);
+    }
+    if (revertOf) {
+        await client.query(`SELECT set_config('app.revert_of', $1, true)`, [String(revertOf)]);
+    }
+};
+
+/**
+ * Runs a callback inside a database transaction on a single pooled connection.
+ * All queries that must succeed or fail together have to use the client passed
+ * to the callback (not db.query), because each db.query call may get a different
+ * connection from the pool.
+ *
+ * Example:
+ *   await transaction(async (client) => {
+ *       await client.query('UPDATE ...');
+ *       await client.query('INSERT ...');
+ *   });
+ *
+ * @param {Function} callback - async (client) => result
+ * @returns {Promise<*>} Whatever the callback returns, after COMMIT
+ */
+const transaction = async (callback) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await setAuditSettings(client, auditContext.getStore());
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Runs a SELECT through a server-side cursor and passes the rows to a callback in
+ * batches, so large exports never hold the whole result in memory. The next batch is
+ * only fetched after the callback's promise resolves, which lets callers wait for a
+ * slow HTTP client to catch up.
+ *
+ * @param {string} text - SELECT statement (may use $1, $2, ... placeholders)
+ * @param {Array} params - Values for the placeholders
+ * @param {Function} onBatch - async (rows) => void, called once per batch
+ * @param {number} batchSize - Rows fetched per round trip (default: 100)
+ * @returns {Promise<void>}
+ */
+const streamQuery = (text, params, onBatch, batchSize = 100) => transaction(async (client) => {
+    // Cursors only live inside a transaction, which transaction() provides
+    await client.query(`DECLARE stream_cursor NO SCROLL CURSOR FOR ${text}`, params);
+
+    while (true) {
+        const result = await client.query(`FETCH ${Number(batchSize)} FROM stream_cursor`);
+        if (result.rows.length === 0) break;
+        await onBatch(result.rows);
+    }
+
+    await client.query('CLOSE stream_cursor');
+});
+
+// Writes made on behalf of a logged-in user run in a transaction so the audit log can name them
+const queryWithoutActor = db.query.bind(db);
+db.query = (text, params) => {
+    if (!auditContext.getStore()?.userId || !WRITE_STATEMENT.test(text)) {
+        return queryWithoutActor(text, params);
+    }
+    return transaction(client => client.query(text, params));
+};
+
 export default db;
-export { caCert };
\ No newline at end of file
+export { caCert, transaction, streamQuery, auditContext };
\ No newline at end of file
@@ -1,24 +1,33 @@
-import db from '../db.js';
+import db, { streamQuery } from '../db.js';
+import { paginationClause } from '../../utils/pagination.js';
+import { getPhotoUrls } from './photos.js';
+
+// Sort options accepted by getSortedFaculty
+const FACULTY_SORT_OPTIONS = ['name', 'department', 'title'];
 
 /**
- * Core function to get a single faculty member by ID or slug.
+ * Core function to get a single faculty member by ID, slug, or linked login account.
  * This pattern (one function with a type parameter) reduces duplicate code.
+ * Inactive faculty are still returned so their profile links keep working.
  * 
- * @param {string|number} identifier - Faculty ID or slug
- * @param {string} identifierType - 'id' or 'slug' (default: 'id')
+ * @param {string|number} identifier - Faculty ID, slug, or user ID
+ * @param {string} identifierType - 'id', 'slug' or 'user' (default: 'id')
  * @returns {Promise<Object>} Faculty object with department info, or empty object if not found
  */
 const getFaculty = async (identifier, identifierType = 'id') => {
-    // Build WHERE clause dynamically - search by slug or id
-    const whereClause = identifierType === 'slug' ? 'f.slug = $1' : 'f.id = $1';
+    // Build WHERE clause dynamically - search by slug, login account, or id
+    const whereClause = identifierType === 'slug' ? 'f.slug = $1' :
+                        identifierType === 'user' ? 'f.user_id = $1' :
+                        'f.id = $1';
     
     /**
      * Join faculty with departments to get department information.
      * Aliases: f = faculty, d = departments
      */
     const query = `
-        SELECT f.id, f.first_name, f.last_name, f.office, f.phone, f.email, 
-               f.title, f.gender, f.slug, d.name as department_name, d.code as department_code
+        SELECT f.id, f.first_name, f.last_name, f.office, f.phone, f.email, f.is_active,
+               f.title, f.gender, f.slug, f.department_id, f.bio, f.photo_updated_at,
+               d.name as department_name, d.code as department_code
         FROM faculty f
         JOIN departments d ON f.department_id = d.id
         WHERE ${whereClause}
@@ -29,67 +38,108 @@ const getFaculty = async (identifier, identifierType = 'id') => {
     // Return empty object if faculty member not found
     if (result.rows.length === 0) return {};
     
-    const faculty = result.rows[0];
-    return {
-        id: faculty.id,
-        firstName: faculty.first_name,
-        lastName: faculty.last_name,
-        name: `${faculty.first_name} ${faculty.last_name}`, // Computed full name
-        office: faculty.office,
-        phone: faculty.phone,
-        email: faculty.email,
-        department: faculty.department_name,
-        departmentCode: faculty.department_code,
-        title: faculty.title,
-        gender: faculty.gender,
-        slug: faculty.slug
-    };
+    return mapFacultyRow(result.rows[0]);
 };
 
 /**
- * Get all faculty members with optional sorting.
+ * Build the SELECT used by getSortedFaculty and streamSortedFaculty.
  * 
- * @param {string} sortBy - Sort option: 'department' (default), 'name', 'title'
- * @returns {Promise<Array>} Array of faculty objects sorted by the specified field
+ * @param {string} sortBy - Sort option: 'department', 'name', 'title'
+ * @param {Object} pagination - Optional { limit, offset }; omit to get everyone
+ * @param {boolean} includeInactive - Also list faculty who have been deactivated
+ * @returns {Object} { query, params }
  */
-const getSortedFaculty = async (sortBy = 'department') => {
+const buildSortedFacultyQuery = (sortBy, pagination, includeInactive = false) => {
     /**
      * Build ORDER BY clause - notice we sort by last_name, then first_name for names.
      * This is the standard way to alphabetize people's names.
+     * f.id is the final tie-breaker so people with the same name never swap pages.
      */
-    const orderByClause = sortBy === 'name' ? 'f.last_name, f.first_name' :
-                          sortBy === 'title' ? 'f.title, f.last_name' :
-                          'd.name, f.last_name, f.first_name';
+    const orderByClause = sortBy === 'name' ? 'f.last_name, f.first_name, f.id' :
+                          sortBy === 'title' ? 'f.title, f.last_name, f.first_name, f.id' :
+                          'd.name, f.last_name, f.first_name, f.id';
     
+    const params = [];
+    const limitClause = paginationClause(pagination, params);
+
     const query = `
-        SELECT f.id, f.first_name, f.last_name, f.office, f.phone, f.email, 
-               f.title, f.gender, f.slug, d.name as department_name, d.code as department_code
+        SELECT f.id, f.first_name, f.last_name, f.office, f.phone, f.email, f.is_active,
+               f.title, f.gender, f.slug, f.department_id, f.photo_updated_at,
+               d.name as department_name, d.code as department_code
         FROM faculty f
         JOIN departments d ON f.department_id = d.id
+        ${includeInactive ? '' : 'WHERE f.is_active = TRUE'}
         ORDER BY ${orderByClause}
+        ${limitClause}
     `;
-    
-    const result = await db.query(query);
-    
-    // Transform each row from database format to JavaScript format
-    return result.rows.map(faculty => ({
-        id: faculty.id,
-        firstName: faculty.first_name,
-        lastName: faculty.last_name,
-        name: `${faculty.first_name} ${faculty.last_name}`,
-        office: faculty.office,
-        phone: faculty.phone,
-        email: faculty.email,
-        department: faculty.department_name,
-        departmentCode: faculty.department_code,
-        title: faculty.title,
-        gender: faculty.gender,
-        slug: faculty.slug
-    }));
+
+    return { query, params };
+};
+
+// Transform a row from database format to JavaScript format
+const mapFacultyRow = (faculty) => ({
+    id: faculty.id,
+    firstName: faculty.first_name,
+    lastName: faculty.last_name,
+    name: `${faculty.first_name} ${faculty.last_name}`,
+    office: faculty.office,
+    phone: faculty.phone,
+    email: faculty.email,
+    departmentId: faculty.department_id,
+    department: faculty.department_name,
+    departmentCode: faculty.department_code,
+    title: faculty.title,
+    gender: faculty.gender,
+    slug: faculty.slug,
+    isActive: faculty.is_active,
+    // Markdown source; only the detail query selects it
+    bio: faculty.bio,
+    // { thumb, profile } URLs, or null to show the initials avatar
+    photo: getPhotoUrls(faculty.id, faculty.photo_updated_at),
+    initials: `${faculty.first_name.charAt(0)}${faculty.last_name.charAt(0)}`.toUpperCase()
+});
+
+/**
+ * Get all active faculty members with optional sorting.
+ * 
+ * @param {string} sortBy - Sort option: 'department' (default), 'name', 'title'
+ * @param {Object} pagination - Optional { limit, offset } from getPagination; omit to get everyone
+ * @param {Object} options - { includeInactive } to also list deactivated faculty (admin pages)
+ * @returns {Promise<Array>} Array of faculty objects sorted by the specified field
+ */
+const getSortedFaculty = async (sortBy = 'department', pagination, { includeInactive = false } = {}) => {
+    const { query, params } = buildSortedFacultyQuery(sortBy, pagination, includeInactive);
+    const result = await db.query(query, params);
+    return result.rows.map(mapFacultyRow);
 };
 
 /**
- * Get all faculty members in a specific department.
+ * Same as getSortedFaculty, but streams the rows from a database cursor in batches
+ * instead of loading them all at once. Used by the CSV/JSON downloads.
+ * 
+ * @param {string} sortBy - Sort option: 'department' (default), 'name', 'title'
+ * @param {Function} onBatch - async (faculty) => void, called with each batch of faculty objects
+ * @returns {Promise<void>}
+ */
+const streamSortedFaculty = async (sortBy = 'department', onBatch) => {
+    const { query, params } = buildSortedFacultyQuery(sortBy);
+    await streamQuery(query, params, rows => onBatch(rows.map(mapFacultyRow)));
+};
+
+/**
+ * Count faculty members - used with getSortedFaculty for pagination.
+ * 
+ * @param {Object} options - { includeInactive } to also count deactivated faculty
+ * @returns {Promise<number>} Number of faculty members
+ */
+const countFaculty = async ({ includeInactive = false } = {}) => {
+    const whereClause = includeInactive ? '' : 'WHERE is_active = TRUE';
+    const result = await db.query(`SELECT COUNT(*) AS total FROM faculty ${whereClause}`);
+    return Number(result.rows[0].total);
+};
+
+/**
+ * Get all active faculty members in a specific department.
  * 
  * @param {number} departmentId - The ID of the department
  * @param {string} sortBy - Sort option: 'name' (default), 'department', 'title'
@@ -106,7 +156,7 @@ const getFacultyByDepartment = async (departmentId, sortBy = 'name') => {
                f.title, f.gender, f.slug, d.name as department_name, d.code as department_code
         FROM faculty f
         JOIN departments d ON f.department_id = d.id
-        WHERE f.department_id = $1
+        WHERE f.department_id = $1 AND f.is_active = TRUE
         ORDER BY ${orderByClause}
     `;
     
@@ -134,8 +184,131 @@ const getFacultyByDepartment = async (departmentId, sortBy = 'name') => {
  */
 const getFacultyById = (facultyId) => getFaculty(facultyId, 'id');
 const getFacultyBySlug = (facultySlug) => getFaculty(facultySlug, 'slug');
+const getFacultyByUserId = (userId) => getFaculty(userId, 'user');
+
+/**
+ * Get the email of the login account linked to a faculty member. Kept out of the
+ * faculty object itself because that object is also served by the public API.
+ * 
+ * @param {number} facultyId - ID of the faculty member
+ * @returns {Promise<string>} The account's email, or '' if no account is linked
+ */
+const getFacultyAccountEmail = async (facultyId) => {
+    const result = await db.query(
+        'SELECT u.email FROM faculty f JOIN users u ON f.user_id = u.id WHERE f.id = $1',
+        [facultyId]
+    );
+    return result.rows[0]?.email ?? '';
+};
+
+/**
+ * Turn a name into a URL slug: 'Nathan Jack' becomes 'nathan-jack'.
+ */
+const slugify = (text) => text
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Run an insert or update, turning a clash with the UNIQUE email or login account
+ * constraints into a 409 error with a message that can be shown to the admin.
+ */
+const withUniqueEmail = async (email, write) => {
+    try {
+        return await write();
+    } catch (error) {
+        if (error.code === '23505' && error.constraint === 'faculty_email_key') {
+            const err = new Error(`Another faculty member already uses the email ${email}`);
+            err.status = 409;
+            throw err;
+        }
+        if (error.code === '23505' && error.constraint === 'faculty_user_id_key') {
+            const err = new Error('That login account is already linked to another faculty member');
+            err.status = 409;
+            throw err;
+        }
+        throw error;
+    }
+};
 
-export { getFacultyById, getFacultyBySlug, getSortedFaculty, getFacultyByDepartment };
+/**
+ * Add a faculty member. The slug is made from their name, with a number added
+ * if someone else already has it: 'john-smith-2'.
+ * 
+ * @param {Object} faculty - { firstName, lastName, title, office, phone, email, departmentId, bio, userId }
+ *   where bio is Markdown and userId is the linked login account, or null
+ * @returns {Promise<Object>} The new faculty member, as returned by getFacultyById
+ * @throws {Error} With status 409 if the email or login account is already used
+ */
+const createFaculty = async ({ firstName, lastName, title, office, phone, email, departmentId, bio, userId = null }) => {
+    const baseSlug = slugify(`${firstName} ${lastName}`) || 'faculty';
+
+    // Existing slugs that could clash: the base slug itself and any numbered versions of it
+    const taken = await db.query(
+        `SELECT slug FROM faculty WHERE slug = $1 OR slug LIKE $1 || '-%'`,
+        [baseSlug]
+    );
+    const takenSlugs = new Set(taken.rows.map(row => row.slug));
+
+    let slug = baseSlug;
+    for (let n = 2; takenSlugs.has(slug); n++) {
+        slug = `${baseSlug}-${n}`;
+    }
+
+    const query = `
+        INSERT INTO faculty (first_name, last_name, title, office, phone, email, department_id, slug, bio, user_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id
+    `;
+    const result = await withUniqueEmail(email, () => db.query(query, [
+        firstName, lastName, title || null, office || null, phone || null, email, departmentId, slug, bio || null, userId
+    ]));
+    return getFacultyById(result.rows[0].id);
+};
+
+/**
+ * Update a faculty member's details. The slug is left alone because sections
+ * reference faculty by slug and profile links should keep working.
+ * 
+ * @param {number} facultyId - ID of the faculty member
+ * @param {Object} faculty - Same fields as createFaculty
+ * @returns {Promise<Object>} The updated faculty member, or empty object if they don't exist
+ * @throws {Error} With status 409 if the email or login account is already used by someone else
+ */
+const updateFaculty = async (facultyId, { firstName, lastName, title, office, phone, email, departmentId, bio, userId = null }) => {
+    const query = `
+        UPDATE faculty
+        SET first_name = $1, last_name = $2, title = $3, office = $4, phone = $5,
+            email = $6, department_id = $7, bio = $8, user_id = $9
+        WHERE id = $10
+        RETURNING id
+    `;
+    const result = await withUniqueEmail(email, () => db.query(query, [
+        firstName, lastName, title || null, office || null, phone || null, email, departmentId, bio || null, userId, facultyId
+    ]));
+    if (result.rows.length === 0) return {};
+    return getFacultyById(facultyId);
+};
+
+/**
+ * Deactivate a faculty member (hide them from the directory) or reactivate them.
+ * 
+ * @param {number} facultyId - ID of the faculty member
+ * @param {boolean} active - false to deactivate, true to reactivate
+ * @returns {Promise<boolean>} True if the faculty member exists and was updated
+ */
+const setFacultyActive = async (facultyId, active) => {
+    const result = await db.query(
+        'UPDATE faculty SET is_active = $1 WHERE id = $2',
+        [active, facultyId]
+    );
+    return result.rowCount > 0;
+};
+
+export {
+    getFacultyById, getFacultyBySlug, getFacultyByUserId, getFacultyAccountEmail,
+    getSortedFaculty, streamSortedFaculty, countFaculty, getFacultyByDepartment,
+    createFaculty, updateFaculty, setFacultyActive, FACULTY_SORT_OPTIONS
+};
 
 // Faculty data object
 //const faculty = {
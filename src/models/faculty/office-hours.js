@@ -0,0 +1,299 @@
+import db from '../db.js';
+import { formatMeetingTime, formatTime } from '../../utils/meeting-time.js';
+
+/**
+ * Office hours and appointments.
+ *
+ * Faculty publish weekly blocks (e.g. Tue 2:00-3:00 PM). Students book a single
+ * 15-minute slot inside a block on a particular date. Slots are never stored;
+ * they are worked out from the blocks whenever the booking page is shown, and
+ * a booking is only accepted if it lands on one of them.
+ *
+ * Appointment times are plain TIMESTAMPs in the campus's local time and are passed
+ * around as 'YYYY-MM-DDTHH:MM' strings, the format of the booking form's values.
+ */
+
+const SLOT_MINUTES = 15;
+
+// How far ahead students can book
+const BOOKING_WINDOW_DAYS = 14;
+
+// 'Tue, Oct 20' for a slot's date, worked out by PostgreSQL so it matches the stored day
+const DATE_LABEL = `TO_CHAR(a.starts_at, 'Dy, Mon FMDD')`;
+
+const mapOfficeHours = (block) => ({
+    id: block.id,
+    facultyId: block.faculty_id,
+    day: block.day,
+    startTime: block.start_time,
+    endTime: block.end_time,
+    location: block.location,
+    time: formatMeetingTime({ days: [block.day], startTime: block.start_time, endTime: block.end_time })
+});
+
+const mapAppointment = (appointment) => ({
+    id: appointment.id,
+    facultyId: appointment.faculty_id,
+    userId: appointment.user_id,
+    startsAt: appointment.starts_at,
+    date: appointment.date_label,
+    time: formatTime(appointment.starts_at.slice(11)),
+    location: appointment.location,
+    status: appointment.status,
+    isPast: appointment.is_past,
+    facultyName: `${appointment.first_name} ${appointment.last_name}`,
+    facultySlug: appointment.faculty_slug,
+    facultyUserId: appointment.faculty_user_id,
+    studentName: appointment.student_name,
+    studentEmail: appointment.student_email
+});
+
+const APPOINTMENT_COLUMNS = `
+    a.id, a.faculty_id, a.user_id, a.location, a.status,
+    TO_CHAR(a.starts_at, 'YYYY-MM-DD"T"HH24:MI') AS starts_at, ${DATE_LABEL} AS date_label,
+    (a.starts_at <= LOCALTIMESTAMP) AS is_past,
+    f.first_name, f.last_name, f.slug AS faculty_slug, f.user_id AS faculty_user_id,
+    u.name AS student_name, u.email AS student_email
+`;
+
+const APPOINTMENT_JOINS = `
+    FROM appointments a
+    JOIN faculty f ON a.faculty_id = f.id
+    JOIN users u ON a.user_id = u.id
+`;
+
+/**
+ * Get a faculty member's weekly office-hour blocks, Monday first.
+ *
+ * @param {number} facultyId - ID of the faculty member
+ * @returns {Promise<Array>} Array of { id, day, startTime, endTime, location, time }
+ */
+const getOfficeHours = async (facultyId) => {
+    const query = `
+        SELECT id, faculty_id, day, start_time, end_time, location
+        FROM office_hours
+        WHERE faculty_id = $1
+        ORDER BY ARRAY_POSITION(ARRAY['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'], day::TEXT), start_time
+    `;
+
+    const result = await db.query(query, [facultyId]);
+    return result.rows.map(mapOfficeHours);
+};
+
+/**
+ * Find a faculty member's existing blocks that overlap a proposed one.
+ *
+ * @param {number} facultyId - ID of the faculty member
+ * @param {Object} block - { day, startTime, endTime }
+ * @returns {Promise<Array>} Overlapping blocks
+ */
+const getOverlappingOfficeHours = async (facultyId, { day, startTime, endTime }) => {
+    const query = `
+        SELECT id, faculty_id, day, start_time, end_time, location
+        FROM office_hours
+        WHERE faculty_id = $1 AND day = $2 AND start_time < $4 AND $3 < end_time
+        ORDER BY start_time
+    `;
+
+    const result = await db.query(query, [facultyId, day, startTime, endTime]);
+    return result.rows.map(mapOfficeHours);
+};
+
+/**
+ * Add a weekly office-hour block.
+ *
+ * @param {number} facultyId - ID of the faculty member
+ * @param {Object} block - { day, startTime, endTime, location } with times as 'HH:MM'
+ * @returns {Promise<Object>} The new block
+ */
+const addOfficeHours = async (facultyId, { day, startTime, endTime, location }) => {
+    const query = `
+        INSERT INTO office_hours (faculty_id, day, start_time, end_time, location)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, faculty_id, day, start_time, end_time, location
+    `;
+
+    const result = await db.query(query, [facultyId, day, startTime, endTime, location || null]);
+    return mapOfficeHours(result.rows[0]);
+};
+
+/**
+ * Remove one of a faculty member's office-hour blocks. Appointments already booked
+ * in it are kept; the faculty member can cancel them from their dashboard.
+ *
+ * @param {number} facultyId - ID of the faculty member (so nobody can delete someone else's block)
+ * @param {number} blockId - ID of the block
+ * @returns {Promise<boolean>} True if a block was removed
+ */
+const deleteOfficeHours = async (facultyId, blockId) => {
+    const result = await db.query('DELETE FROM office_hours WHERE id = $1 AND faculty_id = $2', [blockId, facultyId]);
+    return result.rowCount > 0;
+};
+
+/**
+ * Get the open 15-minute slots in a faculty member's office hours over the booking
+ * window, skipping slots that have started or are already booked.
+ *
+ * @param {number} facultyId - ID of the faculty member
+ * @returns {Promise<Array>} Days in order: [{ date, slots: [{ startsAt, time, location }] }]
+ */
+const getOpenSlots = async (facultyId) => {
+    const query = `
+        SELECT TO_CHAR(slot, 'YYYY-MM-DD"T"HH24:MI') AS starts_at, TO_CHAR(slot, 'Dy, Mon FMDD') AS date_label, oh.location
+        FROM office_hours oh
+        CROSS JOIN generate_series(CURRENT_DATE::TIMESTAMP, (CURRENT_DATE + $2::INTEGER - 1)::TIMESTAMP, INTERVAL '1 day') AS dates(on_date)
+        CROSS JOIN LATERAL generate_series(
+            on_date + oh.start_time,
+            on_date + oh.end_time - INTERVAL '${SLOT_MINUTES} minutes',
+            INTERVAL '${SLOT_MINUTES} minutes'
+        ) AS slot
+        WHERE oh.faculty_id = $1
+          AND TO_CHAR(on_date, 'Dy') = oh.day
+          AND slot > LOCALTIMESTAMP
+          AND NOT EXISTS (
+              SELECT 1 FROM appointments a
+              WHERE a.faculty_id = oh.faculty_id AND a.starts_at = slot AND a.status = 'booked'
+          )
+        ORDER BY slot
+    `;
+
+    const result = await db.query(query, [facultyId, BOOKING_WINDOW_DAYS]);
+
+    // Group the slots by date for the booking page
+    const days = [];
+    result.rows.forEach(row => {
+        if (days.length === 0 || days[days.length - 1].date !== row.date_label) {
+            days.push({ date: row.date_label, slots: [] });
+        }
+        days[days.length - 1].slots.push({
+            startsAt: row.starts_at,
+            time: formatTime(row.starts_at.slice(11)),
+            location: row.location
+        });
+    });
+    return days;
+};
+
+/**
+ * Book a 15-minute appointment. The time must be an open slot in one of the faculty
+ * member's office-hour blocks within the booking window. The database's unique
+ * indexes decide between two students booking the same slot at the same moment.
+ *
+ * @param {number} userId - ID of the student
+ * @param {number} facultyId - ID of the faculty member
+ * @param {string} startsAt - Slot start as 'YYYY-MM-DDTHH:MM'
+ * @returns {Promise<Object>} The new appointment
+ * @throws {Error} With status 400 if the time isn't an offered slot, 409 if it is already taken
+ */
+const bookAppointment = async (userId, facultyId, startsAt) => {
+    const query = `
+        INSERT INTO appointments (faculty_id, user_id, starts_at, location)
+        SELECT oh.faculty_id, $2, $3::TIMESTAMP, oh.location
+        FROM office_hours oh
+        WHERE oh.faculty_id = $1
+          AND oh.day = TO_CHAR($3::TIMESTAMP, 'Dy')
+          AND $3::TIMESTAMP::TIME >= oh.start_time
+          AND $3::TIMESTAMP::TIME + INTERVAL '${SLOT_MINUTES} minutes' <= oh.end_time
+          AND EXTRACT(MINUTE FROM $3::TIMESTAMP)::INTEGER % ${SLOT_MINUTES} = 0
+          AND $3::TIMESTAMP > LOCALTIMESTAMP
+          AND $3::TIMESTAMP < CURRENT_DATE + $4::INTEGER
+        LIMIT 1
+        RETURNING id
+    `;
+
+    let result;
+    try {
+        result = await db.query(query, [facultyId, userId, startsAt, BOOKING_WINDOW_DAYS]);
+    } catch (error) {
+        if (error.code === '23505') {
+            const err = new Error(error.constraint === 'idx_appointments_user_slot'
+                ? 'You already have an appointment at that time'
+                : 'Sorry, someone else just booked that time. Please choose another slot.');
+            err.status = 409;
+            throw err;
+        }
+        // Invalid or out-of-range timestamp text, e.g. year 0
+        if (error.code === '22007' || error.code === '22008') {
+            const err = new Error('That time is not an open office-hour slot');
+            err.status = 400;
+            throw err;
+        }
+        throw error;
+    }
+
+    if (result.rows.length === 0) {
+        const err = new Error('That time is not an open office-hour slot');
+        err.status = 400;
+        throw err;
+    }
+
+    return getAppointmentById(result.rows[0].id);
+};
+
+/**
+ * Get one appointment with the faculty member and student it's between.
+ *
+ * @param {number} appointmentId - ID of the appointment
+ * @returns {Promise<Object>} Appointment object, or empty object if not found
+ */
+const getAppointmentById = async (appointmentId) => {
+    const result = await db.query(`SELECT ${APPOINTMENT_COLUMNS} ${APPOINTMENT_JOINS} WHERE a.id = $1`, [appointmentId]);
+    if (result.rows.length === 0) return {};
+    return mapAppointment(result.rows[0]);
+};
+
+/**
+ * Cancel a booked appointment, which frees its slot for someone else.
+ *
+ * @param {number} appointmentId - ID of the appointment
+ * @returns {Promise<boolean>} True if a booked, upcoming appointment was cancelled
+ */
+const cancelAppointment = async (appointmentId) => {
+    const result = await db.query(`
+        UPDATE appointments
+        SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'booked' AND starts_at > LOCALTIMESTAMP
+    `, [appointmentId]);
+    return result.rowCount > 0;
+};
+
+/**
+ * Get a student's booked appointments that haven't happened yet, soonest first.
+ *
+ * @param {number} userId - ID of the student
+ * @returns {Promise<Array>} Array of appointment objects
+ */
+const getUpcomingAppointmentsByUser = async (userId) => {
+    const query = `
+        SELECT ${APPOINTMENT_COLUMNS} ${APPOINTMENT_JOINS}
+        WHERE a.user_id = $1 AND a.status = 'booked' AND a.starts_at > LOCALTIMESTAMP
+        ORDER BY a.starts_at
+    `;
+
+    const result = await db.query(query, [userId]);
+    return result.rows.map(mapAppointment);
+};
+
+/**
+ * Get the booked, upcoming appointments with a faculty member, soonest first.
+ *
+ * @param {number} facultyId - ID of the faculty member
+ * @returns {Promise<Array>} Array of appointment objects
+ */
+const getUpcomingAppointmentsByFaculty = async (facultyId) => {
+    const query = `
+        SELECT ${APPOINTMENT_COLUMNS} ${APPOINTMENT_JOINS}
+        WHERE a.faculty_id = $1 AND a.status = 'booked' AND a.starts_at > LOCALTIMESTAMP
+        ORDER BY a.starts_at
+    `;
+
+    const result = await db.query(query, [facultyId]);
+    return result.rows.map(mapAppointment);
+};
+
+export {
+    SLOT_MINUTES, BOOKING_WINDOW_DAYS,
+    getOfficeHours, getOverlappingOfficeHours, addOfficeHours, deleteOfficeHours,
+    getOpenSlots, bookAppointment, getAppointmentById, cancelAppointment,
+    getUpcomingAppointmentsByUser, getUpcomingAppointmentsByFaculty
+};
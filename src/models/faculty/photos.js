@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import db from '../db.js';
+
+/**
+ * Faculty profile photos. An uploaded image is cropped to a square and saved in
+ * each standard size as public/images/faculty/<id>-<size>.webp. The database only
+ * records when the photo last changed, which also busts browser caches.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PHOTO_DIR = path.join(__dirname, '../../../public/images/faculty');
+
+// Square edge length in pixels: thumb for the directory cards, profile for the detail page
+const PHOTO_SIZES = { thumb: 128, profile: 320 };
+
+// What an admin may upload (checked against the file's contents, not just its name)
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const PHOTO_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+// Refuse absurdly large images (e.g. 20000 x 20000) before sharp decodes them
+const MAX_PHOTO_PIXELS = 50_000_000;
+
+const photoPath = (facultyId, size) => path.join(PHOTO_DIR, `${facultyId}-${size}.webp`);
+
+/**
+ * Public URLs of a faculty member's photo in each size.
+ *
+ * @param {number} facultyId - ID of the faculty member
+ * @param {Date|null} updatedAt - faculty.photo_updated_at
+ * @returns {Object|null} { thumb, profile } URLs, or null if they have no photo
+ */
+const getPhotoUrls = (facultyId, updatedAt) => {
+    if (!updatedAt) return null;
+    const version = new Date(updatedAt).getTime();
+    return Object.fromEntries(Object.keys(PHOTO_SIZES).map(size =>
+        [size, `/images/faculty/${facultyId}-${size}.webp?v=${version}`]));
+};
+
+/**
+ * Check that an uploaded file really is an image we accept.
+ *
+ * @param {Buffer} buffer - Uploaded file contents
+ * @throws {Error} With status 400 if the file isn't a readable JPEG, PNG, WebP or GIF
+ */
+const checkPhoto = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_PHOTO_PIXELS }).metadata();
+    } catch {
+        metadata = {};
+    }
+
+    if (!PHOTO_FORMATS.includes(metadata.format)) {
+        const err = new Error('Photo must be a JPEG, PNG, WebP or GIF image');
+        err.status = 400;
+        throw err;
+    }
+
+    if (metadata.width * metadata.height > MAX_PHOTO_PIXELS) {
+        const err = new Error('Photo dimensions are too large');
+        err.status = 400;
+        throw err;
+    }
+};
+
+/**
+ * Resize an uploaded photo into every standard size and record it on the faculty member.
+ * EXIF rotation is applied so phone pictures come out the right way up.
+ *
+ * @param {number} facultyId - ID of the faculty member
+ * @param {Buffer} buffer - Uploaded image, already passed checkPhoto
+ * @returns {Promise<void>}
+ */
+const savePhoto = async (facultyId, buffer) => {
+    await fs.mkdir(PHOTO_DIR, { recursive: true });
+
+    for (const [size, pixels] of Object.entries(PHOTO_SIZES)) {
+        await sharp(buffer, { limitInputPixels: MAX_PHOTO_PIXELS })
+            .rotate()
+            .resize(pixels, pixels, { fit: 'cover', position: 'attention' })
+            .webp({ quality: 82 })
+            .toFile(photoPath(facultyId, size));
+    }
+
+    await db.query('UPDATE faculty SET photo_updated_at = CURRENT_TIMESTAMP WHERE id = $1', [facultyId]);
+};
+
+/**
+ * Delete a faculty member's photo files; their profile goes back to the initials avatar.
+ *
+ * @param {number} facultyId - ID of the faculty member
+ * @returns {Promise<void>}
+ */
+const removePhoto = async (facultyId) => {
+    await db.query('UPDATE faculty SET photo_updated_at = NULL WHERE id = $1', [facultyId]);
+    await Promise.all(Object.keys(PHOTO_SIZES).map(size => fs.rm(photoPath(facultyId, size), { force: true })));
+};
+
+export {
+    PHOTO_SIZES, PHOTO_TYPES, MAX_PHOTO_BYTES,
+    getPhotoUrls, checkPhoto, savePhoto, removePhoto
+};
@@ -0,0 +1,114 @@
+import db from '../db.js';
+import { getSectionsByIds } from '../catalog/catalog.js';
+
+/**
+ * Credit hours a faculty member can teach in one term before they count as overloaded.
+ */
+const MAX_CREDIT_HOURS = 12;
+
+/**
+ * Get the teaching load of every faculty member for a term: how many sections they
+ * teach and the credit hours those sections add up to. Active faculty who teach
+ * nothing in the term are included with zero load; inactive faculty only appear
+ * if they still have sections that term.
+ *
+ * @param {number} termId - ID of the term
+ * @returns {Promise<Array>} Array of load objects, ordered by department then name
+ */
+const getFacultyTeachingLoads = async (termId) => {
+    const query = `
+        SELECT f.id, f.first_name, f.last_name, f.slug, f.title,
+               d.name as department_name, d.code as department_code,
+               COUNT(cat.id) AS section_count,
+               COALESCE(SUM(c.credit_hours), 0) AS credit_hours
+        FROM faculty f
+        JOIN departments d ON f.department_id = d.id
+        LEFT JOIN catalog cat ON cat.faculty_slug = f.slug AND cat.term_id = $1
+        LEFT JOIN courses c ON cat.course_slug = c.slug
+        GROUP BY f.id, d.name, d.code
+        HAVING f.is_active OR COUNT(cat.id) > 0
+        ORDER BY d.name, f.last_name, f.first_name, f.id
+    `;
+
+    const result = await db.query(query, [termId]);
+
+    return result.rows.map(row => ({
+        id: row.id,
+        name: `${row.first_name} ${row.last_name}`,
+        slug: row.slug,
+        title: row.title,
+        department: row.department_name,
+        departmentCode: row.department_code,
+        sectionCount: Number(row.section_count),
+        creditHours: Number(row.credit_hours),
+        overloaded: Number(row.credit_hours) > MAX_CREDIT_HOURS
+    }));
+};
+
+/**
+ * Get teaching load totals per department (grouped by the faculty member's department).
+ *
+ * @param {number} termId - ID of the term
+ * @returns {Promise<Array>} Array of { department, departmentCode, facultyCount, sectionCount, creditHours }
+ */
+const getDepartmentTeachingLoads = async (termId) => {
+    const query = `
+        SELECT d.name as department_name, d.code as department_code,
+               COUNT(DISTINCT f.id) FILTER (WHERE f.is_active OR cat.id IS NOT NULL) AS faculty_count,
+               COUNT(cat.id) AS section_count,
+               COALESCE(SUM(c.credit_hours), 0) AS credit_hours
+        FROM departments d
+        JOIN faculty f ON f.department_id = d.id
+        LEFT JOIN catalog cat ON cat.faculty_slug = f.slug AND cat.term_id = $1
+        LEFT JOIN courses c ON cat.course_slug = c.slug
+        GROUP BY d.id, d.name, d.code
+        ORDER BY d.name
+    `;
+
+    const result = await db.query(query, [termId]);
+
+    return result.rows.map(row => ({
+        department: row.department_name,
+        departmentCode: row.department_code,
+        facultyCount: Number(row.faculty_count),
+        sectionCount: Number(row.section_count),
+        creditHours: Number(row.credit_hours)
+    }));
+};
+
+/**
+ * Find instructors scheduled in two places at once: two sections with the same
+ * instructor in the same term that share a meeting day and overlap in time.
+ *
+ * @param {number} termId - ID of the term
+ * @returns {Promise<Array>} Array of { facultySlug, first, second } where first/second are section objects
+ */
+const getInstructorConflicts = async (termId) => {
+    // a.id < b.id lists each pair once
+    const query = `
+        SELECT a.faculty_slug, a.id AS first_id, b.id AS second_id
+        FROM catalog a
+        JOIN catalog b ON a.faculty_slug = b.faculty_slug
+                      AND a.term_id = b.term_id
+                      AND a.id < b.id
+        WHERE a.term_id = $1
+          AND a.days && b.days
+          AND a.start_time < b.end_time
+          AND b.start_time < a.end_time
+        ORDER BY a.faculty_slug, a.start_time, a.id, b.id
+    `;
+
+    const result = await db.query(query, [termId]);
+    if (result.rows.length === 0) return [];
+
+    const ids = [...new Set(result.rows.flatMap(row => [row.first_id, row.second_id]))];
+    const sections = new Map((await getSectionsByIds(ids)).map(section => [section.id, section]));
+
+    return result.rows.map(row => ({
+        facultySlug: row.faculty_slug,
+        first: sections.get(row.first_id),
+        second: sections.get(row.second_id)
+    }));
+};
+
+export { MAX_CREDIT_HOURS, getFacultyTeachingLoads, getDepartmentTeachingLoads, getInstructorConflicts };
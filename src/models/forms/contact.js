@@ -1,35 +1,265 @@
 import db from '../db.js';
+import { paginationClause } from '../../utils/pagination.js';
+
+// Inbox workflow: every submission starts as new; spam is kept but never counted as unread
+const CONTACT_STATUSES = ['new', 'in_progress', 'resolved', 'spam'];
+
+const CONTACT_STATUS_LABELS = {
+    new: 'New',
+    in_progress: 'In progress',
+    resolved: 'Resolved',
+    spam: 'Spam'
+};
 
 /**
  * Inserts a new contact form submission into the database.
- * 
+ *
  * @param {string} subject - The subject of the contact message
  * @param {string} message - The message content
+ * @param {Object} sender - Optional { email, userId }: where replies can go
  * @returns {Promise<Object>} The newly created contact form record
  */
-const createContactForm = async (subject, message) => {
+const createContactForm = async (subject, message, { email = null, userId = null } = {}) => {
     const query = `
-        INSERT INTO contact_form (subject, message)
-        VALUES ($1, $2)
+        INSERT INTO contact_form (subject, message, email, user_id)
+        VALUES ($1, $2, $3, $4)
         RETURNING *
     `;
-    const result = await db.query(query, [subject, message]);
+    const result = await db.query(query, [subject, message, email || null, userId]);
     return result.rows[0];
 };
 
 /**
- * Retrieves all contact form submissions, ordered by most recent first.
- * 
- * @returns {Promise<Array>} Array of contact form records
+ * Transform a contact_form row (snake_case) to the JavaScript shape (camelCase) used by the inbox.
  */
-const getAllContactForms = async () => {
+const mapContactForm = (form) => ({
+    id: form.id,
+    subject: form.subject,
+    message: form.message,
+    submitted: form.submitted,
+    email: form.email ?? form.sender_email ?? null,
+    userId: form.user_id,
+    senderName: form.sender_name ?? null,
+    status: form.status,
+    statusLabel: CONTACT_STATUS_LABELS[form.status],
+    assignedTo: form.assigned_to,
+    assigneeName: form.assignee_name ?? null,
+    isRead: form.read_at !== null,
+    replyCount: Number(form.reply_count ?? 0)
+});
+
+const CONTACT_COLUMNS = `
+    c.id, c.subject, c.message, c.submitted, c.email, c.user_id, c.status, c.assigned_to, c.read_at,
+    sender.name AS sender_name, sender.email AS sender_email, assignee.name AS assignee_name,
+    (SELECT COUNT(*) FROM contact_messages m WHERE m.contact_id = c.id AND m.kind = 'reply') AS reply_count
+`;
+
+const CONTACT_JOINS = `
+    LEFT JOIN users sender ON c.user_id = sender.id
+    LEFT JOIN users assignee ON c.assigned_to = assignee.id
+`;
+
+/**
+ * Build the WHERE clause for the inbox filters.
+ *
+ * @param {Object} filters - { status, from, to, assignedTo }; any may be omitted.
+ *   from and to are YYYY-MM-DD dates and both days are included.
+ * @param {Array} params - Query parameters, added to in place
+ * @returns {string} WHERE clause, or '' for no filters
+ */
+const buildFilterClause = ({ status, from, to, assignedTo } = {}, params) => {
+    const conditions = [];
+    if (status) {
+        params.push(status);
+        conditions.push(`c.status = $${params.length}`);
+    }
+    if (from) {
+        params.push(from);
+        conditions.push(`c.submitted >= $${params.length}::date`);
+    }
+    if (to) {
+        params.push(to);
+        conditions.push(`c.submitted < $${params.length}::date + 1`);
+    }
+    if (assignedTo) {
+        params.push(assignedTo);
+        conditions.push(`c.assigned_to = $${params.length}`);
+    }
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+};
+
+/**
+ * Retrieves contact form submissions, ordered by most recent first.
+ *
+ * @param {Object} filters - { status, from, to, assignedTo } to narrow the inbox; omit for every submission
+ * @param {Object} pagination - Optional { limit, offset } from getPagination; omit to get every submission
+ * @returns {Promise<Array>} Array of contact form objects
+ */
+const getContactForms = async (filters, pagination) => {
+    const params = [];
+    const whereClause = buildFilterClause(filters, params);
+    const limitClause = paginationClause(pagination, params);
+
+    // id breaks ties between submissions made in the same instant
     const query = `
-        SELECT id, subject, message, submitted
-        FROM contact_form
-        ORDER BY submitted DESC
+        SELECT ${CONTACT_COLUMNS}
+        FROM contact_form c
+        ${CONTACT_JOINS}
+        ${whereClause}
+        ORDER BY c.submitted DESC, c.id DESC
+        ${limitClause}
     `;
-    const result = await db.query(query);
-    return result.rows;
+    const result = await db.query(query, params);
+    return result.rows.map(mapContactForm);
+};
+
+/**
+ * Counts contact form submissions in each status - used for the inbox tabs and,
+ * with the status filter, for pagination.
+ *
+ * @param {Object} filters - Same as getContactForms, without status
+ * @returns {Promise<Object>} { new, in_progress, resolved, spam, all } counts
+ */
+const countContactFormsByStatus = async (filters) => {
+    const params = [];
+    const whereClause = buildFilterClause({ ...filters, status: null }, params);
+    const result = await db.query(`
+        SELECT c.status, COUNT(*) AS total
+        FROM contact_form c
+        ${whereClause}
+        GROUP BY c.status
+    `, params);
+
+    const counts = Object.fromEntries(CONTACT_STATUSES.map(status => [status, 0]));
+    result.rows.forEach(row => {
+        counts[row.status] = Number(row.total);
+    });
+    counts.all = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return counts;
+};
+
+/**
+ * Counts submissions no admin has opened yet, leaving out spam. Shown in the admin header.
+ *
+ * @returns {Promise<number>} Number of unread submissions
+ */
+const countUnreadContactForms = async () => {
+    const result = await db.query(`SELECT COUNT(*) AS total FROM contact_form WHERE read_at IS NULL AND status <> 'spam'`);
+    return Number(result.rows[0].total);
+};
+
+/**
+ * Get a single submission.
+ *
+ * @param {number} contactId - ID of the submission
+ * @returns {Promise<Object>} Contact form object, or empty object if not found
+ */
+const getContactFormById = async (contactId) => {
+    const result = await db.query(`
+        SELECT ${CONTACT_COLUMNS}
+        FROM contact_form c
+        ${CONTACT_JOINS}
+        WHERE c.id = $1
+    `, [contactId]);
+    if (result.rows.length === 0) return {};
+    return mapContactForm(result.rows[0]);
 };
 
-export { createContactForm, getAllContactForms };
\ No newline at end of file
+/**
+ * Mark a submission as read. Only the first time counts, so read_at records when
+ * an admin first opened it.
+ *
+ * @param {number} contactId - ID of the submission
+ * @returns {Promise<void>}
+ */
+const markContactFormRead = async (contactId) => {
+    await db.query('UPDATE contact_form SET read_at = CURRENT_TIMESTAMP WHERE id = $1 AND read_at IS NULL', [contactId]);
+};
+
+/**
+ * Change a submission's status and who it is assigned to.
+ *
+ * @param {number} contactId - ID of the submission
+ * @param {Object} changes - { status, assignedTo } where assignedTo is a user ID or null
+ * @returns {Promise<void>}
+ */
+const updateContactForm = async (contactId, { status, assignedTo }) => {
+    await db.query(
+        'UPDATE contact_form SET status = $2, assigned_to = $3 WHERE id = $1',
+        [contactId, status, assignedTo]
+    );
+};
+
+/**
+ * Get a submission's internal notes and replies, oldest first.
+ *
+ * @param {number} contactId - ID of the submission
+ * @param {Object} options - { repliesOnly: true } to leave out internal notes
+ * @returns {Promise<Array>} Array of { id, kind, body, authorName, createdAt }
+ */
+const getContactMessages = async (contactId, { repliesOnly = false } = {}) => {
+    const result = await db.query(`
+        SELECT m.id, m.kind, m.body, m.created_at, u.name AS author_name
+        FROM contact_messages m
+        LEFT JOIN users u ON m.author_id = u.id
+        WHERE m.contact_id = $1 ${repliesOnly ? `AND m.kind = 'reply'` : ''}
+        ORDER BY m.created_at, m.id
+    `, [contactId]);
+
+    return result.rows.map(message => ({
+        id: message.id,
+        kind: message.kind,
+        body: message.body,
+        authorName: message.author_name,
+        createdAt: message.created_at
+    }));
+};
+
+/**
+ * Add an internal note or a reply to a submission. A reply to a new submission
+ * also moves it to in progress, since someone is now handling it.
+ *
+ * @param {number} contactId - ID of the submission
+ * @param {number} authorId - ID of the admin writing it
+ * @param {string} kind - 'note' or 'reply'
+ * @param {string} body - Text of the note or reply
+ * @returns {Promise<void>}
+ */
+const addContactMessage = async (contactId, authorId, kind, body) => {
+    await db.query(
+        'INSERT INTO contact_messages (contact_id, author_id, kind, body) VALUES ($1, $2, $3, $4)',
+        [contactId, authorId, kind, body]
+    );
+
+    if (kind === 'reply') {
+        await db.query(`UPDATE contact_form SET status = 'in_progress' WHERE id = $1 AND status = 'new'`, [contactId]);
+    }
+};
+
+/**
+ * Get the messages a user has sent through the contact form, newest first, with
+ * the replies each one received. Internal notes are never included.
+ *
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array>} Array of contact form objects, each with a replies array
+ */
+const getContactFormsByUser = async (userId) => {
+    const result = await db.query(`
+        SELECT ${CONTACT_COLUMNS}
+        FROM contact_form c
+        ${CONTACT_JOINS}
+        WHERE c.user_id = $1 AND c.status <> 'spam'
+        ORDER BY c.submitted DESC, c.id DESC
+    `, [userId]);
+
+    const forms = result.rows.map(mapContactForm);
+    const replies = await Promise.all(forms.map(form => getContactMessages(form.id, { repliesOnly: true })));
+    return forms.map((form, index) => ({ ...form, replies: replies[index] }));
+};
+
+export {
+    CONTACT_STATUSES, CONTACT_STATUS_LABELS,
+    createContactForm, getContactForms, countContactFormsByStatus, countUnreadContactForms,
+    getContactFormById, markContactFormRead, updateContactForm,
+    getContactMessages, addContactMessage, getContactFormsByUser
+};
@@ -0,0 +1,55 @@
+import { transaction } from '../db.js';
+import { createToken, hashToken } from '../../utils/tokens.js';
+
+// How long an emailed verification link keeps working
+const VERIFICATION_TOKEN_HOURS = 24;
+
+/**
+ * Create an email verification token for a user, replacing any they already had.
+ * Expired tokens from everyone are cleared out while we're here.
+ *
+ * @param {number} userId - ID of the user
+ * @returns {Promise<string>} The plain token to put in the emailed link
+ */
+const createEmailVerification = async (userId) => {
+    const token = createToken();
+
+    await transaction(async (client) => {
+        await client.query('DELETE FROM email_verifications WHERE user_id = $1 OR expires_at < CURRENT_TIMESTAMP', [userId]);
+        await client.query(`
+            INSERT INTO email_verifications (user_id, token_hash, expires_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(hours => $3))
+        `, [userId, hashToken(token), VERIFICATION_TOKEN_HOURS]);
+    });
+
+    return token;
+};
+
+/**
+ * Use a verification token to mark the user's email address as verified. The
+ * token is deleted as it is used, so each link works once.
+ *
+ * @param {string} token - Plain token from the link
+ * @returns {Promise<Object|null>} { id, name, email } of the user, or null if the token doesn't work
+ */
+const verifyEmail = async (token) => transaction(async (client) => {
+    const used = await client.query(`
+        DELETE FROM email_verifications
+        WHERE token_hash = $1 AND expires_at > CURRENT_TIMESTAMP
+        RETURNING user_id
+    `, [hashToken(token)]);
+    if (used.rows.length === 0) return null;
+
+    const userId = used.rows[0].user_id;
+    const user = await client.query(`
+        UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+        WHERE id = $1
+        RETURNING id, name, email
+    `, [userId]);
+
+    await client.query('DELETE FROM email_verifications WHERE user_id = $1', [userId]);
+
+    return user.rows[0];
+});
+
+export { VERIFICATION_TOKEN_HOURS, createEmailVerification, verifyEmail };
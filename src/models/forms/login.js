@@ -10,7 +10,7 @@ import db from '../db.js';
 const findUserByEmail = async (email) => {
 
     const query = `
-        SELECT id, name, LOWER(email) AS email, password, created_at
+        SELECT id, name, LOWER(email) AS email, password, role, email_verified_at, created_at
         FROM users
         WHERE LOWER(email) = LOWER($1)
         ORDER BY created_at DESC
@@ -0,0 +1,85 @@
+import db, { transaction } from '../db.js';
+import { createToken, hashToken } from '../../utils/tokens.js';
+
+// How long an emailed reset link keeps working
+const RESET_TOKEN_MINUTES = 60;
+
+/**
+ * Create a password reset token for a user. Any earlier tokens the user had stop
+ * working, and expired tokens from everyone are cleared out while we're here.
+ *
+ * @param {number} userId - ID of the user
+ * @returns {Promise<string>} The plain token to put in the emailed link
+ */
+const createPasswordReset = async (userId) => {
+    const token = createToken();
+
+    await transaction(async (client) => {
+        await client.query('DELETE FROM password_resets WHERE user_id = $1 OR expires_at < CURRENT_TIMESTAMP', [userId]);
+        await client.query(`
+            INSERT INTO password_resets (user_id, token_hash, expires_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))
+        `, [userId, hashToken(token), RESET_TOKEN_MINUTES]);
+    });
+
+    return token;
+};
+
+/**
+ * Look up an unused, unexpired reset token - used to decide whether to show the
+ * new password form.
+ *
+ * @param {string} token - Plain token from the link
+ * @returns {Promise<Object|null>} { userId, email } or null if the token doesn't work
+ */
+const findPasswordReset = async (token) => {
+    const result = await db.query(`
+        SELECT r.user_id, u.email
+        FROM password_resets r
+        JOIN users u ON r.user_id = u.id
+        WHERE r.token_hash = $1 AND r.used_at IS NULL AND r.expires_at > CURRENT_TIMESTAMP
+    `, [hashToken(token)]);
+
+    const reset = result.rows[0];
+    return reset ? { userId: reset.user_id, email: reset.email } : null;
+};
+
+/**
+ * Use a reset token to set a new password. Marking the token used and changing the
+ * password happen together, so a token can't be used twice even by two requests at
+ * once. The user's other reset tokens are deleted and any sessions they had open
+ * elsewhere are logged out. Since the link came by email, an unverified address
+ * counts as verified from here on.
+ *
+ * @param {string} token - Plain token from the link
+ * @param {string} hashedPassword - The new bcrypt-hashed password
+ * @returns {Promise<Object|null>} { id, name, email } of the user, or null if the token doesn't work
+ */
+const resetPassword = async (token, hashedPassword) => transaction(async (client) => {
+    const used = await client.query(`
+        UPDATE password_resets SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        RETURNING user_id
+    `, [hashToken(token)]);
+    if (used.rows.length === 0) return null;
+
+    const userId = used.rows[0].user_id;
+    const user = await client.query(`
+        UPDATE users
+        SET password = $2, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+        WHERE id = $1
+        RETURNING id, name, email
+    `, [userId, hashedPassword]);
+
+    await client.query('DELETE FROM password_resets WHERE user_id = $1 AND used_at IS NULL', [userId]);
+
+    // Sessions live in the table connect-pg-simple manages (see server.js)
+    const sessions = await client.query(`SELECT to_regclass('public.session') IS NOT NULL AS present`);
+    if (sessions.rows[0].present) {
+        await client.query(`DELETE FROM session WHERE sess->'user'->>'id' = $1`, [String(userId)]);
+    }
+
+    return user.rows[0];
+});
+
+export { RESET_TOKEN_MINUTES, createPasswordReset, findPasswordReset, resetPassword };
@@ -1,4 +1,8 @@
 import db from '../db.js';
+import { paginationClause } from '../../utils/pagination.js';
+
+// Roles a user can have, from least to most access (see requireRole in src/middleware/auth.js)
+const USER_ROLES = ['student', 'faculty', 'admin'];
 
 /**
  * Checks if an email address is already registered in the database.
@@ -26,25 +30,81 @@ const saveUser = async (name, email, hashedPassword) => {
     const query = `
         INSERT INTO users (name, email, password)
         VALUES ($1, $2, $3)
-        RETURNING id, name, email, created_at
+        RETURNING id, name, email, role, created_at
     `;
     const result = await db.query(query, [name, email, hashedPassword]);
     return result.rows[0];
 };
 
 /**
- * Retrieves all registered users from the database.
+ * Retrieves registered users from the database, newest first.
  * 
- * @returns {Promise<Array>} Array of user records (without passwords)
+ * @param {Object} pagination - Optional { limit, offset } from getPagination; omit to get every user
+ * @returns {Promise<Array>} Array of user records (without passwords); email_verified_at is null until the user verifies
  */
-const getAllUsers = async () => {
+const getAllUsers = async (pagination) => {
+    const params = [];
+    const limitClause = paginationClause(pagination, params);
+
+    // id breaks ties between users created in the same instant
     const query = `
-        SELECT id, name, email, created_at
+        SELECT id, name, email, role, email_verified_at, created_at
         FROM users
-        ORDER BY created_at DESC
+        ORDER BY created_at DESC, id DESC
+        ${limitClause}
     `;
-    const result = await db.query(query);
+    const result = await db.query(query, params);
+    return result.rows;
+};
+
+/**
+ * Counts registered users - used with getAllUsers for pagination.
+ * 
+ * @returns {Promise<number>} Number of registered users
+ */
+const countUsers = async () => {
+    const result = await db.query('SELECT COUNT(*) AS total FROM users');
+    return Number(result.rows[0].total);
+};
+
+/**
+ * Get a user's current role. Checked on every request to a role-protected page, so
+ * a role change takes effect without the user logging in again.
+ * 
+ * @param {number} userId - ID of the user
+ * @returns {Promise<string|null>} One of USER_ROLES, or null if the user no longer exists
+ */
+const getUserRole = async (userId) => {
+    const result = await db.query('SELECT role FROM users WHERE id = $1', [userId]);
+    return result.rows[0]?.role ?? null;
+};
+
+/**
+ * Change a user's role.
+ * 
+ * @param {number} userId - ID of the user
+ * @param {string} role - One of USER_ROLES
+ * @returns {Promise<Object|null>} The updated user record (without password), or null if not found
+ */
+const setUserRole = async (userId, role) => {
+    const query = `
+        UPDATE users SET role = $2
+        WHERE id = $1
+        RETURNING id, name, email, role, created_at
+    `;
+    const result = await db.query(query, [userId, role]);
+    return result.rows[0] ?? null;
+};
+
+/**
+ * Get every user with a role, by name - e.g. the admins a contact message can be assigned to.
+ * 
+ * @param {string} role - One of USER_ROLES
+ * @returns {Promise<Array>} Array of { id, name, email }
+ */
+const getUsersByRole = async (role) => {
+    const result = await db.query('SELECT id, name, email FROM users WHERE role = $1 ORDER BY name, id', [role]);
     return result.rows;
 };
 
-export { emailExists, saveUser, getAllUsers };
\ No newline at end of file
+export { USER_ROLES, emailExists, saveUser, getAllUsers, countUsers, getUserRole, setUserRole, getUsersByRole };
\ No newline at end of file
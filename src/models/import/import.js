@@ -0,0 +1,392 @@
+import { transaction } from '../db.js';
+import { getOverlappingSections, lockSections } from '../catalog/catalog.js';
+import { promoteWaitlist } from '../catalog/enrollments.js';
+import { formatMeetingTime, parseMeetingTime } from '../../utils/meeting-time.js';
+import { normalizeHeader } from '../../utils/csv.js';
+
+/**
+ * Bulk import of courses, faculty, and sections from CSV (see src/utils/csv.js).
+ *
+ * Every import runs inside a single transaction. Rows are checked and written one
+ * at a time, so later rows see earlier ones: a section can use a course added
+ * higher up the same file, and two rows that double-book a room are caught. A
+ * dry run (the preview) does all the same work and then rolls back, so the
+ * preview is exactly what a real import would do. A real import is also rolled
+ * back if any row is rejected; it's all or nothing.
+ *
+ * Courses are matched to existing ones by slug and faculty by slug, so a file
+ * downloaded from /catalog.csv can be edited and imported again. Sections have no
+ * slug; one is updated when the term, course, room, days, and start time all match.
+ */
+
+// Columns for each kind of import. Headers are matched loosely (see normalizeHeader)
+const IMPORT_TYPES = {
+    courses: {
+        label: 'Courses',
+        columns: [
+            { header: 'Slug', required: true },
+            { header: 'Course Code', required: true },
+            { header: 'Name', required: true },
+            { header: 'Department Code', required: true },
+            { header: 'Credit Hours', required: true },
+            { header: 'Description', required: false }
+        ]
+    },
+    faculty: {
+        label: 'Faculty',
+        columns: [
+            { header: 'Slug', required: true },
+            { header: 'First Name', required: true },
+            { header: 'Last Name', required: true },
+            { header: 'Email', required: true },
+            { header: 'Department Code', required: true },
+            { header: 'Title', required: false },
+            { header: 'Office', required: false },
+            { header: 'Phone', required: false }
+        ]
+    },
+    sections: {
+        label: 'Sections',
+        columns: [
+            { header: 'Term', required: true },
+            { header: 'Course Code', required: true },
+            { header: 'Instructor', required: true, note: 'slug or email' },
+            { header: 'Meeting Time', required: true },
+            { header: 'Room', required: true },
+            { header: 'Capacity', required: false }
+        ]
+    }
+};
+
+// The same rules the admin forms use
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const COURSE_CODE_PATTERN = /^[A-Z]{2,10} [0-9]{2,4}[A-Z]?$/;
+const ROOM_PATTERN = /^[A-Z]{2,10} [0-9]{1,4}[A-Z]?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_CAPACITY = 30;
+
+// 'cse  340' and 'CSE 340' are the same course code (or room)
+const normalizeCode = (value) => value.replace(/\s+/g, ' ').toUpperCase();
+
+/**
+ * Reads a whole number from a cell.
+ *
+ * @returns {number|null} The number, or null if the cell isn't a whole number in range
+ */
+const parseWholeNumber = (value, min, max) => {
+    if (!/^\d+$/.test(value)) return null;
+    const number = Number(value);
+    return number >= min && number <= max ? number : null;
+};
+
+const findDepartment = async (client, code) => {
+    const result = await client.query('SELECT id, code FROM departments WHERE UPPER(code) = UPPER($1)', [code]);
+    return result.rows[0] ?? null;
+};
+
+/**
+ * Checks and writes one course row.
+ *
+ * @param {Object} client - Transaction client
+ * @param {Object} values - Cells keyed by normalized header
+ * @param {Map} seen - Slugs already used higher up the file, mapped to their line number
+ * @returns {Promise<Object>} { action, label, problems }
+ */
+const importCourse = async (client, values, seen) => {
+    const slug = values.slug.toLowerCase();
+    const courseCode = normalizeCode(values.coursecode);
+    const { name, description } = values;
+    const creditHours = parseWholeNumber(values.credithours, 1, 12);
+    const problems = [];
+
+    if (!SLUG_PATTERN.test(slug)) {
+        problems.push('Slug must be lowercase letters, numbers, and hyphens, e.g. cse-340');
+    } else if (seen.has(slug)) {
+        problems.push(`Duplicate slug ${slug} (also on line ${seen.get(slug)})`);
+    }
+    if (!COURSE_CODE_PATTERN.test(courseCode)) {
+        problems.push('Course code must be a department prefix and number, e.g. CSE 340');
+    }
+    if (name.length < 2 || name.length > 200) {
+        problems.push('Name must be between 2 and 200 characters');
+    }
+    if (description.length > 2000) {
+        problems.push('Description must be 2000 characters or fewer');
+    }
+    if (creditHours === null) {
+        problems.push('Credit hours must be a whole number from 1 to 12');
+    }
+
+    const department = await findDepartment(client, values.departmentcode);
+    if (!department) {
+        problems.push(`Unknown department ${values.departmentcode}`);
+    }
+
+    const existing = (await client.query('SELECT id FROM courses WHERE slug = $1', [slug])).rows[0];
+    const codeOwner = (await client.query(
+        'SELECT slug FROM courses WHERE UPPER(course_code) = UPPER($1)',
+        [courseCode]
+    )).rows[0];
+    if (codeOwner && codeOwner.slug !== slug) {
+        problems.push(`Course code ${courseCode} already belongs to ${codeOwner.slug}`);
+    }
+
+    const label = `${courseCode} - ${name}`;
+    if (problems.length > 0) return { action: 'reject', label, problems };
+
+    seen.set(slug, values.line);
+
+    if (existing) {
+        await client.query(`
+            UPDATE courses
+            SET course_code = $1, name = $2, description = $3, credit_hours = $4,
+                department_id = $5
+            WHERE id = $6
+        `, [courseCode, name, description || null, creditHours, department.id, existing.id]);
+        return { action: 'update', label, problems };
+    }
+
+    await client.query(`
+        INSERT INTO courses (course_code, name, description, credit_hours, department_id, slug)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [courseCode, name, description || null, creditHours, department.id, slug]);
+    return { action: 'insert', label, problems };
+};
+
+/**
+ * Checks and writes one faculty row. Same arguments and result as importCourse.
+ */
+const importFaculty = async (client, values, seen) => {
+    const slug = values.slug.toLowerCase();
+    const email = values.email.toLowerCase();
+    const { firstname: firstName, lastname: lastName, title, office, phone } = values;
+    const problems = [];
+
+    if (!SLUG_PATTERN.test(slug)) {
+        problems.push('Slug must be lowercase letters, numbers, and hyphens, e.g. john-smith');
+    } else if (seen.has(slug)) {
+        problems.push(`Duplicate slug ${slug} (also on line ${seen.get(slug)})`);
+    }
+    if (firstName.length < 1 || firstName.length > 100 || lastName.length < 1 || lastName.length > 100) {
+        problems.push('First and last name must each be between 1 and 100 characters');
+    }
+    if (!EMAIL_PATTERN.test(email) || email.length > 150) {
+        problems.push('Must be a valid email address');
+    }
+    if (title.length > 100 || office.length > 50) {
+        problems.push('Title must be 100 characters or fewer and office 50 or fewer');
+    }
+    if (phone && !/^[0-9()+.\s-]{7,20}$/.test(phone)) {
+        problems.push('Phone must be 7 to 20 digits, spaces, dashes, or parentheses');
+    }
+
+    const department = await findDepartment(client, values.departmentcode);
+    if (!department) {
+        problems.push(`Unknown department ${values.departmentcode}`);
+    }
+
+    const existing = (await client.query('SELECT id FROM faculty WHERE slug = $1', [slug])).rows[0];
+    const emailOwner = (await client.query('SELECT slug FROM faculty WHERE email = $1', [email])).rows[0];
+    if (emailOwner && emailOwner.slug !== slug) {
+        problems.push(`Email ${email} already belongs to ${emailOwner.slug}`);
+    }
+
+    const label = `${firstName} ${lastName}`;
+    if (problems.length > 0) return { action: 'reject', label, problems };
+
+    seen.set(slug, values.line);
+    const fields = [firstName, lastName, title || null, office || null, phone || null, email, department.id];
+
+    if (existing) {
+        await client.query(`
+            UPDATE faculty
+            SET first_name = $1, last_name = $2, title = $3, office = $4, phone = $5,
+                email = $6, department_id = $7
+            WHERE id = $8
+        `, [...fields, existing.id]);
+        return { action: 'update', label, problems };
+    }
+
+    await client.query(`
+        INSERT INTO faculty (first_name, last_name, title, office, phone, email, department_id, slug)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [...fields, slug]);
+    return { action: 'insert', label, problems };
+};
+
+/**
+ * Checks and writes one section row. Same arguments and result as importCourse,
+ * plus sectionId when an existing section's capacity went up.
+ */
+const importSection = async (client, values) => {
+    const courseCode = normalizeCode(values.coursecode);
+    const room = normalizeCode(values.room);
+    const meeting = parseMeetingTime(values.meetingtime);
+    const capacity = values.capacity === '' ? null : parseWholeNumber(values.capacity, 0, 500);
+    const problems = [];
+
+    const term = (await client.query('SELECT id, code, (end_date < CURRENT_DATE) AS is_past FROM terms WHERE code = $1', [values.term.toLowerCase()])).rows[0];
+    if (!term) problems.push(`Unknown term ${values.term}`);
+
+    const course = (await client.query(
+        'SELECT slug FROM courses WHERE UPPER(course_code) = UPPER($1)',
+        [courseCode]
+    )).rows[0];
+    if (!course) problems.push(`Unknown course ${courseCode}`);
+
+    const instructor = (await client.query(
+        'SELECT slug, first_name, last_name FROM faculty WHERE slug = LOWER($1) OR email = LOWER($1)',
+        [values.instructor]
+    )).rows[0];
+    if (!instructor) problems.push(`Unknown instructor ${values.instructor}`);
+
+    if (!meeting) {
+        problems.push(`Bad meeting time "${values.meetingtime}"; use days and a time range, e.g. "Mon Wed Fri 9:00 AM - 9:50 AM"`);
+    }
+    if (!ROOM_PATTERN.test(room)) {
+        problems.push('Room must be a building code and room number, e.g. STC 101');
+    }
+    if (capacity === null && values.capacity !== '') {
+        problems.push('Capacity must be a whole number from 0 to 500');
+    }
+
+    const label = `${courseCode} ${meeting ? formatMeetingTime(meeting) : values.meetingtime} in ${room}`;
+    if (problems.length > 0) return { action: 'reject', label, problems };
+
+    const existing = (await client.query(`
+        SELECT id, capacity FROM catalog
+        WHERE term_id = $1 AND course_slug = $2 AND room = $3 AND days = $4::VARCHAR(3)[] AND start_time = $5
+    `, [term.id, course.slug, room, meeting.days, meeting.startTime])).rows[0];
+
+    const conflicts = await getOverlappingSections(
+        meeting,
+        { facultySlug: instructor.slug, room, excludeId: existing?.id, termId: term.id },
+        client
+    );
+    conflicts.forEach(conflict => {
+        const clashes = [
+            conflict.professorSlug === instructor.slug ? 'instructor' : null,
+            conflict.room === room ? 'room' : null
+        ].filter(Boolean).join(' and ');
+        problems.push(`Same ${clashes} as ${conflict.courseCode} (${conflict.time}, ${conflict.professor}, ${conflict.room})`);
+    });
+
+    if (problems.length > 0) return { action: 'reject', label, problems };
+
+    const fields = [
+        course.slug, instructor.slug, term.id, formatMeetingTime(meeting),
+        meeting.days, meeting.startTime, meeting.endTime, room
+    ];
+
+    if (existing) {
+        const newCapacity = capacity ?? existing.capacity;
+        await client.query(`
+            UPDATE catalog
+            SET course_slug = $1, faculty_slug = $2, term_id = $3, time = $4, days = $5,
+                start_time = $6, end_time = $7, room = $8, capacity = $9
+            WHERE id = $10
+        `, [...fields, newCapacity, existing.id]);
+        return {
+            action: 'update',
+            label,
+            problems,
+            sectionId: newCapacity > existing.capacity && !term.is_past ? existing.id : null
+        };
+    }
+
+    await client.query(`
+        INSERT INTO catalog (course_slug, faculty_slug, term_id, time, days, start_time, end_time, room, capacity)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [...fields, capacity ?? DEFAULT_CAPACITY]);
+    return { action: 'insert', label, problems };
+};
+
+const ROW_IMPORTERS = {
+    courses: importCourse,
+    faculty: importFaculty,
+    sections: importSection
+};
+
+/**
+ * Import parsed CSV rows, or preview what importing them would do.
+ *
+ * @param {string} type - 'courses', 'faculty', or 'sections'
+ * @param {Object} csv - Result of parseCsv: { headers, rows }
+ * @param {Object} options
+ * @param {boolean} options.commit - Keep the changes (default: false, a dry run)
+ * @returns {Promise<Object>} Report: { type, committed, counts: { insert, update, reject },
+ *   rows: [{ line, action, label, problems }], promoted }
+ * @throws {Error} With status 400 for an unknown type or missing required columns
+ */
+const runImport = async (type, { headers, rows }, { commit = false } = {}) => {
+    const importType = IMPORT_TYPES[type];
+
+    if (!importType) {
+        const err = new Error(`Unknown import type: ${type}`);
+        err.status = 400;
+        throw err;
+    }
+
+    const missing = importType.columns
+        .filter(column => column.required && !headers.includes(normalizeHeader(column.header)))
+        .map(column => column.header);
+
+    if (missing.length > 0) {
+        const err = new Error(`The CSV file is missing ${missing.length === 1 ? 'the column' : 'columns'}: ${missing.join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+
+    const importRow = ROW_IMPORTERS[type];
+    let report;
+
+    try {
+        report = await transaction(async (client) => {
+            const seen = new Map();
+            const results = [];
+
+            // A real section import must not race an admin saving a section (see lockSections)
+            if (type === 'sections' && commit) {
+                await lockSections(client);
+            }
+
+            for (const row of rows) {
+                // Optional columns left out of the file read as blank cells
+                const values = { line: row.line };
+                importType.columns.forEach(column => {
+                    const key = normalizeHeader(column.header);
+                    values[key] = row.values[key] ?? '';
+                });
+
+                results.push({ line: row.line, ...await importRow(client, values, seen) });
+            }
+
+            const counts = { insert: 0, update: 0, reject: 0 };
+            results.forEach(result => counts[result.action]++);
+
+            const result = { type, committed: commit && counts.reject === 0, counts, rows: results, promoted: 0 };
+
+            // transaction() only rolls back when the callback throws
+            if (!result.committed) {
+                const rollback = new Error('Import rolled back');
+                rollback.report = result;
+                throw rollback;
+            }
+
+            return result;
+        });
+    } catch (error) {
+        if (!error.report) throw error;
+        return error.report;
+    }
+
+    // New seats from raised capacities go to waitlisted students, as when an admin edits a section
+    for (const row of report.rows.filter(result => result.sectionId)) {
+        const promoted = await promoteWaitlist(row.sectionId);
+        report.promoted += promoted.length;
+    }
+
+    return report;
+};
+
+export { IMPORT_TYPES, runImport };
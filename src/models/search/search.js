@@ -0,0 +1,213 @@
+import db from '../db.js';
+
+/**
+ * ts_headline wraps each match in these control characters instead of HTML tags.
+ * The text is HTML-escaped first and the markers are swapped for <mark> afterwards,
+ * so database content can never inject markup into the results page.
+ */
+const HIGHLIGHT_OPTIONS = `'StartSel=' || chr(2) || ', StopSel=' || chr(3)`;
+const FULL_HIGHLIGHT = `'HighlightAll=true, ' || ${HIGHLIGHT_OPTIONS}`;
+const SNIPPET_HIGHLIGHT = `'MaxWords=25, MinWords=10, MaxFragments=2, ' || ${HIGHLIGHT_OPTIONS}`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML and convert ts_headline markers to <mark> tags.
+ *
+ * @param {string} text - Text returned by ts_headline
+ * @returns {string} Safe HTML with matches wrapped in <mark>
+ */
+const toHighlightHtml = (text) => {
+    if (!text) return '';
+    return text
+        .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+        .replace(/\u0002/g, '<mark>')
+        .replace(/\u0003/g, '</mark>');
+};
+
+/**
+ * Turn free text typed by a user into a prefix-matching tsquery string.
+ * "cse prog" becomes "cse:* & prog:*" so partial words match while typing.
+ * Only letters and digits are kept, which keeps tsquery syntax errors out.
+ *
+ * @param {string} term - Raw search text
+ * @returns {string|null} tsquery text, or null if nothing searchable remains
+ */
+const buildSearchQuery = (term) => {
+    const tokens = String(term ?? '').toLowerCase().match(/[a-z0-9]+/g);
+    if (!tokens) return null;
+    return tokens.slice(0, 10).map(token => `${token}:*`).join(' & ');
+};
+
+/**
+ * Search courses by code, name, and description, best matches first.
+ *
+ * @param {string} tsQuery - Query built by buildSearchQuery
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Array of course results with highlighted fields
+ */
+const searchCourses = async (tsQuery, limit) => {
+    const query = `
+        SELECT c.course_code, c.name, c.slug, c.credit_hours, d.name as department_name,
+               ts_rank(c.search_vector, q) AS rank,
+               ts_headline('english', c.course_code, q, ${FULL_HIGHLIGHT}) AS code_highlight,
+               ts_headline('english', c.name, q, ${FULL_HIGHLIGHT}) AS name_highlight,
+               ts_headline('english', COALESCE(c.description, ''), q, ${SNIPPET_HIGHLIGHT}) AS description_highlight
+        FROM courses c
+        JOIN departments d ON c.department_id = d.id,
+             to_tsquery('english', $1) q
+        WHERE c.search_vector @@ q
+          AND c.is_retired = FALSE
+        ORDER BY rank DESC, c.course_code
+        LIMIT $2
+    `;
+
+    const result = await db.query(query, [tsQuery, limit]);
+
+    return result.rows.map(course => ({
+        courseCode: course.course_code,
+        name: course.name,
+        slug: course.slug,
+        creditHours: course.credit_hours,
+        department: course.department_name,
+        rank: Number(course.rank),
+        codeHtml: toHighlightHtml(course.code_highlight),
+        nameHtml: toHighlightHtml(course.name_highlight),
+        descriptionHtml: toHighlightHtml(course.description_highlight)
+    }));
+};
+
+/**
+ * Search faculty by name and title, best matches first.
+ *
+ * @param {string} tsQuery - Query built by buildSearchQuery
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Array of faculty results with highlighted fields
+ */
+const searchFaculty = async (tsQuery, limit) => {
+    const query = `
+        SELECT f.first_name, f.last_name, f.title, f.slug, d.name as department_name,
+               ts_rank(f.search_vector, q) AS rank,
+               ts_headline('english', f.first_name || ' ' || f.last_name, q, ${FULL_HIGHLIGHT}) AS name_highlight,
+               ts_headline('english', COALESCE(f.title, ''), q, ${FULL_HIGHLIGHT}) AS title_highlight
+        FROM faculty f
+        JOIN departments d ON f.department_id = d.id,
+             to_tsquery('english', $1) q
+        WHERE f.search_vector @@ q
+          AND f.is_active = TRUE
+        ORDER BY rank DESC, f.last_name, f.first_name
+        LIMIT $2
+    `;
+
+    const result = await db.query(query, [tsQuery, limit]);
+
+    return result.rows.map(faculty => ({
+        name: `${faculty.first_name} ${faculty.last_name}`,
+        title: faculty.title,
+        slug: faculty.slug,
+        department: faculty.department_name,
+        rank: Number(faculty.rank),
+        nameHtml: toHighlightHtml(faculty.name_highlight),
+        titleHtml: toHighlightHtml(faculty.title_highlight)
+    }));
+};
+
+/**
+ * Search departments by code and name, best matches first.
+ *
+ * @param {string} tsQuery - Query built by buildSearchQuery
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Array of department results with highlighted fields
+ */
+const searchDepartments = async (tsQuery, limit) => {
+    const query = `
+        SELECT d.code, d.name,
+               ts_rank(d.search_vector, q) AS rank,
+               ts_headline('english', d.name, q, ${FULL_HIGHLIGHT}) AS name_highlight,
+               (SELECT COUNT(*) FROM courses c WHERE c.department_id = d.id AND c.is_retired = FALSE) AS course_count
+        FROM departments d,
+             to_tsquery('english', $1) q
+        WHERE d.search_vector @@ q
+        ORDER BY rank DESC, d.name
+        LIMIT $2
+    `;
+
+    const result = await db.query(query, [tsQuery, limit]);
+
+    return result.rows.map(department => ({
+        code: department.code,
+        name: department.name,
+        courseCount: Number(department.course_count),
+        rank: Number(department.rank),
+        nameHtml: toHighlightHtml(department.name_highlight)
+    }));
+};
+
+/**
+ * Site-wide search across courses, faculty, and departments.
+ * Results are grouped by type and ranked within each group.
+ *
+ * @param {string} term - Raw search text from the user
+ * @param {number} limit - Maximum results per group (default: 20)
+ * @returns {Promise<Object>} { courses, faculty, departments, total }
+ */
+const searchAll = async (term, limit = 20) => {
+    const tsQuery = buildSearchQuery(term);
+
+    if (!tsQuery) {
+        return { courses: [], faculty: [], departments: [], total: 0 };
+    }
+
+    const [courses, faculty, departments] = await Promise.all([
+        searchCourses(tsQuery, limit),
+        searchFaculty(tsQuery, limit),
+        searchDepartments(tsQuery, limit)
+    ]);
+
+    return {
+        courses,
+        faculty,
+        departments,
+        total: courses.length + faculty.length + departments.length
+    };
+};
+
+/**
+ * Autocomplete suggestions for the header search box.
+ * Uses the same search functions as searchAll and merges them into one ranked list.
+ *
+ * @param {string} term - Partial search text
+ * @param {number} limit - Maximum number of suggestions (default: 8)
+ * @returns {Promise<Array>} Array of { type, label, url } suggestions
+ */
+const getSearchSuggestions = async (term, limit = 8) => {
+    const { courses, faculty, departments } = await searchAll(term, limit);
+
+    const suggestions = [
+        ...courses.map(course => ({
+            type: 'course',
+            label: `${course.courseCode} - ${course.name}`,
+            url: `/catalog/${course.slug}`,
+            rank: course.rank
+        })),
+        ...faculty.map(member => ({
+            type: 'faculty',
+            label: member.name,
+            url: `/faculty/${member.slug}`,
+            rank: member.rank
+        })),
+        ...departments.map(department => ({
+            type: 'department',
+            label: department.name,
+            url: `/departments/${department.code}`,
+            rank: department.rank
+        }))
+    ];
+
+    return suggestions
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, limit)
+        .map(({ type, label, url }) => ({ type, label, url }));
+};
+
+export { searchAll, getSearchSuggestions };
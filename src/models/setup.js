@@ -1,4 +1,5 @@
 import db from './db.js';
+import { backfillMeetingTimes } from './catalog/catalog.js';
 import fs from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
@@ -47,6 +48,12 @@ const setupDatabase = async () => {
         await db.query(practiceSQL);
         console.log('Practice database tables initialized');
     }
+
+    // Parse any free-text section times into structured meeting patterns
+    const parsedSections = await backfillMeetingTimes();
+    if (parsedSections > 0) {
+        console.log(`Parsed meeting times for ${parsedSections} sections`);
+    }
     
     return true;
 };
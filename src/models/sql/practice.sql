@@ -18,4 +18,435 @@ CREATE TABLE IF NOT EXISTS users (
     password VARCHAR(255) NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
\ No newline at end of file
+);
+
+-- Structured meeting times for catalog sections
+-- The free-text "time" column is kept for reference; these columns are what the app sorts and compares on.
+-- Existing rows are backfilled by backfillMeetingTimes() in src/models/catalog/catalog.js
+ALTER TABLE catalog ADD COLUMN IF NOT EXISTS days VARCHAR(3)[];
+ALTER TABLE catalog ADD COLUMN IF NOT EXISTS start_time TIME;
+ALTER TABLE catalog ADD COLUMN IF NOT EXISTS end_time TIME;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'catalog_meeting_time_check') THEN
+        ALTER TABLE catalog ADD CONSTRAINT catalog_meeting_time_check CHECK (end_time > start_time);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_catalog_start_time ON catalog (start_time, end_time);
+
+-- Full-text search vectors for site-wide search
+-- Generated columns stay in sync automatically; weights rank codes and names above descriptions
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', course_code), 'A') ||
+        setweight(to_tsvector('english', name), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+    ) STORED;
+
+ALTER TABLE faculty ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', first_name || ' ' || last_name), 'A') ||
+        setweight(to_tsvector('english', COALESCE(title, '')), 'B')
+    ) STORED;
+
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', code), 'A') ||
+        setweight(to_tsvector('english', name), 'A')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_courses_search ON courses USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_faculty_search ON faculty USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_departments_search ON departments USING GIN (search_vector);
+
+-- Course prerequisites and corequisites
+-- Rows for the same course and type that share a group_number form a "one of" group:
+-- every group must be satisfied, and any single course in a group satisfies it.
+CREATE TABLE IF NOT EXISTS course_requisites (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    required_course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    requisite_type VARCHAR(10) NOT NULL DEFAULT 'prereq' CHECK (requisite_type IN ('prereq', 'coreq')),
+    group_number INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (course_id, required_course_id, requisite_type),
+    CHECK (course_id <> required_course_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_requisites_required ON course_requisites (required_course_id);
+
+-- Starter requisites, only loaded into an empty table so edits aren't overwritten on restart
+INSERT INTO course_requisites (course_id, required_course_id, requisite_type, group_number)
+SELECT c.id, r.id, v.requisite_type, v.group_number
+FROM (VALUES
+    ('CSE 111', 'CSE 110', 'prereq', 1),
+    ('CSE 210', 'CSE 111', 'prereq', 1),
+    ('CSE 212', 'CSE 210', 'prereq', 1),
+    ('CSE 310', 'CSE 212', 'prereq', 1),
+    ('CSE 340', 'CSE 210', 'prereq', 1),
+    ('CSE 340', 'WDD 130', 'prereq', 2),
+    ('CSE 340', 'WDD 230', 'prereq', 2),
+    ('CSE 398', 'CSE 340', 'prereq', 1),
+    ('CIT 260', 'CIT 160', 'prereq', 1),
+    ('CIT 260', 'CSE 110', 'prereq', 1),
+    ('CIT 336', 'CIT 260', 'prereq', 1),
+    ('WDD 230', 'WDD 130', 'prereq', 1),
+    ('WDD 330', 'WDD 230', 'prereq', 1),
+    ('WDD 430', 'WDD 330', 'prereq', 1),
+    ('WDD 430', 'CIT 336', 'prereq', 2),
+    ('MATH 112', 'MATH 108X', 'prereq', 1),
+    ('MATH 112', 'FDMAT 108', 'prereq', 1),
+    ('MATH 113', 'MATH 112', 'prereq', 1),
+    ('MATH 215', 'MATH 113', 'prereq', 1),
+    ('MATH 341', 'MATH 215', 'prereq', 1),
+    ('ENG 150', 'ENG 106', 'prereq', 1),
+    ('ENG 150', 'FDENG 101', 'prereq', 1),
+    ('ENG 250', 'ENG 150', 'prereq', 1),
+    ('ENG 216', 'ENG 150', 'prereq', 1),
+    ('INTL 301', 'INTL 201', 'prereq', 1),
+    ('INTL 350', 'INTL 201', 'prereq', 1),
+    ('INTL 401', 'INTL 301', 'prereq', 1),
+    ('PHYS 121', 'MATH 112', 'coreq', 1)
+) AS v(course_code, required_code, requisite_type, group_number)
+JOIN courses c ON c.course_code = v.course_code
+JOIN courses r ON r.course_code = v.required_code
+WHERE NOT EXISTS (SELECT 1 FROM course_requisites)
+ON CONFLICT DO NOTHING;
+
+-- Academic terms; every catalog section belongs to one term
+CREATE TABLE IF NOT EXISTS terms (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    is_current BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date > start_date)
+);
+
+-- At most one term can be flagged as current
+CREATE UNIQUE INDEX IF NOT EXISTS idx_terms_single_current ON terms (is_current) WHERE is_current;
+
+INSERT INTO terms (code, name, start_date, end_date, is_current) VALUES
+    ('spring-2026', 'Spring 2026', '2026-04-20', '2026-07-24', FALSE),
+    ('fall-2026', 'Fall 2026', '2026-09-14', '2026-12-16', TRUE),
+    ('winter-2027', 'Winter 2027', '2027-01-06', '2027-04-14', FALSE)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE catalog ADD COLUMN IF NOT EXISTS term_id INTEGER REFERENCES terms(id);
+CREATE INDEX IF NOT EXISTS idx_catalog_term ON catalog (term_id);
+
+DO $$
+BEGIN
+    -- The same course/instructor/time/room can be offered again in a later term
+    IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'catalog_course_slug_faculty_slug_time_room_key') THEN
+        ALTER TABLE catalog DROP CONSTRAINT catalog_course_slug_faculty_slug_time_room_key;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'catalog_term_section_key') THEN
+        ALTER TABLE catalog ADD CONSTRAINT catalog_term_section_key UNIQUE (term_id, course_slug, faculty_slug, time, room);
+    END IF;
+
+    -- Sections that existed before terms were added belong to the current term
+    IF EXISTS (SELECT 1 FROM catalog WHERE term_id IS NULL) THEN
+        UPDATE catalog SET term_id = (SELECT id FROM terms WHERE is_current) WHERE term_id IS NULL;
+
+        -- Give the previous term the same schedule so past terms have something to browse
+        INSERT INTO catalog (course_slug, faculty_slug, time, room, days, start_time, end_time, term_id)
+        SELECT course_slug, faculty_slug, time, room, days, start_time, end_time,
+               (SELECT id FROM terms WHERE code = 'spring-2026')
+        FROM catalog
+        WHERE term_id = (SELECT id FROM terms WHERE is_current)
+        ON CONFLICT DO NOTHING;
+    END IF;
+END $$;
+
+ALTER TABLE catalog ALTER COLUMN term_id SET NOT NULL;
+
+-- Seat capacity for each section
+ALTER TABLE catalog ADD COLUMN IF NOT EXISTS capacity INTEGER NOT NULL DEFAULT 30;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'catalog_capacity_check') THEN
+        ALTER TABLE catalog ADD CONSTRAINT catalog_capacity_check CHECK (capacity >= 0);
+    END IF;
+END $$;
+
+-- Section enrollments. Users past the section's capacity are waitlisted and
+-- promoted in the order they joined (created_at) when a seat opens.
+CREATE TABLE IF NOT EXISTS enrollments (
+    id SERIAL PRIMARY KEY,
+    section_id INTEGER NOT NULL REFERENCES catalog(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('enrolled', 'waitlisted')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (section_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_section_status ON enrollments (section_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_enrollments_user ON enrollments (user_id);
+
+-- Personal schedule builder: sections a user is planning to take.
+-- Unlike enrollments this doesn't hold a seat, so full sections can be planned too.
+CREATE TABLE IF NOT EXISTS schedule_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    section_id INTEGER NOT NULL REFERENCES catalog(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, section_id)
+);
+
+-- Retired courses are hidden from the catalog but kept so past sections still
+-- point at a real course
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS is_retired BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Faculty who leave are deactivated rather than deleted so their past sections
+-- and profile links keep working
+ALTER TABLE faculty ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Student reviews of courses. Each user gets one review per course; editing it sends
+-- it back to the moderation queue. Only approved reviews are shown or averaged.
+CREATE TABLE IF NOT EXISTS course_reviews (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    body TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (course_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_reviews_status ON course_reviews (status, created_at);
+
+-- Login account of a faculty member, set by an admin. Lets them publish office hours
+-- and see who has booked them from their dashboard.
+ALTER TABLE faculty ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'faculty_user_id_key') THEN
+        ALTER TABLE faculty ADD CONSTRAINT faculty_user_id_key UNIQUE (user_id);
+    END IF;
+END $$;
+
+-- Weekly office-hour blocks, split into 15-minute appointment slots when students book
+CREATE TABLE IF NOT EXISTS office_hours (
+    id SERIAL PRIMARY KEY,
+    faculty_id INTEGER NOT NULL REFERENCES faculty(id) ON DELETE CASCADE,
+    day VARCHAR(3) NOT NULL CHECK (day IN ('Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun')),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    location VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time),
+    CHECK (EXTRACT(MINUTE FROM start_time)::INTEGER % 15 = 0 AND EXTRACT(MINUTE FROM end_time)::INTEGER % 15 = 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_office_hours_faculty ON office_hours (faculty_id, day);
+
+-- Office-hour appointments. Cancelled appointments are kept for the record; the partial
+-- unique indexes stop two bookings of the same slot and a student being booked twice at once.
+CREATE TABLE IF NOT EXISTS appointments (
+    id SERIAL PRIMARY KEY,
+    faculty_id INTEGER NOT NULL REFERENCES faculty(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP NOT NULL,
+    location VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'cancelled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    cancelled_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_faculty_slot ON appointments (faculty_id, starts_at) WHERE status = 'booked';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_user_slot ON appointments (user_id, starts_at) WHERE status = 'booked';
+
+-- Faculty biographies (Markdown) and when the profile photo last changed. The photo
+-- files themselves are saved in public/images/faculty.
+ALTER TABLE faculty ADD COLUMN IF NOT EXISTS bio TEXT;
+ALTER TABLE faculty ADD COLUMN IF NOT EXISTS photo_updated_at TIMESTAMP;
+
+-- Keep updated_at current on every table that has one. The trigger skips updates that
+-- change nothing else, so saving an unchanged form doesn't look like an edit.
+-- Generated columns such as search_vector aren't computed yet in a BEFORE trigger, so
+-- they are left out of the comparison (and can't be named in the trigger's WHEN).
+CREATE OR REPLACE FUNCTION set_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+    IF (to_jsonb(OLD) - 'updated_at' - 'search_vector') IS DISTINCT FROM (to_jsonb(NEW) - 'updated_at' - 'search_vector') THEN
+        NEW.updated_at := CURRENT_TIMESTAMP;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+    table_record RECORD;
+BEGIN
+    FOR table_record IN
+        SELECT table_name FROM information_schema.columns
+        WHERE table_schema = 'public' AND column_name = 'updated_at'
+    LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', table_record.table_name || '_updated_at', table_record.table_name);
+        EXECUTE format(
+            'CREATE TRIGGER %I BEFORE UPDATE ON %I FOR EACH ROW EXECUTE FUNCTION set_updated_at()',
+            table_record.table_name || '_updated_at', table_record.table_name
+        );
+    END LOOP;
+END $$;
+
+-- Audit trail of every insert, update and delete on the catalog tables admins edit.
+-- changed_by comes from the app.user_id setting the app puts on each transaction
+-- (see db.js); it is NULL for changes made at startup or from bin/import.js.
+-- revert_of points at the entry a revert undid.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    table_name VARCHAR(50) NOT NULL,
+    record_id INTEGER NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+    old_values JSONB,
+    new_values JSONB,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revert_of BIGINT REFERENCES audit_log(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log (table_name, record_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_changed_at ON audit_log (changed_at);
+
+-- Row values are stored without the generated search_vector column, which is derived from the others
+CREATE OR REPLACE FUNCTION record_audit() RETURNS TRIGGER AS $$
+DECLARE
+    actor INTEGER := NULLIF(current_setting('app.user_id', true), '')::INTEGER;
+    reverting BIGINT := NULLIF(current_setting('app.revert_of', true), '')::BIGINT;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO audit_log (table_name, record_id, action, new_values, changed_by, revert_of)
+        VALUES (TG_TABLE_NAME, NEW.id, 'insert', to_jsonb(NEW) - 'search_vector', actor, reverting);
+    ELSIF TG_OP = 'UPDATE' THEN
+        INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, changed_by, revert_of)
+        VALUES (TG_TABLE_NAME, NEW.id, 'update', to_jsonb(OLD) - 'search_vector', to_jsonb(NEW) - 'search_vector', actor, reverting);
+    ELSE
+        INSERT INTO audit_log (table_name, record_id, action, old_values, changed_by, revert_of)
+        VALUES (TG_TABLE_NAME, OLD.id, 'delete', to_jsonb(OLD) - 'search_vector', actor, reverting);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+    audited_table TEXT;
+BEGIN
+    FOREACH audited_table IN ARRAY ARRAY['courses', 'faculty', 'catalog', 'departments']
+    LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', audited_table || '_audit', audited_table);
+        EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', audited_table || '_audit_update', audited_table);
+        EXECUTE format(
+            'CREATE TRIGGER %I AFTER INSERT OR DELETE ON %I FOR EACH ROW EXECUTE FUNCTION record_audit()',
+            audited_table || '_audit', audited_table
+        );
+        EXECUTE format(
+            'CREATE TRIGGER %I AFTER UPDATE ON %I FOR EACH ROW WHEN ((to_jsonb(OLD) - ''updated_at'') IS DISTINCT FROM (to_jsonb(NEW) - ''updated_at'')) EXECUTE FUNCTION record_audit()',
+            audited_table || '_audit_update', audited_table
+        );
+    END LOOP;
+END $$;
+
+-- What each user may do: students use the public site and dashboard, faculty also
+-- publish office hours, and admins manage the catalog and read submissions.
+-- The first admin is made from the command line: pnpm run set-role <email> admin
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'role'
+    ) THEN
+        ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'student';
+
+        -- Accounts already linked to a faculty profile belong to faculty. This only runs
+        -- when the column is first added, so roles changed since then are left alone.
+        UPDATE users SET role = 'faculty'
+        WHERE id IN (SELECT user_id FROM faculty WHERE user_id IS NOT NULL);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check') THEN
+        ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('student', 'faculty', 'admin'));
+    END IF;
+END $$;
+
+-- Contact inbox: admins work through submissions by status and can assign them to
+-- each other. read_at is set the first time an admin opens a submission; unread ones
+-- are counted in the admin header. email and user_id say where replies go: replies
+-- to a logged-in sender are shown on their dashboard.
+ALTER TABLE contact_form ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+ALTER TABLE contact_form ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE contact_form ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'new';
+ALTER TABLE contact_form ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE contact_form ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'contact_form_status_check') THEN
+        ALTER TABLE contact_form ADD CONSTRAINT contact_form_status_check
+            CHECK (status IN ('new', 'in_progress', 'resolved', 'spam'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_contact_form_status ON contact_form (status, submitted);
+CREATE INDEX IF NOT EXISTS idx_contact_form_user ON contact_form (user_id);
+
+-- Internal notes (seen only by admins) and replies to the sender, oldest first
+CREATE TABLE IF NOT EXISTS contact_messages (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contact_form(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('note', 'reply')),
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_messages_contact ON contact_messages (contact_id, created_at);
+
+-- One-time password reset links. Only a SHA-256 hash of each token is stored, so
+-- the table can't be used to reset anyone's password. A token works once, until
+-- expires_at; asking for a new link deletes the user's older ones.
+CREATE TABLE IF NOT EXISTS password_resets (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets (user_id);
+
+-- Email verification. New accounts can't log in until they follow the link emailed
+-- to them. The column is added with a default so everyone registered before this
+-- existed counts as verified; the default is then dropped so new rows start unverified.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE users ALTER COLUMN email_verified_at DROP DEFAULT;
+
+-- Verification links, stored hashed like password_resets. Verifying deletes the
+-- user's tokens; asking for a new link replaces the old one.
+CREATE TABLE IF NOT EXISTS email_verifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verifications_user ON email_verifications (user_id);
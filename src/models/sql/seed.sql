@@ -4,8 +4,19 @@
 BEGIN;
 
 -- Drop existing tables (in reverse dependency order)
+DROP TABLE IF EXISTS email_verifications CASCADE;
+DROP TABLE IF EXISTS password_resets CASCADE;
+DROP TABLE IF EXISTS contact_messages CASCADE;
+DROP TABLE IF EXISTS audit_log CASCADE;
+DROP TABLE IF EXISTS appointments CASCADE;
+DROP TABLE IF EXISTS office_hours CASCADE;
+DROP TABLE IF EXISTS course_reviews CASCADE;
+DROP TABLE IF EXISTS schedule_items CASCADE;
+DROP TABLE IF EXISTS enrollments CASCADE;
+DROP TABLE IF EXISTS course_requisites CASCADE;
 DROP TABLE IF EXISTS contact_form CASCADE;
 DROP TABLE IF EXISTS catalog CASCADE;
+DROP TABLE IF EXISTS terms CASCADE;
 DROP TABLE IF EXISTS faculty CASCADE;
 DROP TABLE IF EXISTS courses CASCADE;
 DROP TABLE IF EXISTS departments CASCADE;
@@ -0,0 +1,115 @@
+/**
+ * Reads CSV files (RFC 4180) such as the registrar's schedule spreadsheets or the
+ * downloads made by src/utils/export.js. Quoted fields may contain commas, doubled
+ * quotes, and line breaks; lines may end with CRLF or LF.
+ */
+
+/**
+ * Turns a header cell into a lookup key, so "Course Code", "course_code" and
+ * "COURSE CODE" all name the same column.
+ *
+ * @param {string} header - Header cell text
+ * @returns {string} Lowercase letters and digits only, e.g. 'coursecode'
+ */
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Undoes the formula guard added by escapeCsvField: a leading apostrophe before
+ * =, +, - or @ is dropped so exported files can be imported again unchanged.
+ */
+const unguard = (value) => (/^'[=+\-@]/.test(value) ? value.slice(1) : value);
+
+/**
+ * Splits CSV text into records of fields, remembering the line each record starts on.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<{ line: number, fields: Array<string> }>} Records in file order
+ * @throws {Error} With status 400 if a quoted field is never closed
+ */
+const splitRecords = (text) => {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat CRLF as a single line break
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+            fields = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        const err = new Error(`Line ${recordLine} has a quoted field that is never closed`);
+        err.status = 400;
+        throw err;
+    }
+
+    // The last record may not end with a line break
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+    }
+
+    return records;
+};
+
+/**
+ * Parses CSV text whose first line is a header row. Blank lines are skipped and
+ * every value is trimmed.
+ *
+ * @param {string} text - CSV text
+ * @returns {{ headers: Array<string>, rows: Array<{ line: number, values: Object }> }}
+ *   headers are normalized (see normalizeHeader); values are keyed by normalized header
+ * @throws {Error} With status 400 if the text is empty or malformed
+ */
+const parseCsv = (text) => {
+    // Spreadsheet apps often start UTF-8 files with a byte order mark
+    const records = splitRecords(String(text ?? '').replace(/^﻿/, ''))
+        .filter(record => record.fields.some(field => field.trim() !== ''));
+
+    if (records.length === 0) {
+        const err = new Error('The CSV file is empty');
+        err.status = 400;
+        throw err;
+    }
+
+    const [headerRecord, ...dataRecords] = records;
+    const headers = headerRecord.fields.map(normalizeHeader);
+
+    const rows = dataRecords.map(record => ({
+        line: record.line,
+        values: Object.fromEntries(headers.map((header, index) => [header, unguard((record.fields[index] ?? '').trim())]))
+    }));
+
+    return { headers, rows };
+};
+
+export { normalizeHeader, parseCsv };
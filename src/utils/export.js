@@ -0,0 +1,115 @@
+import { once } from 'events';
+
+/**
+ * Helpers for the CSV and JSON downloads. Rows arrive in batches from a database
+ * cursor (see streamQuery in src/models/db.js) and are written straight to the
+ * response, so an export never builds the whole file in memory.
+ *
+ * Columns are described once and used for both formats:
+ *   [{ key: 'courseCode', header: 'Course Code' }, ...]
+ * CSV uses the headers for the first line; JSON uses the keys as property names.
+ */
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Escapes one CSV field (RFC 4180): fields containing a comma, quote or line break
+ * are wrapped in quotes and inner quotes are doubled. Text starting with =, +, - or @
+ * is prefixed with an apostrophe so spreadsheet apps don't run it as a formula.
+ *
+ * @param {*} value - Field value; null and undefined become an empty field
+ * @returns {string} Escaped field
+ */
+const escapeCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = Array.isArray(value) ? value.join(' ') : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+};
+
+// One CSV line, terminated with CRLF as RFC 4180 recommends
+const toCsvLine = (values) => values.map(escapeCsvField).join(',') + '\r\n';
+
+/**
+ * Writes a chunk and waits if the client is reading slower than we produce. A client
+ * that disconnects never drains, so the wait also ends when the response closes; the
+ * error thrown then stops the export and rolls back its cursor transaction.
+ *
+ * @param {Object} res - Express response
+ * @param {string} chunk - Text to send
+ * @returns {Promise<void>}
+ * @throws {Error} If the connection closes before the chunk can be sent
+ */
+const write = async (res, chunk) => {
+    const closedError = () => new Error('The client closed the connection before the export finished');
+
+    if (res.destroyed) throw closedError();
+    if (res.write(chunk)) return;
+
+    // Whichever event comes first wins; aborting removes the other listener
+    const controller = new AbortController();
+    try {
+        await Promise.race([
+            once(res, 'drain', { signal: controller.signal }),
+            once(res, 'close', { signal: controller.signal }).then(() => { throw closedError(); })
+        ]);
+    } finally {
+        controller.abort();
+    }
+};
+
+/**
+ * Streams an export to the response as CSV or JSON.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - 'csv' or 'json'
+ * @param {string} options.filename - Download name without extension, e.g. 'catalog'
+ * @param {Array} options.columns - [{ key, header }] describing each field
+ * @param {Function} options.stream - async (onBatch) => void; calls onBatch with arrays of row objects
+ * @returns {Promise<void>}
+ */
+const sendExport = async (res, { format, filename, columns, stream }) => {
+    const pick = (row) => Object.fromEntries(columns.map(column => [column.key, row[column.key] ?? null]));
+    const opening = format === 'csv' ? toCsvLine(columns.map(column => column.header)) : '[';
+    let rowCount = 0;
+
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.attachment(`${filename}.${format}`);
+
+    try {
+        await stream(async (rows) => {
+            const chunk = format === 'csv'
+                ? rows.map(row => toCsvLine(columns.map(column => row[column.key]))).join('')
+                : rows.map((row, index) => `${rowCount + index > 0 ? ',' : ''}\n${JSON.stringify(pick(row))}`).join('');
+
+            // Nothing is sent until the first batch arrives, so a query that fails
+            // straight away still gets a normal error page
+            await write(res, rowCount === 0 ? opening + chunk : chunk);
+            rowCount += rows.length;
+        });
+
+        if (rowCount === 0) {
+            res.write(opening);
+        }
+        res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (error) {
+        // Part of the file may already be sent, so the status can't change any more.
+        // Cutting the connection makes the client see an incomplete download instead
+        // of a file that silently looks finished.
+        if (!res.headersSent) throw error;
+        console.error('Export failed part way through:', error);
+        res.destroy(error);
+    }
+};
+
+export { EXPORT_FORMATS, escapeCsvField, sendExport };
@@ -0,0 +1,131 @@
+/**
+ * Builds iCalendar (.ics, RFC 5545) files from catalog sections.
+ *
+ * Each section becomes one weekly recurring event that starts on the first
+ * meeting day of the term and repeats until the term's end date.
+ *
+ * Times are written as "floating" local times (no time zone), so a class at
+ * 8:00 AM shows up at 8:00 AM in whatever time zone the calendar app uses.
+ */
+
+// iCalendar uses two-letter day codes
+const ICAL_DAYS = { Sun: 'SU', Mon: 'MO', Tue: 'TU', Wed: 'WE', Thu: 'TH', Fri: 'FR', Sat: 'SA' };
+
+// Same order as Date.prototype.getDay()
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Escapes commas, semicolons, backslashes and newlines in a text value.
+ */
+const escapeText = (text) => String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line so no line is longer than 75 octets; continuation
+ * lines start with a single space.
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Date -> 'YYYYMMDD'
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+// Date + 'HH:MM[:SS]' -> 'YYYYMMDDTHHMMSS'
+const formatDateTime = (date, time) => {
+    const [hours, minutes] = String(time).split(':');
+    return `${formatDate(date)}T${pad(hours)}${pad(minutes)}00`;
+};
+
+// Date -> 'YYYYMMDDTHHMMSSZ' in UTC, used for DTSTAMP
+const formatTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Finds the first day on or after the term start that the section meets.
+ *
+ * @param {Date} termStart - First day of the term
+ * @param {Array<string>} days - Meeting days, e.g. ['Mon', 'Wed']
+ * @returns {Date} Date of the first class meeting
+ */
+const firstMeetingDate = (termStart, days) => {
+    const date = new Date(termStart.getFullYear(), termStart.getMonth(), termStart.getDate());
+
+    for (let offset = 0; offset < 7; offset++) {
+        if (days.includes(WEEKDAYS[date.getDay()])) break;
+        date.setDate(date.getDate() + 1);
+    }
+
+    return date;
+};
+
+/**
+ * Builds the VEVENT lines for one section.
+ *
+ * @param {Object} section - Section object from the catalog model
+ * @param {Object} term - Term object with startDate and endDate
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Unfolded content lines
+ */
+const sectionEvent = (section, term, stamp) => {
+    const firstDay = firstMeetingDate(term.startDate, section.days);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:section-${section.id}-${term.code}@cse340-practice`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatDateTime(firstDay, section.startTime)}`,
+        `DTEND:${formatDateTime(firstDay, section.endTime)}`,
+        `RRULE:FREQ=WEEKLY;BYDAY=${section.days.map(day => ICAL_DAYS[day]).join(',')};UNTIL=${formatDate(term.endDate)}T235959`,
+        `SUMMARY:${escapeText(`${section.courseCode} - ${section.courseName}`)}`,
+        `LOCATION:${escapeText(section.room)}`,
+        `DESCRIPTION:${escapeText(`Instructor: ${section.professor}`)}`,
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * Builds a calendar with one recurring event per section.
+ * Sections without a structured meeting time can't be placed on a calendar and are skipped.
+ *
+ * @param {Array} sections - Section objects from the catalog model
+ * @param {Object} term - Term the sections belong to ({ code, name, startDate, endDate })
+ * @returns {string} Contents of an .ics file
+ */
+const buildScheduleCalendar = (sections, term) => {
+    const stamp = formatTimestamp(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CSE 340 Practice//Course Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`${term.name} Schedule`)}`,
+        ...sections
+            .filter(section => section.startTime && section.days.length > 0)
+            .flatMap(section => sectionEvent(section, term, stamp)),
+        'END:VCALENDAR'
+    ];
+
+    // Lines end with CRLF, including the last one
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export { buildScheduleCalendar };
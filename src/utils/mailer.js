@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+/**
+ * Outgoing email. Pages call sendMail(); how a message actually leaves is up to the
+ * transport, chosen with the MAIL_TRANSPORT environment variable:
+ *
+ *   console (default) - print the message to the server log
+ *   file              - write each message as an .eml file to MAIL_DIR (default: mail/
+ *                       in the project), which any mail client can open
+ *
+ * A real mail service is plugged in with setMailTransport() at startup. A transport
+ * is any object with an async send({ from, to, subject, text }) method, so a small
+ * wrapper around an SMTP client or a provider's HTTP API is all it takes.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '../../mail');
+
+const consoleTransport = {
+    async send({ from, to, subject, text }) {
+        console.log(`\n--- Email (console transport) ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n---------------------------------\n`);
+    }
+};
+
+/**
+ * Transport that saves every message as a file instead of sending it.
+ *
+ * @param {string} dir - Directory for the .eml files; created if missing
+ * @returns {Object} Transport
+ */
+const createFileTransport = (dir) => ({
+    async send({ from, to, subject, text }) {
+        await fs.mkdir(dir, { recursive: true });
+        const sentAt = new Date();
+        const file = path.join(dir, `${sentAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`);
+        const headers = [
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Date: ${sentAt.toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8'
+        ];
+        await fs.writeFile(file, `${headers.join('\r\n')}\r\n\r\n${text.replace(/\r?\n/g, '\r\n')}\r\n`);
+    }
+});
+
+const TRANSPORTS = {
+    console: () => consoleTransport,
+    file: () => createFileTransport(process.env.MAIL_DIR || DEFAULT_MAIL_DIR)
+};
+
+let transport = null;
+
+/**
+ * Replace the transport, e.g. with a real mail service in production.
+ *
+ * @param {Object} newTransport - Object with an async send(message) method
+ */
+const setMailTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+// The transport named by MAIL_TRANSPORT, picked on first use so .env has been loaded
+const getMailTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!TRANSPORTS[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"; use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+        }
+        transport = TRANSPORTS[name]();
+    }
+    return transport;
+};
+
+/**
+ * Send a plain-text email.
+ *
+ * @param {Object} message - { to, subject, text }; from defaults to MAIL_FROM
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, from = process.env.MAIL_FROM || 'CSE 340 Practice <no-reply@localhost>' }) => {
+    await getMailTransport().send({ from, to, subject, text });
+};
+
+export { sendMail, setMailTransport, createFileTransport, consoleTransport };
@@ -0,0 +1,105 @@
+/**
+ * Renders the small subset of Markdown used for faculty biographies:
+ * paragraphs, headings (#, ##, ###), bulleted and numbered lists, block quotes,
+ * **bold**, *italic*, `code` and [links](https://example.com).
+ *
+ * Everything typed is HTML-escaped before any Markdown is applied, so raw HTML in
+ * the source shows up as text instead of running in the page. Links are only kept
+ * for http(s), mailto and site-relative addresses.
+ *
+ * Example:
+ *   renderMarkdown('Teaches **web** courses')  // -> '<p>Teaches <strong>web</strong> courses</p>'
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Addresses a link may point to; anything else (javascript:, data:, //host) becomes plain text.
+// Browsers read a backslash as a slash, so /\host leaves the site as well.
+const SAFE_URL = /^(https?:\/\/|mailto:|\/(?![\/\\]))/i;
+
+const BULLET_ITEM = /^\s*[-*+]\s+/;
+const NUMBERED_ITEM = /^\s*\d+[.)]\s+/;
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// A link, whose address may hold one level of balanced parentheses, e.g. .../wiki/Mercury_(planet)
+const LINK = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+// Stands in for a finished link while emphasis is applied; NUL is removed from the input first
+const LINK_PLACEHOLDER = /\0(\d+)\0/g;
+
+const renderEmphasis = (html) => html
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)([^*]+?)\*/g, '<em>$1</em>')
+    .replace(/(^|\W)_(?=\S)([^_]+?)_(?=\W|$)/g, '$1<em>$2</em>');
+
+/**
+ * Applies inline formatting to one line. Code spans are split out first so
+ * nothing inside them is formatted. Links are then swapped for placeholders, so
+ * emphasis can wrap a link but never rewrites the * or _ in its address.
+ *
+ * @param {string} text - A line of Markdown
+ * @returns {string} Safe HTML
+ */
+const renderInline = (text) => text.replace(/\0/g, '').split(/(`[^`]+`)/).map((part, index) => {
+    if (index % 2 === 1) return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+
+    const links = [];
+    const html = escapeHtml(part).replace(LINK, (match, label, url) => {
+        const labelHtml = renderEmphasis(label);
+        links.push(SAFE_URL.test(url) ? `<a href="${url}" rel="nofollow">${labelHtml}</a>` : labelHtml);
+        return `\0${links.length - 1}\0`;
+    });
+
+    return renderEmphasis(html).replace(LINK_PLACEHOLDER, (match, linkIndex) => links[linkIndex]);
+}).join('');
+
+/**
+ * Renders one block of lines (the text between blank lines).
+ *
+ * @param {string} block - Block of Markdown without blank lines
+ * @returns {string} Safe HTML
+ */
+const renderBlock = (block) => {
+    const lines = block.split('\n');
+
+    // A heading can be followed directly by text; the text becomes its own block
+    const heading = lines[0].match(/^(#{1,3})\s+(.*)$/);
+    if (heading) {
+        // Headings start at h3 because the page already has its own h1 and h2s
+        const level = heading[1].length + 2;
+        const html = `<h${level}>${renderInline(heading[2].replace(/\s*#+\s*$/, ''))}</h${level}>`;
+        return lines.length > 1 ? `${html}\n${renderBlock(lines.slice(1).join('\n'))}` : html;
+    }
+
+    if (lines.every(line => BULLET_ITEM.test(line))) {
+        return `<ul>\n${lines.map(line => `<li>${renderInline(line.replace(BULLET_ITEM, ''))}</li>`).join('\n')}\n</ul>`;
+    }
+
+    if (lines.every(line => NUMBERED_ITEM.test(line))) {
+        return `<ol>\n${lines.map(line => `<li>${renderInline(line.replace(NUMBERED_ITEM, ''))}</li>`).join('\n')}\n</ol>`;
+    }
+
+    if (lines.every(line => line.startsWith('>'))) {
+        return `<blockquote>${renderBlock(lines.map(line => line.replace(/^>\s?/, '')).join('\n'))}</blockquote>`;
+    }
+
+    // Single line breaks inside a paragraph are kept, which is what people expect when typing a bio
+    return `<p>${lines.map(line => renderInline(line.trim())).join('<br>\n')}</p>`;
+};
+
+/**
+ * Converts Markdown to HTML that is safe to output unescaped (<%- %>) in a view.
+ *
+ * @param {string} markdown - Markdown source; null or empty gives ''
+ * @returns {string} Safe HTML
+ */
+const renderMarkdown = (markdown) => String(markdown ?? '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.replace(/^\s*\n|\s+$/g, ''))
+    .filter(block => block.trim() !== '')
+    .map(renderBlock)
+    .join('\n');
+
+export { renderMarkdown, escapeHtml };
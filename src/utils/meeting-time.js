@@ -0,0 +1,195 @@
+/**
+ * Helpers for working with section meeting patterns.
+ *
+ * A meeting pattern is stored as three columns on the catalog table:
+ *   days       - array of day abbreviations, e.g. ['Mon', 'Wed', 'Fri']
+ *   start_time - 24-hour TIME, e.g. '13:00:00'
+ *   end_time   - 24-hour TIME, e.g. '14:15:00'
+ *
+ * The original seed data only has free text like "Mon Wed Fri 8:00-8:50" with no
+ * AM/PM marker, so parseMeetingTime() infers the meridiem the same way a printed
+ * class schedule is read: 7-11 is morning, 12 is noon, and 1-6 is afternoon/evening.
+ */
+
+// Canonical day order used for display and storage
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Accepts common spellings of each day and maps them to the canonical abbreviation
+const DAY_ALIASES = {
+    m: 'Mon', mon: 'Mon', monday: 'Mon',
+    t: 'Tue', tu: 'Tue', tue: 'Tue', tues: 'Tue', tuesday: 'Tue',
+    w: 'Wed', wed: 'Wed', wednesday: 'Wed',
+    r: 'Thu', th: 'Thu', thu: 'Thu', thur: 'Thu', thurs: 'Thu', thursday: 'Thu',
+    f: 'Fri', fri: 'Fri', friday: 'Fri',
+    s: 'Sat', sa: 'Sat', sat: 'Sat', saturday: 'Sat',
+    su: 'Sun', sun: 'Sun', sunday: 'Sun'
+};
+
+// Longest meeting that moving the end time past noon may produce ("11:00-1:15" is fine)
+const MAX_ROLLOVER_MINUTES = 4 * 60;
+
+// Matches "8:00-8:50", "1:00 PM - 2:15 PM", "11:00am-12:15pm", etc.
+const TIME_RANGE_PATTERN = /(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?\s*[-–]\s*(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?\s*$/i;
+
+/**
+ * Converts an hour on a 12-hour clock to a 24-hour clock.
+ * When no meridiem is given, hours 1-6 are treated as PM and 7-12 as AM/noon.
+ *
+ * @param {number} hour - Hour from the source text (1-12, or 0-23 if already 24-hour)
+ * @param {string|undefined} meridiem - 'am', 'pm' or undefined
+ * @returns {number} Hour on a 24-hour clock
+ */
+const to24Hour = (hour, meridiem) => {
+    if (hour > 12) return hour;
+
+    if (meridiem) {
+        const isPm = meridiem.toLowerCase().startsWith('p');
+        if (hour === 12) return isPm ? 12 : 0;
+        return isPm ? hour + 12 : hour;
+    }
+
+    return hour >= 1 && hour <= 6 ? hour + 12 : hour;
+};
+
+/**
+ * Converts a TIME value ('13:05' or '13:05:00') to minutes after midnight.
+ *
+ * @param {string} time - Time string in 24-hour format
+ * @returns {number} Minutes after midnight
+ */
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Formats minutes after midnight as a zero-padded 24-hour 'HH:MM' string.
+ *
+ * @param {number} totalMinutes - Minutes after midnight
+ * @returns {string} Time string suitable for a PostgreSQL TIME column
+ */
+const fromMinutes = (totalMinutes) => {
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}`;
+};
+
+/**
+ * Parses the day portion of a meeting string ("Mon Wed Fri", "MWF", "TTh").
+ *
+ * @param {string} text - Day portion of a meeting string
+ * @returns {Array<string>|null} Canonical day abbreviations in week order, or null if invalid
+ */
+const parseDays = (text) => {
+    const trimmed = text.trim();
+    if (!trimmed) return null;
+
+    // Space or comma separated words: "Mon Wed Fri", "Tue, Thu"
+    let tokens = trimmed.split(/[\s,/]+/);
+
+    // Compact codes like "MWF" or "TTh" are split on capital letters
+    if (tokens.length === 1 && !DAY_ALIASES[tokens[0].toLowerCase()]) {
+        tokens = trimmed.match(/Th|Sa|Su|[MTWRFS]/g) || [];
+        if (tokens.join('') !== trimmed) return null;
+    }
+
+    const days = new Set();
+    for (const token of tokens) {
+        const day = DAY_ALIASES[token.toLowerCase()];
+        if (!day) return null;
+        days.add(day);
+    }
+
+    return DAY_NAMES.filter(day => days.has(day));
+};
+
+/**
+ * Parses a free-text meeting time such as "Mon Wed Fri 8:00-8:50" or
+ * "Tue Thu 1:00 PM-2:15 PM" into a structured meeting pattern.
+ *
+ * @param {string} text - Meeting time text
+ * @returns {Object|null} { days, startTime, endTime } with 'HH:MM' times, or null if the text cannot be parsed
+ */
+const parseMeetingTime = (text) => {
+    if (typeof text !== 'string') return null;
+
+    const match = text.trim().match(TIME_RANGE_PATTERN);
+    if (!match) return null;
+
+    const days = parseDays(text.trim().slice(0, match.index));
+    if (!days || days.length === 0) return null;
+
+    const [, startHour, startMinute, startMeridiem, endHour, endMinute, endMeridiem] = match;
+    if (Number(startMinute) > 59 || Number(endMinute) > 59) return null;
+    if (Number(startHour) > 23 || Number(endHour) > 23) return null;
+
+    let start = to24Hour(Number(startHour), startMeridiem) * 60 + Number(startMinute);
+    let end = to24Hour(Number(endHour), endMeridiem) * 60 + Number(endMinute);
+
+    // With only a trailing meridiem ("8:00-9:15 PM"), the start is the latest time before the end
+    if (!startMeridiem && endMeridiem) {
+        const startPm = to24Hour(Number(startHour), 'pm') * 60 + Number(startMinute);
+        const startAm = to24Hour(Number(startHour), 'am') * 60 + Number(startMinute);
+        start = startPm < end ? startPm : startAm;
+    }
+
+    // "11:30-1:00" crosses noon, so the end must be in the afternoon. Only a
+    // class-length gap counts: "9:00-8:00" is a typo, not an 11-hour class.
+    if (!endMeridiem && end <= start && end + 12 * 60 < 24 * 60 && end + 12 * 60 - start <= MAX_ROLLOVER_MINUTES) {
+        end += 12 * 60;
+    }
+
+    if (end <= start) return null;
+
+    return {
+        days,
+        startTime: fromMinutes(start),
+        endTime: fromMinutes(end)
+    };
+};
+
+/**
+ * Formats a 24-hour TIME value for display, e.g. '13:00:00' -> '1:00 PM'.
+ *
+ * @param {string} time - Time string in 24-hour format
+ * @returns {string} Time on a 12-hour clock with AM/PM
+ */
+const formatTime = (time) => {
+    const totalMinutes = toMinutes(time);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    const meridiem = hours >= 12 ? 'PM' : 'AM';
+    const displayHour = hours % 12 === 0 ? 12 : hours % 12;
+    return `${displayHour}:${minutes} ${meridiem}`;
+};
+
+/**
+ * Formats a structured meeting pattern for display, e.g. "Mon Wed Fri 8:00 AM - 8:50 AM".
+ *
+ * @param {Object} meeting - { days, startTime, endTime }
+ * @returns {string} Human readable meeting time
+ */
+const formatMeetingTime = ({ days, startTime, endTime }) => {
+    return `${days.join(' ')} ${formatTime(startTime)} - ${formatTime(endTime)}`;
+};
+
+/**
+ * Determines whether two meeting patterns overlap. Two meetings overlap when they
+ * share at least one day and their time ranges intersect. Back-to-back meetings
+ * (one ends at 9:50, the next starts at 9:50) do not overlap.
+ *
+ * @param {Object} a - { days, startTime, endTime }
+ * @param {Object} b - { days, startTime, endTime }
+ * @returns {boolean} True if the meetings overlap
+ */
+const meetingsOverlap = (a, b) => {
+    if (!a?.startTime || !b?.startTime) return false;
+
+    const sharesDay = a.days.some(day => b.days.includes(day));
+    if (!sharesDay) return false;
+
+    return toMinutes(a.startTime) < toMinutes(b.endTime) &&
+           toMinutes(b.startTime) < toMinutes(a.endTime);
+};
+
+export { DAY_NAMES, parseMeetingTime, formatTime, formatMeetingTime, meetingsOverlap, toMinutes };
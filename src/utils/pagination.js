@@ -0,0 +1,68 @@
+import { withQuery } from './url.js';
+
+// Upper bound for ?limit= so a single request can't ask for the whole table
+const MAX_LIMIT = 100;
+
+/**
+ * Reads page and limit from the query string, falling back to sensible defaults
+ * for missing or invalid values and capping values too large to use.
+ *
+ * @param {Object} query - Request query parameters (req.query)
+ * @param {number} defaultLimit - Items per page when ?limit= is not given (default: 20)
+ * @returns {Object} { page, limit, offset }
+ */
+const getPagination = (query = {}, defaultLimit = 20) => {
+    const requestedLimit = Number.parseInt(query.limit, 10);
+    const limit = requestedLimit > 0 ? Math.min(requestedLimit, MAX_LIMIT) : defaultLimit;
+
+    // Huge ?page= values are capped so the offset stays an exact integer PostgreSQL accepts;
+    // such a page is simply past the end and comes back empty
+    const maxPage = Math.floor(Number.MAX_SAFE_INTEGER / limit);
+    const page = Math.min(Math.max(Number.parseInt(query.page, 10) || 1, 1), maxPage);
+
+    return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Builds a LIMIT/OFFSET clause for a model query and appends its values to params.
+ * Returns an empty string when no pagination is requested, so models can keep
+ * returning every row to callers that don't paginate.
+ *
+ * @param {Object|undefined} pagination - { limit, offset } from getPagination
+ * @param {Array} params - Query parameter array; limit and offset are pushed onto it
+ * @returns {string} SQL fragment such as 'LIMIT $3 OFFSET $4', or ''
+ */
+const paginationClause = (pagination, params) => {
+    if (!pagination) return '';
+
+    params.push(pagination.limit, pagination.offset);
+    return `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+};
+
+/**
+ * Describes the current page for the pagination partial, including prev/next links
+ * that keep every other query parameter (sort, filters, limit) intact.
+ *
+ * @param {Object} pagination - { page, limit, offset } from getPagination
+ * @param {number} total - Total number of matching rows
+ * @param {string} path - Base path for links, e.g. '/catalog'
+ * @param {Object} query - Current query parameters (req.query)
+ * @returns {Object} Pagination details for views
+ */
+const buildPageInfo = (pagination, total, path, query = {}) => {
+    const { page, limit, offset } = pagination;
+    const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+    return {
+        page,
+        limit,
+        total,
+        totalPages,
+        from: total === 0 ? 0 : Math.min(offset + 1, total),
+        to: Math.min(offset + limit, total),
+        prevUrl: page > 1 ? withQuery(path, query, { page: page === 2 ? null : page - 1 }) : null,
+        nextUrl: page < totalPages ? withQuery(path, query, { page: page + 1 }) : null
+    };
+};
+
+export { getPagination, paginationClause, buildPageInfo };
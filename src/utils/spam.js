@@ -0,0 +1,18 @@
+/**
+ * Flags text that repeats the same few words over and over, the most common
+ * kind of junk submitted through the site's free-text forms. Short text is never
+ * flagged because a few repeated words are normal there.
+ *
+ * Example:
+ *   looksLikeSpam('buy now '.repeat(20))  // -> true
+ *
+ * @param {string} text - Submitted text
+ * @returns {boolean} True if more than 20 words and under 30% of them are unique
+ */
+const looksLikeSpam = (text) => {
+    const words = text.split(/\s+/);
+    const uniqueWords = new Set(words);
+    return words.length > 20 && uniqueWords.size / words.length < 0.3;
+};
+
+export { looksLikeSpam };
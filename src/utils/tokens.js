@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+/**
+ * Helpers for the one-time tokens sent in emailed links (password resets, email
+ * verification). The plain token only ever appears in the email; the database
+ * stores its SHA-256 hash, so a copy of the table can't be used to follow a link.
+ */
+
+/**
+ * Create a random, URL-safe token.
+ *
+ * @returns {string} 43-character token
+ */
+const createToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Hash a token for storing or looking up.
+ *
+ * @param {string} token - Plain token
+ * @returns {string} 64-character hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export { createToken, hashToken };
@@ -0,0 +1,74 @@
+/**
+ * Builds a URL from a path and query parameters, dropping empty values.
+ * Used by list pages to build links that keep the current sort and filters
+ * while changing (or removing) one parameter.
+ *
+ * Example:
+ *   withQuery('/catalog', { sort: 'name', credits: '3' }, { credits: null })
+ *   // -> '/catalog?sort=name'
+ *
+ * @param {string} path - Base path, e.g. '/catalog'
+ * @param {Object} query - Current query parameters (usually req.query)
+ * @param {Object} overrides - Parameters to set; null or '' removes the parameter
+ * @returns {string} Path with an encoded query string
+ */
+const withQuery = (path, query = {}, overrides = {}) => {
+    const params = new URLSearchParams();
+    const merged = { ...query, ...overrides };
+
+    for (const [key, value] of Object.entries(merged)) {
+        if (value === undefined || value === null || value === '') continue;
+
+        if (Array.isArray(value)) {
+            value.forEach(item => params.append(key, item));
+        } else {
+            params.set(key, value);
+        }
+    }
+
+    const queryString = params.toString();
+    return queryString ? `${path}?${queryString}` : path;
+};
+
+/**
+ * Returns a local path submitted by a form (e.g. a hidden returnTo field), or the
+ * fallback when the value is missing or points off-site. Only paths starting with a
+ * single "/" are allowed so the field can't be used as an open redirect.
+ *
+ * @param {*} value - Submitted value, usually req.body.returnTo
+ * @param {string} fallback - Path to use when value isn't a safe local path
+ * @returns {string} A local path
+ */
+const safeReturnPath = (value, fallback) => {
+    if (typeof value === 'string' && /^\/(?![\/\\])/.test(value)) {
+        return value;
+    }
+    return fallback;
+};
+
+/**
+ * The site's public address from APP_URL (e.g. https://example.com), used for
+ * links that leave the site, such as the ones in emails. It never comes from the
+ * request: the Host header is chosen by whoever sends the request, so a link built
+ * from it could point anywhere.
+ *
+ * @returns {string} The configured APP_URL
+ * @throws {Error} If APP_URL is not set
+ */
+const getAppUrl = () => {
+    if (!process.env.APP_URL) {
+        throw new Error('APP_URL is not defined in environment variables; it is needed for links in emails');
+    }
+    return process.env.APP_URL;
+};
+
+/**
+ * Turns a local path into a full URL on the site's public address (see getAppUrl).
+ *
+ * @param {string} path - Local path, e.g. '/password-reset/abc'
+ * @returns {string} Absolute URL
+ * @throws {Error} If APP_URL is not set
+ */
+const absoluteUrl = (path) => new URL(path, getAppUrl()).href;
+
+export { withQuery, safeReturnPath, getAppUrl, absoluteUrl };
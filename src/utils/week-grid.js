@@ -0,0 +1,82 @@
+import { DAY_NAMES, formatTime, meetingsOverlap, toMinutes } from './meeting-time.js';
+
+/**
+ * Lays out sections on a weekly Mon-Sat grid for the partials/schedule-grid view.
+ * Used by the dashboard schedule builder and the room occupancy pages.
+ */
+
+// The weekly grid shows Monday through Saturday in 15-minute rows
+const GRID_DAYS = DAY_NAMES.slice(0, 6);
+const SLOT_MINUTES = 15;
+
+// Hours always shown on the grid, even for an empty or short schedule
+const DEFAULT_FIRST_HOUR = 8;
+const DEFAULT_LAST_HOUR = 17;
+
+/**
+ * Find every pair of sections that meet at the same time.
+ *
+ * @param {Array} sections - Section objects with days, startTime and endTime
+ * @returns {Array} Array of [sectionA, sectionB] pairs
+ */
+const findConflicts = (sections) => {
+    const conflicts = [];
+
+    sections.forEach((section, index) => {
+        sections.slice(index + 1).forEach(other => {
+            if (meetingsOverlap(section, other)) {
+                conflicts.push([section, other]);
+            }
+        });
+    });
+
+    return conflicts;
+};
+
+/**
+ * Lay out sections on a Mon-Sat grid. Row 1 holds the day headings
+ * and every following row is one 15-minute slot; column 1 holds the hour labels.
+ *
+ * @param {Array} sections - Section objects with days, startTime and endTime
+ * @param {Array} conflicts - Pairs from findConflicts, used to highlight blocks
+ * @returns {Object} { days, rowCount, hours, blocks, unplaced }
+ */
+const buildWeekGrid = (sections, conflicts) => {
+    const conflictIds = new Set(conflicts.flat().map(section => section.id));
+    const timed = sections.filter(section => section.startTime && section.days.some(day => GRID_DAYS.includes(day)));
+
+    const firstHour = Math.min(DEFAULT_FIRST_HOUR, ...timed.map(section => Math.floor(toMinutes(section.startTime) / 60)));
+    const lastHour = Math.max(DEFAULT_LAST_HOUR, ...timed.map(section => Math.ceil(toMinutes(section.endTime) / 60)));
+    const gridStart = firstHour * 60;
+    const slotsPerHour = 60 / SLOT_MINUTES;
+
+    const hours = [];
+    for (let hour = firstHour; hour < lastHour; hour++) {
+        hours.push({
+            label: formatTime(`${hour}:00`),
+            rowStart: (hour - firstHour) * slotsPerHour + 2,
+            rowEnd: (hour - firstHour + 1) * slotsPerHour + 2
+        });
+    }
+
+    const blocks = timed.flatMap(section => section.days
+        .filter(day => GRID_DAYS.includes(day))
+        .map(day => ({
+            section,
+            column: GRID_DAYS.indexOf(day) + 2,
+            rowStart: Math.floor((toMinutes(section.startTime) - gridStart) / SLOT_MINUTES) + 2,
+            rowEnd: Math.ceil((toMinutes(section.endTime) - gridStart) / SLOT_MINUTES) + 2,
+            conflict: conflictIds.has(section.id)
+        })));
+
+    return {
+        days: GRID_DAYS,
+        rowCount: (lastHour - firstHour) * slotsPerHour,
+        hours,
+        blocks,
+        // Sections with no parsed time (or Sunday-only) can't be drawn, so the view lists them instead
+        unplaced: sections.filter(section => !timed.includes(section))
+    };
+};
+
+export { findConflicts, buildWeekGrid };
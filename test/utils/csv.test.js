@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHeader, parseCsv } from '../../src/utils/csv.js';
+import { escapeCsvField } from '../../src/utils/export.js';
+
+describe('normalizeHeader', () => {
+    it('ignores case, spaces and punctuation', () => {
+        assert.equal(normalizeHeader('Course Code'), 'coursecode');
+        assert.equal(normalizeHeader('course_code'), 'coursecode');
+        assert.equal(normalizeHeader('COURSE-CODE'), 'coursecode');
+        assert.equal(normalizeHeader('Credit Hours (2)'), 'credithours2');
+    });
+});
+
+describe('parseCsv', () => {
+    it('keys each row by normalized header and trims values', () => {
+        const { headers, rows } = parseCsv('Course Code, Name \nCSE 110 ,  Intro to Programming\n');
+        assert.deepEqual(headers, ['coursecode', 'name']);
+        assert.deepEqual(rows, [{ line: 2, values: { coursecode: 'CSE 110', name: 'Intro to Programming' } }]);
+    });
+
+    it('reads quoted commas, doubled quotes and line breaks', () => {
+        const { rows } = parseCsv('code,name\r\n"CSE 340","Web ""Backend"", Part 1"\r\n"CSE 341","Two\r\nlines"\r\nCSE 342,Last');
+        assert.deepEqual(rows.map(row => row.values), [
+            { code: 'CSE 340', name: 'Web "Backend", Part 1' },
+            { code: 'CSE 341', name: 'Two\r\nlines' },
+            { code: 'CSE 342', name: 'Last' }
+        ]);
+        // A quoted line break pushes later rows down a line
+        assert.deepEqual(rows.map(row => row.line), [2, 3, 5]);
+    });
+
+    it('skips blank lines and strips a byte order mark', () => {
+        const { headers, rows } = parseCsv('﻿code\n\n , \nCSE 110\n\n');
+        assert.deepEqual(headers, ['code']);
+        assert.deepEqual(rows, [{ line: 4, values: { code: 'CSE 110' } }]);
+    });
+
+    it('fills missing trailing fields with empty strings', () => {
+        const { rows } = parseCsv('code,name,credits\nCSE 110,Intro');
+        assert.deepEqual(rows[0].values, { code: 'CSE 110', name: 'Intro', credits: '' });
+    });
+
+    it('reads back what the exporter writes, including guarded formulas', () => {
+        const values = ['=SUM(A1)', 'Smith, "Doc"', '-5', '@home'];
+        const line = values.map(escapeCsvField).join(',');
+        const { rows } = parseCsv(`a,b,c,d\n${line}`);
+        assert.deepEqual(Object.values(rows[0].values), values);
+    });
+
+    it('rejects empty input with a 400', () => {
+        for (const text of ['', '\n\n', ' , ', null]) {
+            assert.throws(() => parseCsv(text), { status: 400, message: 'The CSV file is empty' });
+        }
+    });
+
+    it('rejects an unclosed quote with the line it started on', () => {
+        assert.throws(() => parseCsv('code,name\nCSE 110,"Intro\nmore'), {
+            status: 400,
+            message: 'Line 2 has a quoted field that is never closed'
+        });
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { escapeCsvField, sendExport } from '../../src/utils/export.js';
+
+describe('escapeCsvField', () => {
+    it('leaves plain values alone', () => {
+        assert.equal(escapeCsvField('CSE 340'), 'CSE 340');
+        assert.equal(escapeCsvField(3), '3');
+        assert.equal(escapeCsvField(-3), '-3');
+    });
+
+    it('writes null and undefined as empty fields', () => {
+        assert.equal(escapeCsvField(null), '');
+        assert.equal(escapeCsvField(undefined), '');
+    });
+
+    it('quotes fields with commas, quotes or line breaks and doubles inner quotes', () => {
+        assert.equal(escapeCsvField('Smith, Jane'), '"Smith, Jane"');
+        assert.equal(escapeCsvField('The "best" class'), '"The ""best"" class"');
+        assert.equal(escapeCsvField('line one\r\nline two'), '"line one\r\nline two"');
+    });
+
+    it('guards text that a spreadsheet would run as a formula', () => {
+        assert.equal(escapeCsvField('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+        assert.equal(escapeCsvField('+1'), "'+1");
+        assert.equal(escapeCsvField('@cmd'), "'@cmd");
+        assert.equal(escapeCsvField('=HYPERLINK("x","y")'), '"\'=HYPERLINK(""x"",""y"")"');
+    });
+
+    it('joins arrays with spaces', () => {
+        assert.equal(escapeCsvField(['Mon', 'Wed', 'Fri']), 'Mon Wed Fri');
+    });
+});
+
+// Just enough of an Express response to capture what sendExport writes
+const fakeResponse = () => ({
+    body: '',
+    headersSent: false,
+    type(value) { this.contentType = value; },
+    attachment(name) { this.filename = name; },
+    write(chunk) { this.body += chunk; this.headersSent = true; return true; },
+    end(chunk = '') { this.body += chunk; this.ended = true; }
+});
+
+const columns = [{ key: 'code', header: 'Course Code' }, { key: 'name', header: 'Name' }];
+
+describe('sendExport', () => {
+    it('streams CSV batches after a header line', async () => {
+        const res = fakeResponse();
+        await sendExport(res, {
+            format: 'csv',
+            filename: 'catalog',
+            columns,
+            stream: async (onBatch) => {
+                await onBatch([{ code: 'CSE 110', name: 'Programming, Intro' }]);
+                await onBatch([{ code: 'CSE 340', name: null }]);
+            }
+        });
+        assert.equal(res.filename, 'catalog.csv');
+        assert.match(res.contentType, /^text\/csv/);
+        assert.equal(res.body, 'Course Code,Name\r\nCSE 110,"Programming, Intro"\r\nCSE 340,\r\n');
+        assert.ok(res.ended);
+    });
+
+    it('streams a JSON array holding only the listed columns', async () => {
+        const res = fakeResponse();
+        await sendExport(res, {
+            format: 'json',
+            filename: 'catalog',
+            columns,
+            stream: async (onBatch) => {
+                await onBatch([{ code: 'CSE 110', name: 'Intro', secret: 'x' }, { code: 'CSE 210' }]);
+            }
+        });
+        assert.deepEqual(JSON.parse(res.body), [{ code: 'CSE 110', name: 'Intro' }, { code: 'CSE 210', name: null }]);
+    });
+
+    it('writes a complete empty file when there are no rows', async () => {
+        const csv = fakeResponse();
+        await sendExport(csv, { format: 'csv', filename: 'f', columns, stream: async () => {} });
+        assert.equal(csv.body, 'Course Code,Name\r\n');
+
+        const json = fakeResponse();
+        await sendExport(json, { format: 'json', filename: 'f', columns, stream: async () => {} });
+        assert.deepEqual(JSON.parse(json.body), []);
+    });
+
+    it('lets an error before the first batch reach the error handler', async () => {
+        const res = fakeResponse();
+        await assert.rejects(
+            sendExport(res, { format: 'csv', filename: 'f', columns, stream: async () => { throw new Error('query failed'); } }),
+            /query failed/
+        );
+        assert.equal(res.body, '');
+    });
+
+    it('stops and reports an error when the client disconnects while the export waits to write', async () => {
+        // A response whose client stops reading after the first write, then hangs up
+        const res = Object.assign(new EventEmitter(), fakeResponse(), {
+            destroyed: false,
+            write(chunk) { this.body += chunk; this.headersSent = true; return false; },
+            destroy() { this.destroyed = true; }
+        });
+        let batches = 0;
+        let streamError = null;
+        const errors = [];
+        const originalConsoleError = console.error;
+        console.error = (...args) => errors.push(args);
+
+        try {
+            const done = sendExport(res, {
+                format: 'csv',
+                filename: 'f',
+                columns,
+                stream: async (onBatch) => {
+                    try {
+                        while (true) {
+                            batches++;
+                            await onBatch([{ code: 'CSE 110', name: 'Intro' }]);
+                        }
+                    } catch (error) {
+                        streamError = error;
+                        throw error;
+                    }
+                }
+            });
+            setImmediate(() => {
+                res.destroyed = true;
+                res.emit('close');
+            });
+            await done;
+        } finally {
+            console.error = originalConsoleError;
+        }
+
+        assert.equal(batches, 1);
+        assert.match(streamError.message, /closed the connection/);
+        assert.equal(errors.length, 1);
+        assert.ok(!res.ended);
+    });
+
+    it('carries on once a slow client drains', async () => {
+        const res = Object.assign(new EventEmitter(), fakeResponse(), {
+            write(chunk) {
+                this.body += chunk;
+                this.headersSent = true;
+                setImmediate(() => this.emit('drain'));
+                return false;
+            }
+        });
+        await sendExport(res, {
+            format: 'csv',
+            filename: 'f',
+            columns,
+            stream: async (onBatch) => {
+                await onBatch([{ code: 'CSE 110', name: 'Intro' }]);
+                await onBatch([{ code: 'CSE 210', name: 'Next' }]);
+            }
+        });
+        assert.equal(res.body, 'Course Code,Name\r\nCSE 110,Intro\r\nCSE 210,Next\r\n');
+        assert.equal(res.listenerCount('close'), 0);
+        assert.ok(res.ended);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScheduleCalendar } from '../../src/utils/icalendar.js';
+
+// Monday 7 September to Friday 11 December 2026
+const term = { code: 'fall-2026', name: 'Fall 2026', startDate: new Date(2026, 8, 7), endDate: new Date(2026, 11, 11) };
+
+const section = (overrides = {}) => ({
+    id: 12,
+    courseCode: 'CSE 340',
+    courseName: 'Web Backend Development',
+    room: 'STC 394',
+    professor: 'Brother Keers',
+    days: ['Tue', 'Thu'],
+    startTime: '13:00:00',
+    endTime: '14:15:00',
+    ...overrides
+});
+
+// Undo line folding so each property can be read whole
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('buildScheduleCalendar', () => {
+    it('writes a calendar with CRLF line endings, including the last line', () => {
+        const ics = buildScheduleCalendar([], term);
+        assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(!/[^\r]\n/.test(ics));
+        assert.ok(unfold(ics).includes('X-WR-CALNAME:Fall 2026 Schedule'));
+    });
+
+    it('starts each weekly event on the first day of the term the section meets', () => {
+        const lines = unfold(buildScheduleCalendar([section()], term));
+        assert.ok(lines.includes('UID:section-12-fall-2026@cse340-practice'));
+        assert.ok(lines.includes('DTSTART:20260908T130000'));
+        assert.ok(lines.includes('DTEND:20260908T141500'));
+        assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261211T235959'));
+        assert.ok(lines.includes('LOCATION:STC 394'));
+        assert.ok(lines.includes('DESCRIPTION:Instructor: Brother Keers'));
+        assert.ok(lines.some(line => /^DTSTAMP:\d{8}T\d{6}Z$/.test(line)));
+    });
+
+    it('uses the term start itself when the section meets that day', () => {
+        const lines = unfold(buildScheduleCalendar([section({ days: ['Mon', 'Wed', 'Fri'], startTime: '08:00', endTime: '08:50' })], term));
+        assert.ok(lines.includes('DTSTART:20260907T080000'));
+        assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20261211T235959'));
+    });
+
+    it('escapes commas, semicolons, backslashes and newlines in text', () => {
+        const lines = unfold(buildScheduleCalendar([section({ courseName: 'Data, Sets; and \\ More\nStuff' })], term));
+        assert.ok(lines.includes('SUMMARY:CSE 340 - Data\\, Sets\\; and \\\\ More\\nStuff'));
+    });
+
+    it('folds lines longer than 75 octets without splitting characters', () => {
+        const ics = buildScheduleCalendar([section({ courseName: 'Ünïcödé '.repeat(20) })], term);
+        for (const line of ics.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+            assert.ok(!line.includes('�'));
+        }
+        assert.ok(unfold(ics).includes(`SUMMARY:CSE 340 - ${'Ünïcödé '.repeat(20)}`));
+    });
+
+    it('skips sections without a structured meeting time', () => {
+        const ics = buildScheduleCalendar([section({ days: [], startTime: null, endTime: null }), section({ id: 13 })], term);
+        assert.equal((ics.match(/BEGIN:VEVENT/g) || []).length, 1);
+        assert.ok(ics.includes('UID:section-13-'));
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, escapeHtml } from '../../src/utils/markdown.js';
+
+describe('escapeHtml', () => {
+    it('escapes the characters that matter in text and attributes', () => {
+        assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    });
+});
+
+describe('renderMarkdown', () => {
+    it('gives an empty string for null or blank input', () => {
+        assert.equal(renderMarkdown(null), '');
+        assert.equal(renderMarkdown(' \n\n '), '');
+    });
+
+    it('renders paragraphs, keeping single line breaks', () => {
+        assert.equal(renderMarkdown('One\r\ntwo\n\nThree'), '<p>One<br>\ntwo</p>\n<p>Three</p>');
+    });
+
+    it('renders headings from h3 down, with any text after them as a paragraph', () => {
+        assert.equal(renderMarkdown('# Research ##\nSome text'), '<h3>Research</h3>\n<p>Some text</p>');
+        assert.equal(renderMarkdown('### Small'), '<h5>Small</h5>');
+    });
+
+    it('renders lists and block quotes', () => {
+        assert.equal(renderMarkdown('- one\n* two'), '<ul>\n<li>one</li>\n<li>two</li>\n</ul>');
+        assert.equal(renderMarkdown('1. one\n2) two'), '<ol>\n<li>one</li>\n<li>two</li>\n</ol>');
+        assert.equal(renderMarkdown('> quoted\n> text'), '<blockquote><p>quoted<br>\ntext</p></blockquote>');
+    });
+
+    it('renders bold, italic and code, leaving code spans unformatted', () => {
+        assert.equal(renderMarkdown('**web** and *data* and _apps_'), '<p><strong>web</strong> and <em>data</em> and <em>apps</em></p>');
+        assert.equal(renderMarkdown('`**not bold** <b>`'), '<p><code>**not bold** &lt;b&gt;</code></p>');
+        assert.equal(renderMarkdown('snake_case_name'), '<p>snake_case_name</p>');
+    });
+
+    it('shows raw HTML as text', () => {
+        assert.equal(renderMarkdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+        assert.equal(renderMarkdown('[x](/a"onmouseover="alert(1))'), '<p><a href="/a&quot;onmouseover=&quot;alert(1)" rel="nofollow">x</a></p>');
+    });
+
+    it('keeps links to web, mail and site addresses', () => {
+        assert.equal(renderMarkdown('[Site](https://example.com)'), '<p><a href="https://example.com" rel="nofollow">Site</a></p>');
+        assert.equal(renderMarkdown('[Mail](mailto:a@example.com)'), '<p><a href="mailto:a@example.com" rel="nofollow">Mail</a></p>');
+        assert.equal(renderMarkdown('[Faculty](/faculty)'), '<p><a href="/faculty" rel="nofollow">Faculty</a></p>');
+    });
+
+    it('drops links that could run script or leave the site unnoticed', () => {
+        for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,x', '//evil.example', '/\\evil.example']) {
+            assert.equal(renderMarkdown(`[click](${url})`), '<p>click</p>', url);
+        }
+    });
+
+    it('allows one level of balanced parentheses in a link address', () => {
+        assert.equal(
+            renderMarkdown('[Mercury](https://en.wikipedia.org/wiki/Mercury_(planet))'),
+            '<p><a href="https://en.wikipedia.org/wiki/Mercury_(planet)" rel="nofollow">Mercury</a></p>'
+        );
+        assert.equal(renderMarkdown('(see [notes](/notes))'), '<p>(see <a href="/notes" rel="nofollow">notes</a>)</p>');
+    });
+
+    it('leaves * and _ in link addresses alone while formatting labels and text around links', () => {
+        assert.equal(renderMarkdown('[x](https://ex.com/_a_/b)'), '<p><a href="https://ex.com/_a_/b" rel="nofollow">x</a></p>');
+        assert.equal(renderMarkdown('[x](https://ex.com/a*b*c)'), '<p><a href="https://ex.com/a*b*c" rel="nofollow">x</a></p>');
+        assert.equal(
+            renderMarkdown('**see [the _docs_](/a_b_c)** now'),
+            '<p><strong>see <a href="/a_b_c" rel="nofollow">the <em>docs</em></a></strong> now</p>'
+        );
+    });
+});
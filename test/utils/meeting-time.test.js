@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMeetingTime, formatTime, formatMeetingTime, meetingsOverlap, toMinutes } from '../../src/utils/meeting-time.js';
+
+describe('parseMeetingTime', () => {
+    it('parses the seed data format, reading times without AM/PM like a printed schedule', () => {
+        assert.deepEqual(parseMeetingTime('Mon Wed Fri 8:00-8:50'), { days: ['Mon', 'Wed', 'Fri'], startTime: '08:00', endTime: '08:50' });
+        assert.deepEqual(parseMeetingTime('Tue Thu 1:00-2:15'), { days: ['Tue', 'Thu'], startTime: '13:00', endTime: '14:15' });
+        assert.deepEqual(parseMeetingTime('Mon 6:00-8:50'), { days: ['Mon'], startTime: '18:00', endTime: '20:50' });
+    });
+
+    it('crosses noon when the end hour is smaller than the start hour', () => {
+        assert.deepEqual(parseMeetingTime('Mon Wed 11:00-12:15'), { days: ['Mon', 'Wed'], startTime: '11:00', endTime: '12:15' });
+        assert.deepEqual(parseMeetingTime('Fri 11:30-1:00'), { days: ['Fri'], startTime: '11:30', endTime: '13:00' });
+    });
+
+    it('rejects an end before the start instead of stretching it into a very long class', () => {
+        assert.equal(parseMeetingTime('MWF 9:00-8:00'), null);
+        assert.equal(parseMeetingTime('Tue 10:00-9:30'), null);
+        assert.deepEqual(parseMeetingTime('Tue 10:00-2:00'), { days: ['Tue'], startTime: '10:00', endTime: '14:00' });
+    });
+
+    it('honours explicit meridiems in their common spellings', () => {
+        assert.deepEqual(parseMeetingTime('Tue Thu 1:00 PM - 2:15 PM'), { days: ['Tue', 'Thu'], startTime: '13:00', endTime: '14:15' });
+        assert.deepEqual(parseMeetingTime('Mon 11:00am-12:15pm'), { days: ['Mon'], startTime: '11:00', endTime: '12:15' });
+        assert.deepEqual(parseMeetingTime('Sat 7:00 a.m.-9:00 a.m.'), { days: ['Sat'], startTime: '07:00', endTime: '09:00' });
+        assert.deepEqual(parseMeetingTime('Mon 12:00 AM-1:00 AM'), { days: ['Mon'], startTime: '00:00', endTime: '01:00' });
+    });
+
+    it('places the start before the end when only the end has a meridiem', () => {
+        assert.deepEqual(parseMeetingTime('Wed 8:00-9:15 PM'), { days: ['Wed'], startTime: '20:00', endTime: '21:15' });
+        assert.deepEqual(parseMeetingTime('Wed 11:00-12:15 PM'), { days: ['Wed'], startTime: '11:00', endTime: '12:15' });
+    });
+
+    it('accepts 24-hour times', () => {
+        assert.deepEqual(parseMeetingTime('Thu 13:00-14:15'), { days: ['Thu'], startTime: '13:00', endTime: '14:15' });
+    });
+
+    it('accepts compact and comma separated day codes, returned in week order', () => {
+        assert.deepEqual(parseMeetingTime('MWF 9:00-9:50').days, ['Mon', 'Wed', 'Fri']);
+        assert.deepEqual(parseMeetingTime('TTh 9:00-10:15').days, ['Tue', 'Thu']);
+        assert.deepEqual(parseMeetingTime('TR 9:00-10:15').days, ['Tue', 'Thu']);
+        assert.deepEqual(parseMeetingTime('Friday, Monday 9:00-9:50').days, ['Mon', 'Fri']);
+        assert.deepEqual(parseMeetingTime('Mon Mon 9:00-9:50').days, ['Mon']);
+    });
+
+    it('returns null for text it cannot read', () => {
+        for (const text of [undefined, null, 42, '', 'TBA', 'Online', '9:00-9:50', 'Xyz 9:00-9:50', 'Mon 9:75-10:00', 'Mon 25:00-26:00', 'Mon 13:00-12:00']) {
+            assert.equal(parseMeetingTime(text), null, `expected null for ${JSON.stringify(text)}`);
+        }
+    });
+});
+
+describe('formatTime and formatMeetingTime', () => {
+    it('formats 24-hour TIME values on a 12-hour clock', () => {
+        assert.equal(formatTime('00:05:00'), '12:05 AM');
+        assert.equal(formatTime('08:00'), '8:00 AM');
+        assert.equal(formatTime('12:00:00'), '12:00 PM');
+        assert.equal(formatTime('13:30'), '1:30 PM');
+    });
+
+    it('formats a meeting pattern for display', () => {
+        assert.equal(
+            formatMeetingTime({ days: ['Mon', 'Wed', 'Fri'], startTime: '08:00:00', endTime: '08:50:00' }),
+            'Mon Wed Fri 8:00 AM - 8:50 AM'
+        );
+    });
+
+    it('round-trips with toMinutes', () => {
+        assert.equal(toMinutes('13:05:00'), 785);
+        assert.equal(toMinutes('00:00'), 0);
+    });
+});
+
+describe('meetingsOverlap', () => {
+    const mwf9 = { days: ['Mon', 'Wed', 'Fri'], startTime: '09:00', endTime: '09:50' };
+
+    it('detects meetings that share a day and intersect in time', () => {
+        assert.equal(meetingsOverlap(mwf9, { days: ['Wed'], startTime: '09:30', endTime: '10:30' }), true);
+        assert.equal(meetingsOverlap(mwf9, { days: ['Fri'], startTime: '08:00', endTime: '11:00' }), true);
+    });
+
+    it('treats back-to-back meetings as not overlapping', () => {
+        assert.equal(meetingsOverlap(mwf9, { days: ['Mon'], startTime: '09:50', endTime: '10:40' }), false);
+        assert.equal(meetingsOverlap(mwf9, { days: ['Mon'], startTime: '08:10', endTime: '09:00' }), false);
+    });
+
+    it('ignores meetings on different days', () => {
+        assert.equal(meetingsOverlap(mwf9, { days: ['Tue', 'Thu'], startTime: '09:00', endTime: '09:50' }), false);
+    });
+
+    it('never reports an overlap for a section without a meeting time', () => {
+        assert.equal(meetingsOverlap(mwf9, { days: [], startTime: null, endTime: null }), false);
+        assert.equal(meetingsOverlap(null, mwf9), false);
+    });
+});
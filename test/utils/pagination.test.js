@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPagination, paginationClause, buildPageInfo } from '../../src/utils/pagination.js';
+
+describe('getPagination', () => {
+    it('defaults to the first page', () => {
+        assert.deepEqual(getPagination({}), { page: 1, limit: 20, offset: 0 });
+        assert.deepEqual(getPagination({ page: 'abc', limit: '-5' }, 10), { page: 1, limit: 10, offset: 0 });
+    });
+
+    it('reads page and limit, capping the limit', () => {
+        assert.deepEqual(getPagination({ page: '3', limit: '10' }), { page: 3, limit: 10, offset: 20 });
+        assert.equal(getPagination({ limit: '5000' }).limit, 100);
+    });
+
+    it('caps huge page numbers so the offset stays a safe integer', () => {
+        const { page, limit, offset } = getPagination({ page: '99999999999999999999', limit: '7' });
+        assert.equal(limit, 7);
+        assert.ok(Number.isSafeInteger(page));
+        assert.ok(Number.isSafeInteger(offset));
+        assert.ok(offset <= Number.MAX_SAFE_INTEGER);
+    });
+});
+
+describe('paginationClause', () => {
+    it('appends limit and offset to the query parameters', () => {
+        const params = ['x'];
+        assert.equal(paginationClause({ limit: 20, offset: 40 }, params), 'LIMIT $2 OFFSET $3');
+        assert.deepEqual(params, ['x', 20, 40]);
+    });
+
+    it('returns nothing when the caller does not paginate', () => {
+        const params = [];
+        assert.equal(paginationClause(undefined, params), '');
+        assert.deepEqual(params, []);
+    });
+});
+
+describe('buildPageInfo', () => {
+    it('links to neighbouring pages, keeping the other query parameters', () => {
+        const info = buildPageInfo({ page: 2, limit: 10, offset: 10 }, 35, '/catalog', { sort: 'name', page: '2' });
+        assert.equal(info.totalPages, 4);
+        assert.equal(info.from, 11);
+        assert.equal(info.to, 20);
+        assert.equal(info.prevUrl, '/catalog?sort=name');
+        assert.equal(info.nextUrl, '/catalog?sort=name&page=3');
+    });
+
+    it('handles an empty result', () => {
+        const info = buildPageInfo({ page: 1, limit: 10, offset: 0 }, 0, '/faculty');
+        assert.equal(info.totalPages, 1);
+        assert.equal(info.from, 0);
+        assert.equal(info.prevUrl, null);
+        assert.equal(info.nextUrl, null);
+    });
+});